@@ -15,6 +15,9 @@ import LoginScreen from './src/components/LoginScreen';
 import UserDashboard from './src/components/UserDashboard';
 import TherapistDashboard from './src/components/TherapistDashboard';
 import CallScreen from './src/components/CallScreen';
+import SetupTestScreen from './src/components/SetupTestScreen';
+import PricingScreen from './src/components/PricingScreen';
+import WalletScreen from './src/components/WalletScreen';
 
 // Theme
 import theme from './src/theme';
@@ -70,6 +73,9 @@ const AppNavigator = () => {
           name="TherapistDashboard"
           component={TherapistDashboard}
         />
+        <Stack.Screen name="SetupTest" component={SetupTestScreen} />
+        <Stack.Screen name="Pricing" component={PricingScreen} />
+        <Stack.Screen name="Wallet" component={WalletScreen} />
         <Stack.Screen
           name="CallScreen"
           component={CallScreen}
@@ -0,0 +1,140 @@
+/**
+ * @format
+ */
+
+import BillingMeter, { BILLING_EVENTS } from '../src/services/BillingMeter';
+
+describe('BillingMeter', () => {
+  let now;
+  let meter;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    now = 0;
+    meter = new BillingMeter({ now: () => now });
+  });
+
+  afterEach(() => {
+    meter.reset();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const advance = ms => {
+    now += ms;
+    jest.advanceTimersByTime(ms);
+  };
+
+  test('bills connected seconds against the balance', () => {
+    const updates = [];
+    meter.on(BILLING_EVENTS.UPDATED, update => updates.push(update));
+    meter.reset({ balance: 20, pricing: { ratePerMinute: 6 } });
+
+    meter.start();
+    advance(15000);
+    expect(updates[updates.length - 1]).toMatchObject({
+      billedSeconds: 15,
+      cost: 1.5,
+      remainingBalance: 18.5,
+      isRunning: true,
+    });
+
+    // Time on hold or reconnecting is not billed
+    meter.pause();
+    advance(60000);
+    meter.start();
+    advance(5500);
+
+    expect(meter.stop()).toEqual({
+      durationSeconds: 20,
+      coinsCharged: 2,
+      freeSecondsUsed: 0,
+    });
+    expect(meter.getSnapshot().isRunning).toBe(false);
+  });
+
+  test("takes the server's figure at hang-up", () => {
+    meter.reset({ balance: 20, pricing: { ratePerMinute: 6 } });
+    meter.start();
+    advance(30000);
+    meter.stop();
+
+    const reconciled = meter.reconcile({
+      durationSeconds: 32,
+      coinsCharged: 3.2,
+      balance: 16.8,
+    });
+
+    expect(reconciled).toMatchObject({
+      cost: 3.2,
+      remainingBalance: 16.8,
+      isReconciled: true,
+    });
+
+    // A late CONNECTED does not restart a settled call
+    meter.start();
+    expect(meter.isRunning()).toBe(false);
+  });
+
+  test('warns as the balance runs low and reports when it runs out', () => {
+    const warnings = [];
+    const exhausted = jest.fn();
+    meter.on(BILLING_EVENTS.LOW_BALANCE, warning => warnings.push(warning));
+    meter.on(BILLING_EVENTS.EXHAUSTED, exhausted);
+    // 15 coins at 6 coins/min last two and a half minutes
+    meter.reset({ balance: 15, pricing: { ratePerMinute: 6 } });
+
+    meter.start();
+    advance(29000);
+    expect(warnings).toEqual([]);
+
+    advance(1000);
+    expect(warnings).toEqual([{ secondsRemaining: 120 }]);
+
+    advance(90000);
+    expect(warnings).toEqual([
+      { secondsRemaining: 120 },
+      { secondsRemaining: 30 },
+    ]);
+    expect(exhausted).not.toHaveBeenCalled();
+
+    advance(30000);
+    expect(exhausted).toHaveBeenCalledTimes(1);
+    expect(meter.isRunning()).toBe(false);
+    expect(meter.getSnapshot()).toMatchObject({
+      cost: 15,
+      remainingBalance: 0,
+      secondsRemaining: 0,
+    });
+  });
+
+  test('uses free minutes before coins', () => {
+    meter.reset({ balance: 0, freeMinutes: 1, pricing: { ratePerMinute: 6 } });
+
+    meter.start();
+    advance(30000);
+    expect(meter.getSnapshot()).toMatchObject({
+      cost: 0,
+      ratePerMinute: 0,
+      freeMinutesRemaining: 0.5,
+      secondsRemaining: 30,
+    });
+
+    advance(30000);
+    expect(meter.isRunning()).toBe(false);
+    expect(meter.stop()).toEqual({
+      durationSeconds: 60,
+      coinsCharged: 0,
+      freeSecondsUsed: 60,
+    });
+  });
+
+  test('stays inactive without a balance', () => {
+    meter.start();
+    expect(meter.isRunning()).toBe(false);
+    expect(meter.getSnapshot()).toBeNull();
+    expect(meter.reconcile({ coinsCharged: 1 })).toBeNull();
+  });
+});
@@ -0,0 +1,656 @@
+/**
+ * @format
+ */
+
+import {
+  CALL_MANAGER_EVENTS,
+  END_REASONS,
+  HOLD_INITIATORS,
+  VIDEO_UPGRADE_DIRECTIONS,
+  VIDEO_UPGRADE_STATUS,
+} from '../src/services/CallManager';
+import { CALL_STATES, CALL_TYPES } from '../src/services/CallStateMachine';
+import { SOCKET_EVENTS } from '../src/services/SocketService';
+import {
+  FAKE_OPERATIONS,
+  FakeNetwork,
+} from '../src/services/webrtc/FakeWebRTCAdapter';
+import { TRANSACTION_TYPES } from '../src/services/WalletService';
+import LoopbackServer, {
+  LOOPBACK_CALL_STATUS,
+} from '../src/services/transports/LoopbackServer';
+import { ICE_SERVERS, createParticipant, waitFor } from '../jest/callTestUtils';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+jest.mock('react-native-webrtc', () => ({}));
+
+const getState = participant => participant.callManager.getCallState();
+
+describe('call flow over loopback transport', () => {
+  let server;
+  let user;
+  let therapist;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    server = new LoopbackServer();
+    const network = new FakeNetwork();
+    user = createParticipant(server, 'user_1', 'user', { network });
+    therapist = createParticipant(server, 'therapist_1', 'therapist', {
+      network,
+    });
+
+    await therapist.callManager.initialize();
+    await user.callManager.initialize();
+
+    therapist.callManager.on(CALL_MANAGER_EVENTS.INCOMING_CALL, call => {
+      therapist.incomingCall = call;
+    });
+  });
+
+  const connectCall = async (callType = CALL_TYPES.VOICE, options) => {
+    await user.callManager.startCall(
+      'therapist_1',
+      'Dr. Test',
+      callType,
+      options,
+    );
+    await waitFor(() => therapist.incomingCall);
+    await therapist.callManager.acceptCall(therapist.incomingCall.callId);
+    await waitFor(
+      () =>
+        getState(user) === CALL_STATES.CONNECTED &&
+        getState(therapist) === CALL_STATES.CONNECTED,
+    );
+  };
+
+  afterEach(async () => {
+    await user.callManager.cleanup();
+    await therapist.callManager.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  test('connects a user and a therapist and ends the call', async () => {
+    const startResult = await user.callManager.startCall(
+      'therapist_1',
+      'Dr. Test',
+    );
+    expect(startResult.success).toBe(true);
+
+    await waitFor(() => therapist.incomingCall);
+    const { callId } = therapist.incomingCall;
+    expect(user.callManager.getCallData().callId).toBe(callId);
+
+    await therapist.callManager.acceptCall(callId);
+    await waitFor(
+      () =>
+        getState(user) === CALL_STATES.CONNECTED &&
+        getState(therapist) === CALL_STATES.CONNECTED,
+    );
+    expect(user.adapter.lastPeerConnection.config.iceServers).toEqual(
+      ICE_SERVERS,
+    );
+
+    await user.callManager.endCall();
+    await waitFor(() => getState(therapist) === CALL_STATES.ENDED);
+    expect(server.getCall(callId).status).toBe(LOOPBACK_CALL_STATUS.ENDED);
+  });
+
+  test("meters the user's call and settles on the server's figure", async () => {
+    const updates = [];
+    user.callManager.on(CALL_MANAGER_EVENTS.BILLING_CHANGED, billing =>
+      updates.push(billing),
+    );
+
+    await connectCall(CALL_TYPES.VOICE, { balance: 50 });
+    expect(updates[updates.length - 1]).toMatchObject({
+      balance: 50,
+      ratePerMinute: 6,
+      isRunning: true,
+    });
+    expect(therapist.callManager.getDebugInfo().callManager.billing).toBeNull();
+
+    await therapist.callManager.endCall();
+    await waitFor(() => updates.some(billing => billing?.isReconciled));
+
+    const settled = updates.find(billing => billing?.isReconciled);
+    expect(settled.remainingBalance).toBe(50 - settled.cost);
+  });
+
+  test('does not bill the time the call was on hold', async () => {
+    // Run both clocks a minute per second
+    const startedAt = Date.now();
+    const now = () => startedAt + (Date.now() - startedAt) * 60;
+    server.now = now;
+    user.callManager.billingMeter.now = now;
+    const updates = [];
+    user.callManager.on(CALL_MANAGER_EVENTS.BILLING_CHANGED, billing =>
+      updates.push(billing),
+    );
+
+    await connectCall(CALL_TYPES.VOICE, { balance: 50 });
+    await user.callManager.holdCall();
+    await new Promise(resolve => setTimeout(resolve, 500));
+    await user.callManager.unholdCall();
+    await therapist.callManager.endCall();
+    await waitFor(() => updates.some(billing => billing?.isReconciled));
+
+    // Half a minute was spent on hold
+    const settled = updates.find(billing => billing?.isReconciled);
+    expect(settled.billedSeconds).toBeLessThan(20);
+  });
+
+  test('pushes the charged balance to the user after the call', async () => {
+    server.balances.user_1 = 50;
+    const updates = [];
+    user.callManager.on(CALL_MANAGER_EVENTS.BALANCE_UPDATED, update =>
+      updates.push(update),
+    );
+
+    await connectCall(CALL_TYPES.VOICE, { balance: 50 });
+    await user.callManager.endCall();
+    await waitFor(() => updates.length > 0);
+
+    const { balance, transaction } = updates[0];
+    expect(transaction).toMatchObject({
+      type: TRANSACTION_TYPES.CALL_DEBIT,
+      callId: 'call_1',
+      balanceAfter: balance,
+    });
+    expect(balance).toBe(50 + transaction.amount);
+    expect(server.balances.user_1).toBe(balance);
+  });
+
+  test("bills the call at the therapist's own rate", async () => {
+    server.pricing.therapist_1 = { ratePerMinute: 12, introMinutes: 1 };
+    const updates = [];
+    user.callManager.on(CALL_MANAGER_EVENTS.BILLING_CHANGED, billing =>
+      updates.push(billing),
+    );
+
+    await connectCall(CALL_TYPES.VOICE, { balance: 50 });
+
+    const pricing = {
+      ratePerMinute: 12,
+      introMinutes: 1,
+      introRatePerMinute: 0,
+    };
+    expect(therapist.callManager.getCallData().pricing).toEqual(pricing);
+    expect(user.callManager.getCallData().pricing).toEqual(pricing);
+    // The first minute is free
+    expect(updates[updates.length - 1]).toMatchObject({
+      ratePerMinute: 0,
+      secondsRemaining: 60 + 250,
+    });
+  });
+
+  test('refuses a call the balance does not cover', async () => {
+    const result = await user.callManager.startCall(
+      'therapist_1',
+      'Dr. Test',
+      CALL_TYPES.VOICE,
+      { balance: 5, pricing: { ratePerMinute: 6 } },
+    );
+
+    expect(result).toEqual({
+      success: false,
+      error: 'You need at least 6 coins for this call',
+    });
+    expect(getState(user)).toBe(CALL_STATES.IDLE);
+  });
+
+  test('ends the call on both sides when the coins run out', async () => {
+    const warnings = [];
+    therapist.callManager.on(CALL_MANAGER_EVENTS.BALANCE_WARNING, warning =>
+      warnings.push(warning),
+    );
+    let endedEvent = null;
+    therapist.callManager.on(CALL_MANAGER_EVENTS.CALL_ENDED, event => {
+      endedEvent = event;
+    });
+
+    // Run the meter's clock a minute per second, so the one minute that
+    // 6 coins pay for passes in one second
+    const startedAt = Date.now();
+    Object.assign(user.callManager.billingMeter, {
+      now: () => startedAt + (Date.now() - startedAt) * 60,
+      tickInterval: 50,
+    });
+
+    await connectCall(CALL_TYPES.VOICE, { balance: 6 });
+    await waitFor(() => endedEvent, 3000);
+
+    expect(warnings[0]).toEqual({ secondsRemaining: 60, isLocal: false });
+    expect(endedEvent.metadata.reason).toBe(END_REASONS.INSUFFICIENT_BALANCE);
+    expect(getState(user)).toBe(CALL_STATES.DISCONNECTING);
+  });
+
+  test('charges no more than the balance when a held call runs out', async () => {
+    server.balances.user_1 = 6;
+    const updates = [];
+    user.callManager.on(CALL_MANAGER_EVENTS.BALANCE_UPDATED, update =>
+      updates.push(update),
+    );
+    let endedEvent = null;
+    therapist.callManager.on(CALL_MANAGER_EVENTS.CALL_ENDED, event => {
+      endedEvent = event;
+    });
+
+    // Run both clocks a minute per second
+    const startedAt = Date.now();
+    const now = () => startedAt + (Date.now() - startedAt) * 60;
+    server.now = now;
+    Object.assign(user.callManager.billingMeter, { now, tickInterval: 50 });
+
+    await connectCall(CALL_TYPES.VOICE, { balance: 6 });
+    await user.callManager.holdCall();
+    // Coins spent on another device while the call is on hold
+    server.balances.user_1 = 4;
+    await new Promise(resolve => setTimeout(resolve, 500));
+    await user.callManager.unholdCall();
+    await waitFor(() => endedEvent && updates.length > 0, 3000);
+
+    expect(endedEvent.metadata.reason).toBe(END_REASONS.INSUFFICIENT_BALANCE);
+    expect(updates[0].balance).toBe(0);
+    expect(updates[0].transaction.amount).toBe(-4);
+    expect(server.balances.user_1).toBe(0);
+  });
+
+  test('reports a rejected call to the user', async () => {
+    await user.callManager.startCall('therapist_1', 'Dr. Test');
+    await waitFor(() => therapist.incomingCall);
+
+    await therapist.callManager.rejectCall(therapist.incomingCall.callId);
+    await waitFor(() => getState(user) === CALL_STATES.REJECTED);
+  });
+
+  test('stops refreshing ICE servers once the call is over', async () => {
+    await connectCall();
+    const provider = user.callManager.iceServerProvider;
+    expect(provider.isRefreshing).toBe(true);
+
+    await therapist.callManager.endCall();
+    await waitFor(() => getState(user) === CALL_STATES.IDLE);
+    expect(provider.isRefreshing).toBe(false);
+    expect(provider.refreshTimeout).toBeNull();
+  });
+
+  test('fails to start a call to an offline therapist', async () => {
+    await therapist.callManager.cleanup();
+
+    const startResult = await user.callManager.startCall(
+      'therapist_1',
+      'Dr. Test',
+    );
+    expect(startResult.success).toBe(false);
+    expect(startResult.error).toBe('Therapist is offline');
+  });
+
+  test('exchanges ICE candidates through the server', async () => {
+    await connectCall();
+
+    await waitFor(
+      () =>
+        user.adapter.lastPeerConnection.addedCandidates.length === 2 &&
+        therapist.adapter.lastPeerConnection.addedCandidates.length === 2,
+    );
+  });
+
+  test('fails the call when the microphone is denied', async () => {
+    const error = new Error('Permission denied');
+    error.name = 'NotAllowedError';
+    user.adapter.injectFailure(FAKE_OPERATIONS.GET_USER_MEDIA, error);
+
+    const startResult = await user.callManager.startCall(
+      'therapist_1',
+      'Dr. Test',
+    );
+    expect(startResult.success).toBe(false);
+    expect(startResult.error).toMatch(/Microphone access denied/);
+    expect(getState(user)).toBe(CALL_STATES.FAILED);
+  });
+
+  test('fails the call when the media path never connects', async () => {
+    user.adapter.injectFailure(FAKE_OPERATIONS.CONNECT);
+
+    await user.callManager.startCall('therapist_1', 'Dr. Test');
+    await waitFor(() => therapist.incomingCall);
+    await therapist.callManager.acceptCall(therapist.incomingCall.callId);
+
+    await waitFor(() => getState(user) === CALL_STATES.FAILED);
+  });
+
+  test('recovers a failed media path with an ICE restart', async () => {
+    await connectCall();
+    const states = [];
+    user.callManager.on(CALL_MANAGER_EVENTS.STATE_CHANGED, ({ newState }) => {
+      states.push(newState);
+    });
+
+    // Let the state machine's duplicate-event window pass
+    await new Promise(resolve => setTimeout(resolve, 600));
+    user.adapter.lastPeerConnection.simulateFailure();
+
+    await waitFor(() => states.includes(CALL_STATES.CONNECTED));
+    expect(states).toEqual([CALL_STATES.RECONNECTING, CALL_STATES.CONNECTED]);
+    expect(user.adapter.lastPeerConnection.iceGeneration).toBe(1);
+    expect(therapist.adapter.lastPeerConnection.iceGeneration).toBe(1);
+  });
+
+  test('re-sends an ICE restart offer that was lost', async () => {
+    await connectCall();
+    user.callManager.webrtcService.connectionLossGracePeriod = 50;
+    user.callManager.iceRestartRetryDelay = 100;
+    const states = [];
+    user.callManager.on(CALL_MANAGER_EVENTS.STATE_CHANGED, ({ newState }) => {
+      states.push(newState);
+    });
+
+    // The server acknowledges the first restart offer but never relays it
+    const relayOffer = server.handlers[SOCKET_EVENTS.OFFER];
+    let lostOffers = 0;
+    server.handlers[SOCKET_EVENTS.OFFER] = function (
+      session,
+      event,
+      data,
+      respond,
+    ) {
+      if (data.iceRestart && lostOffers === 0) {
+        lostOffers += 1;
+        respond({ success: true });
+        return;
+      }
+      relayOffer.call(this, session, event, data, respond);
+    };
+
+    await new Promise(resolve => setTimeout(resolve, 600));
+    user.adapter.lastPeerConnection.simulateDisconnect();
+
+    await waitFor(() => states.includes(CALL_STATES.CONNECTED));
+    expect(lostOffers).toBe(1);
+    expect(states).toEqual([CALL_STATES.RECONNECTING, CALL_STATES.CONNECTED]);
+    expect(therapist.adapter.lastPeerConnection.iceGeneration).toBe(1);
+    expect(getState(therapist)).toBe(CALL_STATES.CONNECTED);
+  });
+
+  test('waits for ICE checks after an answered restart', async () => {
+    await connectCall();
+    user.callManager.iceRestartRetryDelay = 50;
+    const restartIce = jest.spyOn(user.callManager.webrtcService, 'restartIce');
+
+    // The restart is answered, but the new checks have not finished yet
+    user.adapter.options.autoConnect = false;
+    await new Promise(resolve => setTimeout(resolve, 600));
+    const userConnection = user.adapter.lastPeerConnection;
+    userConnection.simulateFailure();
+    await waitFor(() => userConnection.iceGeneration === 1);
+    await waitFor(() => userConnection.signalingState === 'stable');
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+    expect(restartIce).toHaveBeenCalledTimes(1);
+    expect(getState(user)).toBe(CALL_STATES.RECONNECTING);
+
+    userConnection.runConnectivityChecks();
+    await waitFor(() => getState(user) === CALL_STATES.CONNECTED);
+  });
+
+  test('puts the call on hold on both sides', async () => {
+    await connectCall();
+
+    expect((await user.callManager.holdCall()).success).toBe(true);
+    await waitFor(() => getState(therapist) === CALL_STATES.ON_HOLD);
+    expect(getState(user)).toBe(CALL_STATES.ON_HOLD);
+    expect(therapist.callManager.holdInitiator).toBe(HOLD_INITIATORS.REMOTE);
+    const localTrack =
+      user.callManager.webrtcService.localStream.getTracks()[0];
+    expect(localTrack.enabled).toBe(false);
+
+    const therapistResume = await therapist.callManager.unholdCall();
+    expect(therapistResume.success).toBe(false);
+
+    expect((await user.callManager.unholdCall()).success).toBe(true);
+    await waitFor(() => getState(therapist) === CALL_STATES.CONNECTED);
+    expect(getState(user)).toBe(CALL_STATES.CONNECTED);
+    expect(localTrack.enabled).toBe(true);
+  });
+
+  test('tells the other participant about mute changes', async () => {
+    await connectCall();
+    const changes = [];
+    therapist.callManager.on(
+      CALL_MANAGER_EVENTS.REMOTE_MUTE_CHANGED,
+      ({ muted }) => changes.push(muted),
+    );
+
+    await user.callManager.setMuted(true);
+    await waitFor(() => changes.length === 1);
+    await user.callManager.setMuted(false);
+    await waitFor(() => changes.length === 2);
+
+    expect(changes).toEqual([true, false]);
+    expect(therapist.callManager.isRemoteMuted).toBe(false);
+  });
+
+  test('runs a video call and downgrades it to audio only', async () => {
+    await connectCall(CALL_TYPES.VIDEO);
+    await waitFor(
+      () =>
+        user.callManager.getVideoState().remoteStream &&
+        therapist.callManager.getVideoState().remoteStream,
+    );
+
+    const therapistVideo = therapist.callManager.getVideoState();
+    expect(therapistVideo.isVideoCall).toBe(true);
+    expect(therapistVideo.localStream.getVideoTracks()).toHaveLength(1);
+    expect(therapistVideo.remoteStream.getVideoTracks()).toHaveLength(1);
+
+    await user.callManager.setCameraEnabled(false);
+    await waitFor(() => !therapist.callManager.isRemoteCameraOn);
+    expect(
+      user.callManager.getVideoState().localStream.getVideoTracks()[0].enabled,
+    ).toBe(false);
+
+    const switchResult = await user.callManager.switchCamera();
+    expect(switchResult.facingMode).toBe('environment');
+
+    await therapist.callManager.downgradeToAudio();
+    await waitFor(
+      () => user.callManager.getCallData().callType === CALL_TYPES.VOICE,
+    );
+
+    [user, therapist].forEach(participant => {
+      const { localStream } = participant.callManager.getVideoState();
+      expect(localStream.getVideoTracks()).toHaveLength(0);
+      const videoSenders = participant.adapter.lastPeerConnection
+        .getSenders()
+        .filter(sender => sender.track && sender.track.kind === 'video');
+      expect(videoSenders).toHaveLength(0);
+    });
+    expect(getState(user)).toBe(CALL_STATES.CONNECTED);
+  });
+
+  test('upgrades a voice call to video once the other side accepts', async () => {
+    await connectCall();
+    const userUpdates = [];
+    const therapistUpdates = [];
+    user.callManager.on(CALL_MANAGER_EVENTS.VIDEO_UPGRADE_CHANGED, update =>
+      userUpdates.push(update),
+    );
+    therapist.callManager.on(
+      CALL_MANAGER_EVENTS.VIDEO_UPGRADE_CHANGED,
+      update => therapistUpdates.push(update),
+    );
+
+    await user.callManager.requestVideoUpgrade();
+    await waitFor(() => therapistUpdates.length === 1);
+    await therapist.callManager.declineVideoUpgrade();
+    await waitFor(() => userUpdates.length === 2);
+    expect(userUpdates[1]).toEqual({
+      direction: VIDEO_UPGRADE_DIRECTIONS.OUTGOING,
+      status: VIDEO_UPGRADE_STATUS.DECLINED,
+    });
+    expect(user.callManager.getCallData().callType).toBe(CALL_TYPES.VOICE);
+
+    await user.callManager.requestVideoUpgrade();
+    await waitFor(() => therapistUpdates.length === 3);
+    expect(therapistUpdates[2]).toEqual({
+      direction: VIDEO_UPGRADE_DIRECTIONS.INCOMING,
+      status: VIDEO_UPGRADE_STATUS.PENDING,
+    });
+    await therapist.callManager.acceptVideoUpgrade();
+
+    const hasRemoteVideo = participant =>
+      participant.callManager.getVideoState().remoteStream?.getVideoTracks()
+        .length === 1;
+    await waitFor(() => hasRemoteVideo(user) && hasRemoteVideo(therapist));
+
+    [user, therapist].forEach(participant => {
+      expect(participant.callManager.getVideoState().isVideoCall).toBe(true);
+      expect(participant.adapter.lastPeerConnection.signalingState).toBe(
+        'stable',
+      );
+    });
+    expect(getState(user)).toBe(CALL_STATES.CONNECTED);
+    expect(getState(therapist)).toBe(CALL_STATES.CONNECTED);
+  });
+
+  test('keeps the call voice when video is accepted too late', async () => {
+    await connectCall();
+    const userUpdates = [];
+    user.callManager.on(CALL_MANAGER_EVENTS.VIDEO_UPGRADE_CHANGED, update =>
+      userUpdates.push(update),
+    );
+    let therapistPending = false;
+    therapist.callManager.on(
+      CALL_MANAGER_EVENTS.VIDEO_UPGRADE_CHANGED,
+      ({ status }) => {
+        therapistPending = status === VIDEO_UPGRADE_STATUS.PENDING;
+      },
+    );
+
+    // The user's request expires while the therapist is still deciding
+    user.callManager.timeouts.videoUpgrade = 50;
+    await user.callManager.requestVideoUpgrade();
+    await waitFor(() => therapistPending);
+    await waitFor(() =>
+      userUpdates.some(({ status }) => status === VIDEO_UPGRADE_STATUS.EXPIRED),
+    );
+
+    await therapist.callManager.acceptVideoUpgrade();
+    await waitFor(() => !therapist.callManager.getVideoState().isVideoCall);
+    expect(user.callManager.getVideoState().isVideoCall).toBe(false);
+    expect(
+      therapist.callManager.getVideoState().localStream.getVideoTracks(),
+    ).toHaveLength(0);
+  });
+
+  test('resolves offers sent by both sides at once', async () => {
+    await connectCall();
+    const userConnection = user.adapter.lastPeerConnection;
+    const therapistConnection = therapist.adapter.lastPeerConnection;
+
+    await Promise.all([
+      user.callManager.handleNegotiationNeeded(),
+      therapist.callManager.handleNegotiationNeeded(),
+    ]);
+    await waitFor(
+      () =>
+        userConnection.signalingState === 'stable' &&
+        therapistConnection.signalingState === 'stable',
+    );
+
+    // The polite therapist rolled back and answered the user's offer
+    expect(therapistConnection.currentRemoteDescription.sdp).toBe(
+      userConnection.currentLocalDescription.sdp,
+    );
+    expect(userConnection.currentLocalDescription.type).toBe('offer');
+    expect(getState(user)).toBe(CALL_STATES.CONNECTED);
+    expect(getState(therapist)).toBe(CALL_STATES.CONNECTED);
+  });
+
+  test('chats over the data channel with delivery receipts', async () => {
+    await connectCall();
+    const userChat = user.callManager.chatService;
+    const therapistChat = therapist.callManager.chatService;
+    await waitFor(() => userChat.isAvailable() && therapistChat.isAvailable());
+
+    userChat.setTyping(true);
+    await waitFor(() => therapistChat.isRemoteTyping);
+
+    const { message } = userChat.sendMessage('Hello doctor');
+    await waitFor(() => userChat.getMessages()[0].status === 'delivered');
+
+    expect(therapistChat.isRemoteTyping).toBe(false);
+    expect(therapistChat.getMessages()).toEqual([
+      expect.objectContaining({
+        id: message.id,
+        text: 'Hello doctor',
+        isLocal: false,
+      }),
+    ]);
+
+    await therapist.callManager.endCall();
+    await waitFor(() => getState(user) === CALL_STATES.ENDED);
+    await waitFor(() => getState(user) === CALL_STATES.IDLE);
+    expect(userChat.getMessages()).toEqual([]);
+  });
+
+  test('delivers a call end missed while the socket was down', async () => {
+    await connectCall();
+
+    therapist.transport.socket.simulateDrop();
+    await user.callManager.endCall();
+    expect(getState(therapist)).toBe(CALL_STATES.CONNECTED);
+
+    therapist.transport.socket.simulateReconnect();
+    await waitFor(() => getState(therapist) === CALL_STATES.ENDED);
+  });
+
+  test('replays signaling missed while the socket was down exactly once', async () => {
+    await connectCall();
+    const changes = [];
+    therapist.callManager.on(
+      CALL_MANAGER_EVENTS.REMOTE_MUTE_CHANGED,
+      ({ muted }) => changes.push(muted),
+    );
+    let resumed = null;
+    therapist.callManager.on(CALL_MANAGER_EVENTS.SESSION_RESUMED, data => {
+      resumed = data;
+    });
+
+    await user.callManager.setMuted(true);
+    await waitFor(() => changes.length === 1);
+
+    therapist.transport.socket.simulateDrop();
+    await user.callManager.setMuted(false);
+
+    // Have the server replay the whole call, including what was delivered
+    const resumeCall = server.handlers[SOCKET_EVENTS.RESUME_CALL];
+    let replayed = [];
+    server.handlers[SOCKET_EVENTS.RESUME_CALL] = function (
+      session,
+      event,
+      data,
+      respond,
+    ) {
+      replayed = this.calls
+        .get(data.callId)
+        .history.filter(message => message.userId === session.userId);
+      resumeCall.call(this, session, event, { ...data, lastSeq: 0 }, respond);
+    };
+
+    therapist.transport.socket.simulateReconnect();
+    await waitFor(() => resumed);
+
+    expect(replayed.map(message => message.event)).toEqual(
+      expect.arrayContaining([SOCKET_EVENTS.OFFER, SOCKET_EVENTS.MUTE_STATE]),
+    );
+    expect(changes).toEqual([true, false]);
+    expect(getState(therapist)).toBe(CALL_STATES.CONNECTED);
+  });
+});
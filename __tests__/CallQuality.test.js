@@ -0,0 +1,125 @@
+/**
+ * @format
+ */
+
+import { normalizeStatsReport, CANDIDATE_TYPES } from '../src/utils/CallStats';
+import {
+  assessCallQuality,
+  estimateMos,
+  getQualityLevel,
+  QUALITY_LEVELS,
+} from '../src/utils/CallQuality';
+
+const buildReport = ({ rtt, jitter, packetsLost, packetsReceived }) =>
+  new Map(
+    [
+      {
+        id: 'T01',
+        type: 'transport',
+        selectedCandidatePairId: 'CP01',
+      },
+      {
+        id: 'CP01',
+        type: 'candidate-pair',
+        localCandidateId: 'L01',
+        remoteCandidateId: 'R01',
+        currentRoundTripTime: rtt,
+        state: 'succeeded',
+        nominated: true,
+      },
+      { id: 'L01', type: 'local-candidate', candidateType: 'relay' },
+      { id: 'R01', type: 'remote-candidate', candidateType: 'srflx' },
+      {
+        id: 'IA01',
+        type: 'inbound-rtp',
+        kind: 'audio',
+        jitter,
+        packetsLost,
+        packetsReceived,
+        bytesReceived: 40000,
+        audioLevel: 0.2,
+      },
+      { id: 'OA01', type: 'outbound-rtp', kind: 'audio', bytesSent: 38000 },
+    ].map(stat => [stat.id, stat]),
+  );
+
+test('normalizes a stats report into a sample', () => {
+  const sample = normalizeStatsReport(
+    buildReport({
+      rtt: 0.08,
+      jitter: 0.012,
+      packetsLost: 2,
+      packetsReceived: 998,
+    }),
+  );
+
+  expect(sample.rtt).toBe(80);
+  expect(sample.jitter).toBe(12);
+  expect(sample.packetLoss).toBeCloseTo(0.002);
+  expect(sample.audioLevel).toBe(0.2);
+  expect(sample.localCandidateType).toBe(CANDIDATE_TYPES.RELAY);
+  expect(sample.remoteCandidateType).toBe(CANDIDATE_TYPES.SRFLX);
+});
+
+test('computes packet loss over the polling interval', () => {
+  const previous = normalizeStatsReport(
+    buildReport({
+      rtt: 0.05,
+      jitter: 0.01,
+      packetsLost: 0,
+      packetsReceived: 500,
+    }),
+  );
+  const sample = normalizeStatsReport(
+    buildReport({
+      rtt: 0.05,
+      jitter: 0.01,
+      packetsLost: 50,
+      packetsReceived: 950,
+    }),
+    previous,
+  );
+
+  expect(sample.packetLoss).toBeCloseTo(50 / 500);
+});
+
+test('scores a clean connection as excellent', () => {
+  const quality = assessCallQuality(
+    normalizeStatsReport(
+      buildReport({
+        rtt: 0.04,
+        jitter: 0.005,
+        packetsLost: 0,
+        packetsReceived: 1000,
+      }),
+    ),
+  );
+
+  expect(quality.level).toBe(QUALITY_LEVELS.EXCELLENT);
+  expect(quality.isUnstable).toBe(false);
+});
+
+test('flags heavy loss and latency as unstable', () => {
+  const quality = assessCallQuality(
+    normalizeStatsReport(
+      buildReport({
+        rtt: 0.6,
+        jitter: 0.08,
+        packetsLost: 120,
+        packetsReceived: 880,
+      }),
+    ),
+  );
+
+  expect(quality.level).toBe(QUALITY_LEVELS.CRITICAL);
+  expect(quality.isUnstable).toBe(true);
+  expect(quality.reasons).toEqual(['packet_loss', 'high_latency']);
+});
+
+test('maps MOS values to levels', () => {
+  expect(getQualityLevel(4.3)).toBe(QUALITY_LEVELS.EXCELLENT);
+  expect(getQualityLevel(3.8)).toBe(QUALITY_LEVELS.GOOD);
+  expect(getQualityLevel(3.3)).toBe(QUALITY_LEVELS.POOR);
+  expect(getQualityLevel(2.0)).toBe(QUALITY_LEVELS.CRITICAL);
+  expect(estimateMos(null)).toBeNull();
+});
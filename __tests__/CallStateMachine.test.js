@@ -0,0 +1,114 @@
+/**
+ * @format
+ */
+
+import CallStateMachine, {
+  CALL_EVENTS,
+  CALL_STATES,
+  DIAGRAM_FORMATS,
+  TIMEOUT_REASONS,
+  exportStateDiagram,
+} from '../src/services/CallStateMachine';
+
+describe('CallStateMachine state timeouts', () => {
+  let machine;
+  let transitions;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    machine = new CallStateMachine();
+    transitions = [];
+    machine.addListener((newState, previousState, callData, metadata) => {
+      transitions.push({ newState, metadata });
+    });
+  });
+
+  afterEach(() => {
+    machine.forceReset();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const startOutgoingCall = async () => {
+    await machine.handleEvent(CALL_EVENTS.START_CALL, {
+      participantId: 'therapist_1',
+    });
+    await machine.handleEvent(CALL_EVENTS.MEDIA_ACQUIRED);
+  };
+
+  test('fails an unanswered call with a no_answer reason', async () => {
+    await startOutgoingCall();
+    expect(machine.getState()).toBe(CALL_STATES.CALLING);
+
+    await jest.advanceTimersByTimeAsync(60000);
+
+    expect(machine.getState()).toBe(CALL_STATES.FAILED);
+    expect(transitions[transitions.length - 1].metadata).toEqual({
+      reason: TIMEOUT_REASONS.NO_ANSWER,
+      timedOutState: CALL_STATES.CALLING,
+    });
+  });
+
+  test('replaces the timeout when the state is left', async () => {
+    await startOutgoingCall();
+    await jest.advanceTimersByTimeAsync(20000);
+    await machine.handleEvent(CALL_EVENTS.CALL_ACCEPTED, { callId: 'call_1' });
+
+    await jest.advanceTimersByTimeAsync(29000);
+    expect(machine.getState()).toBe(CALL_STATES.CONNECTING);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(machine.getState()).toBe(CALL_STATES.FAILED);
+    expect(transitions[transitions.length - 1].metadata.reason).toBe(
+      TIMEOUT_REASONS.CONNECTION_TIMEOUT,
+    );
+  });
+
+  test('uses delay overrides and auto-resets terminal states', async () => {
+    machine = new CallStateMachine({
+      timeouts: { [CALL_STATES.RINGING]: 100 },
+    });
+    await machine.handleEvent(CALL_EVENTS.CALL_REQUEST_RECEIVED, {
+      callId: 'call_1',
+    });
+
+    await jest.advanceTimersByTimeAsync(100);
+    expect(machine.getState()).toBe(CALL_STATES.FAILED);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(machine.getState()).toBe(CALL_STATES.IDLE);
+  });
+});
+
+describe('CallStateMachine diagram export', () => {
+  test('renders every transition with its timeout', () => {
+    const mermaid = exportStateDiagram();
+    expect(mermaid).toContain('idle --> initiating: START_CALL');
+    expect(mermaid).toContain('calling --> failed: TIMEOUT after 60s');
+
+    const table = exportStateDiagram({ format: DIAGRAM_FORMATS.MARKDOWN });
+    expect(table).toContain(
+      '| ringing | TIMEOUT | 75 | failed | 45s (missed) |',
+    );
+  });
+
+  test('overlays a recorded history on the graph', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const machine = new CallStateMachine();
+    await machine.handleEvent(CALL_EVENTS.CALL_REQUEST_RECEIVED, {
+      callId: 'call_1',
+    });
+    await machine.handleEvent(CALL_EVENTS.ACCEPT_CALL);
+
+    const dot = machine.exportDiagram(DIAGRAM_FORMATS.DOT);
+    expect(dot).toContain(
+      'idle -> ringing [label="CALL_REQUEST_RECEIVED #1" color="#28a745" penwidth=2];',
+    );
+    expect(dot).toContain('connecting [shape=box style=filled');
+    expect(dot).toContain('connected [shape=box];');
+
+    machine.forceReset();
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * @format
+ */
+
+import { CALL_MANAGER_EVENTS } from '../src/services/CallManager';
+import { CALL_STATES } from '../src/services/CallStateMachine';
+import LoopbackServer from '../src/services/transports/LoopbackServer';
+import CallTraceRecorder, {
+  TRACE_SOURCES,
+} from '../src/services/trace/CallTraceRecorder';
+import {
+  replayCallManagerTrace,
+  replayStateMachineTrace,
+} from '../src/services/trace/CallTraceReplayer';
+import { createParticipant, waitFor } from '../jest/callTestUtils';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+jest.mock('react-native-webrtc', () => ({}));
+
+describe('call trace record and replay', () => {
+  let user;
+  let therapist;
+  let trace;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const server = new LoopbackServer();
+    user = createParticipant(server, 'user_1', 'user').callManager;
+    therapist = createParticipant(
+      server,
+      'therapist_1',
+      'therapist',
+    ).callManager;
+    await therapist.initialize();
+    await user.initialize();
+
+    let incomingCall = null;
+    therapist.on(CALL_MANAGER_EVENTS.INCOMING_CALL, call => {
+      incomingCall = call;
+    });
+
+    const recorder = new CallTraceRecorder(user);
+    await recorder.start();
+
+    await user.startCall('therapist_1', 'Dr. Test');
+    await waitFor(() => incomingCall);
+    await therapist.acceptCall(incomingCall.callId);
+    await waitFor(() => user.getCallState() === CALL_STATES.CONNECTED);
+    await therapist.endCall();
+    await waitFor(() => user.getCallState() === CALL_STATES.ENDED);
+
+    // Traces are attached to bug reports as JSON
+    trace = JSON.parse(JSON.stringify(recorder.stop()));
+  });
+
+  afterEach(async () => {
+    await user.cleanup();
+    await therapist.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  test('records actions, signaling, WebRTC and state machine events', () => {
+    expect(trace.participant).toEqual({ userId: 'user_1', userType: 'user' });
+    expect(trace.finalState).toBe(CALL_STATES.ENDED);
+
+    const sources = new Set(trace.entries.map(entry => entry.source));
+    expect([...sources].sort()).toEqual(Object.values(TRACE_SOURCES).sort());
+    expect(trace.entries[0]).toMatchObject({
+      source: TRACE_SOURCES.ACTION,
+      event: 'startCall',
+      data: { args: ['therapist_1', 'Dr. Test', 'voice', {}] },
+    });
+  });
+
+  test('replays the state machine events to the same final state', async () => {
+    const result = await replayStateMachineTrace(trace);
+
+    expect(result.success).toBe(true);
+    expect(result.states).toEqual(result.expectedStates);
+  });
+
+  test('replays the trace into a fresh CallManager', async () => {
+    const result = await replayCallManagerTrace(trace);
+
+    expect(result.error).toBeUndefined();
+    expect(result.finalState).toBe(CALL_STATES.ENDED);
+    expect(result.states).toEqual(result.expectedStates);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @format
+ */
+
+import ChatService, {
+  CHAT_EVENTS,
+  MESSAGE_STATUS,
+} from '../src/services/ChatService';
+import { FakeRTCDataChannel } from '../src/services/webrtc/FakeWebRTCAdapter';
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ChatService', () => {
+  let localChannel;
+  let remoteChannel;
+  let local;
+  let remote;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    localChannel = new FakeRTCDataChannel('chat');
+    remoteChannel = new FakeRTCDataChannel('chat');
+    localChannel.remote = remoteChannel;
+    remoteChannel.remote = localChannel;
+
+    local = new ChatService({ typingTimeout: 100 });
+    remote = new ChatService({ typingTimeout: 100 });
+    local.attachChannel(localChannel);
+    remote.attachChannel(remoteChannel);
+  });
+
+  afterEach(() => {
+    local.reset();
+    remote.reset();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const openChannels = () => {
+    localChannel.open();
+    remoteChannel.open();
+  };
+
+  test('queues messages until the channel opens', async () => {
+    const result = local.sendMessage('  Are you there?  ');
+    expect(result.message).toMatchObject({
+      text: 'Are you there?',
+      status: MESSAGE_STATUS.PENDING,
+    });
+
+    openChannels();
+    expect(local.getMessages()[0].status).toBe(MESSAGE_STATUS.SENT);
+
+    await flush();
+    expect(remote.getMessages()).toHaveLength(1);
+    expect(local.getMessages()[0].status).toBe(MESSAGE_STATUS.DELIVERED);
+  });
+
+  test('acknowledges a resent message without showing it twice', async () => {
+    openChannels();
+    const received = [];
+    remote.on(CHAT_EVENTS.MESSAGE_RECEIVED, message => received.push(message));
+
+    const { message } = local.sendMessage('Hello');
+    localChannel.send(
+      JSON.stringify({ type: 'message', id: message.id, text: 'Hello' }),
+    );
+    await flush();
+
+    expect(received).toHaveLength(1);
+    expect(
+      remoteChannel.sentMessages.filter(data => data.includes('receipt')),
+    ).toHaveLength(2);
+  });
+
+  test('expires a typing indicator that never stops', async () => {
+    openChannels();
+    local.setTyping(true);
+    local.setTyping(true);
+    await flush();
+    expect(localChannel.sentMessages).toHaveLength(1);
+    expect(remote.isRemoteTyping).toBe(true);
+
+    jest.useFakeTimers();
+    remote.setRemoteTyping(true);
+    jest.advanceTimersByTime(100);
+    expect(remote.isRemoteTyping).toBe(false);
+  });
+
+  test('rejects empty and oversized messages', () => {
+    expect(local.sendMessage('   ')).toEqual({
+      success: false,
+      error: 'Message is empty',
+    });
+    expect(local.sendMessage('a'.repeat(2001)).success).toBe(false);
+    expect(local.getMessages()).toEqual([]);
+  });
+});
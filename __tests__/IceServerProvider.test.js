@@ -0,0 +1,85 @@
+/**
+ * @format
+ */
+
+import IceServerProvider, {
+  ICE_SERVER_EVENTS,
+  ICE_SERVER_SOURCES,
+} from '../src/services/IceServerProvider';
+import { FALLBACK_ICE_SERVERS } from '../src/config/api';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const turnServers = username => [
+  { urls: 'turn:turn.example.com:3478', username, credential: 'secret' },
+];
+
+describe('IceServerProvider', () => {
+  let fetchIceServers;
+  let provider;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    fetchIceServers = jest.fn();
+    provider = new IceServerProvider({ fetchIceServers, refreshMargin: 60000 });
+  });
+
+  afterEach(() => {
+    provider.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('caches server credentials and refreshes them before expiry', async () => {
+    fetchIceServers
+      .mockResolvedValueOnce({ iceServers: turnServers('first'), ttl: 600 })
+      .mockResolvedValueOnce({ iceServers: turnServers('second'), ttl: 600 });
+    const updates = [];
+    provider.on(ICE_SERVER_EVENTS.UPDATED, update => updates.push(update));
+
+    const first = await provider.getIceServers();
+    expect(first.source).toBe(ICE_SERVER_SOURCES.SERVER);
+    expect(await provider.getIceServers()).toBe(first);
+    expect(fetchIceServers).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(540000);
+
+    expect(fetchIceServers).toHaveBeenCalledTimes(2);
+    expect(updates[1].iceServers).toEqual(turnServers('second'));
+  });
+
+  test('falls back to public STUN servers when the fetch fails', async () => {
+    fetchIceServers
+      .mockRejectedValueOnce(new Error('Network Error'))
+      .mockResolvedValueOnce({ iceServers: turnServers('retry'), ttl: 600 });
+
+    const fallback = await provider.getIceServers();
+    expect(fallback).toEqual({
+      iceServers: FALLBACK_ICE_SERVERS,
+      source: ICE_SERVER_SOURCES.FALLBACK,
+      expiresAt: null,
+    });
+
+    // The next call tries the server again
+    const retried = await provider.getIceServers();
+    expect(retried.iceServers).toEqual(turnServers('retry'));
+  });
+
+  test('keeps unexpired credentials when a refresh fails', async () => {
+    fetchIceServers
+      .mockResolvedValueOnce({ iceServers: turnServers('first'), ttl: 600 })
+      .mockRejectedValueOnce(new Error('Network Error'));
+
+    await provider.getIceServers();
+    await jest.advanceTimersByTimeAsync(540000);
+
+    expect(fetchIceServers).toHaveBeenCalledTimes(2);
+    const { current } = provider;
+    expect(current.source).toBe(ICE_SERVER_SOURCES.SERVER);
+    expect(current.iceServers).toEqual(turnServers('first'));
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * @format
+ */
+
+import {
+  DEFAULT_RATE_PER_MINUTE,
+  formatCoins,
+  formatFreeMinutesOffer,
+  formatPricing,
+  getAffordableSeconds,
+  getCallCost,
+  getFreeSecondsUsed,
+  getMinimumBalance,
+  getPricing,
+} from '../src/utils/Pricing';
+
+describe('Pricing', () => {
+  const introOffer = getPricing({
+    ratePerMinute: 12,
+    introMinutes: 5,
+    introRatePerMinute: 6,
+  });
+  const freeMinutes = getPricing({ ratePerMinute: 12, introMinutes: 5 });
+
+  test('falls back to the default rate', () => {
+    expect(getPricing({ name: 'Dr. Test' })).toEqual({
+      ratePerMinute: DEFAULT_RATE_PER_MINUTE,
+      introMinutes: 0,
+      introRatePerMinute: 0,
+    });
+  });
+
+  test('bills introductory minutes at their own rate', () => {
+    expect(getCallCost(240, introOffer)).toBe(24);
+    expect(getCallCost(330, introOffer)).toBe(36);
+    expect(getCallCost(330, freeMinutes)).toBe(6);
+    expect(getMinimumBalance(introOffer)).toBe(6);
+    expect(getMinimumBalance(freeMinutes)).toBe(0);
+  });
+
+  test('projects how long a balance lasts', () => {
+    // 30 coins: 5 intro minutes for 30 coins, nothing left after
+    expect(getAffordableSeconds(30, 0, introOffer)).toBe(300);
+    expect(getAffordableSeconds(10, 0, introOffer)).toBe(100);
+    // Free minutes still left, then 1 coin buys 5 seconds at 12 coins/min
+    expect(getAffordableSeconds(1, 240, freeMinutes)).toBe(65);
+    expect(getAffordableSeconds(-2, 600, freeMinutes)).toBe(0);
+  });
+
+  test('spends free minutes before coins', () => {
+    const standard = getPricing();
+    // 10 free minutes, then 6 coins/min
+    expect(getCallCost(900, standard, 600)).toBe(30);
+    expect(getMinimumBalance(standard, 600)).toBe(0);
+    expect(getAffordableSeconds(6, 0, standard, 600)).toBe(660);
+
+    // Not used up during a therapist's own free minutes
+    expect(getFreeSecondsUsed(420, freeMinutes, 600)).toBe(120);
+    expect(getCallCost(1200, freeMinutes, 600)).toBe(60);
+    // Reduced intro minutes are paid for with free minutes first
+    expect(getCallCost(420, introOffer, 120)).toBe(42);
+  });
+
+  test('formats prices for display', () => {
+    expect(formatCoins(12)).toBe('12');
+    expect(formatCoins(3.4)).toBe('3.4');
+    expect(formatCoins(0.08333)).toBe('0.08');
+    expect(formatPricing(getPricing())).toBe('6 coins/min');
+    expect(formatPricing(freeMinutes)).toBe(
+      'First 5 min free, then 12 coins/min',
+    );
+    expect(formatPricing(introOffer)).toBe(
+      'First 5 min at 6 coins/min, then 12 coins/min',
+    );
+    expect(formatFreeMinutesOffer(getPricing(), 10)).toBe(
+      'first 10 minutes free, then 6 coins/min',
+    );
+    expect(formatFreeMinutesOffer(freeMinutes, 10)).toBe(
+      'first 15 minutes free, then 12 coins/min',
+    );
+    expect(formatFreeMinutesOffer(introOffer, 2)).toBe(
+      'first 2 minutes free, then 3 min at 6 coins/min, then 12 coins/min',
+    );
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @format
+ */
+
+import SetupTestService, {
+  SETUP_TEST_EVENTS,
+  SETUP_TEST_STATUS,
+  SETUP_TEST_STEPS,
+} from '../src/services/SetupTestService';
+import IceServerProvider from '../src/services/IceServerProvider';
+import FakeWebRTCAdapter from '../src/services/webrtc/FakeWebRTCAdapter';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+jest.mock('react-native-webrtc', () => ({}));
+
+const relayCandidates = ({ generation }) => [
+  {
+    candidate: `candidate:3 1 udp 41885439 198.51.100.7 3478 typ relay raddr 203.0.113.1 rport 50001 generation ${generation}`,
+    sdpMid: '0',
+    sdpMLineIndex: 0,
+  },
+];
+
+const createService = adapterOptions =>
+  new SetupTestService({
+    adapter: new FakeWebRTCAdapter(adapterOptions),
+    iceServerProvider: new IceServerProvider({
+      fetchIceServers: async () => ({
+        iceServers: [{ urls: 'turn:turn.example.com:3478' }],
+      }),
+    }),
+    captureDuration: 30,
+    pollInterval: 10,
+  });
+
+const getStatuses = steps =>
+  Object.fromEntries(steps.map(step => [step.id, step.status]));
+
+describe('SetupTestService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('passes with sound and a reachable relay server', async () => {
+    const service = createService({
+      candidates: relayCandidates,
+      stats: { audioLevel: 0.3, localCandidateType: 'relay' },
+    });
+    const levels = [];
+    service.on(SETUP_TEST_EVENTS.AUDIO_LEVEL, level => levels.push(level));
+
+    const result = await service.run();
+
+    expect(result.status).toBe(SETUP_TEST_STATUS.PASS);
+    expect(levels.length).toBeGreaterThan(0);
+    const connectivity = result.steps.find(
+      step => step.id === SETUP_TEST_STEPS.CONNECTIVITY,
+    );
+    expect(connectivity.details).toMatchObject({
+      candidateType: 'relay',
+      candidateTypes: ['relay'],
+    });
+  });
+
+  test('warns about silence and an unreachable relay server', async () => {
+    const service = createService({ stats: { audioLevel: 0 } });
+
+    const result = await service.run();
+
+    expect(result.status).toBe(SETUP_TEST_STATUS.WARN);
+    expect(getStatuses(result.steps)).toEqual({
+      [SETUP_TEST_STEPS.PERMISSION]: SETUP_TEST_STATUS.PASS,
+      [SETUP_TEST_STEPS.MICROPHONE]: SETUP_TEST_STATUS.WARN,
+      [SETUP_TEST_STEPS.CONNECTIVITY]: SETUP_TEST_STATUS.WARN,
+    });
+  });
+
+  test('fails every check when microphone permission is denied', async () => {
+    const service = createService();
+    jest
+      .spyOn(service.webrtcService, 'checkPermissions')
+      .mockRejectedValue(new Error('Microphone permission denied'));
+
+    const result = await service.run();
+
+    expect(result.status).toBe(SETUP_TEST_STATUS.FAIL);
+    expect(Object.values(getStatuses(result.steps))).toEqual([
+      SETUP_TEST_STATUS.FAIL,
+      SETUP_TEST_STATUS.FAIL,
+      SETUP_TEST_STATUS.FAIL,
+    ]);
+  });
+});
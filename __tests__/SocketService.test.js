@@ -0,0 +1,222 @@
+/**
+ * @format
+ */
+
+import SocketService, {
+  DROP_REASONS,
+  SOCKET_EVENTS,
+} from '../src/services/SocketService';
+import LoopbackTransport from '../src/services/transports/LoopbackTransport';
+import LoopbackServer from '../src/services/transports/LoopbackServer';
+import { createAuthService } from '../jest/callTestUtils';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+jest.mock('react-native-webrtc', () => ({}));
+
+const createSocketService = (server, userId, userType) =>
+  new SocketService({
+    transport: new LoopbackTransport(server),
+    authService: createAuthService(userId, userType),
+  });
+
+describe('SocketService over loopback transport', () => {
+  let server;
+  let socketService;
+  let therapistSocketService;
+  let sent;
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    server = new LoopbackServer();
+    socketService = createSocketService(server, 'user_1', 'user');
+    therapistSocketService = createSocketService(
+      server,
+      'therapist_1',
+      'therapist',
+    );
+    await therapistSocketService.connect();
+    await socketService.connect();
+
+    sent = [];
+    socketService.on('message_sent', ({ event, data }) =>
+      sent.push({ event, messageId: data.messageId }),
+    );
+  });
+
+  afterEach(async () => {
+    await socketService.disconnect();
+    await therapistSocketService.disconnect();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  // The server handles the next `count` messages but their acks are lost
+  const loseAcks = count => {
+    let remaining = count;
+    const handleMessage = server.handleMessage.bind(server);
+    jest
+      .spyOn(server, 'handleMessage')
+      .mockImplementation((socket, event, data, ack) => {
+        if (remaining > 0) {
+          remaining -= 1;
+          handleMessage(socket, event, data);
+          return;
+        }
+        handleMessage(socket, event, data, ack);
+      });
+  };
+
+  describe('acknowledged messages', () => {
+    test('retries an unacknowledged message with the same messageId', async () => {
+      loseAcks(1);
+      const requests = [];
+      therapistSocketService.on(SOCKET_EVENTS.CALL_REQUEST, data =>
+        requests.push(data),
+      );
+
+      const pending = socketService.initiateCall('therapist_1');
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(sent).toHaveLength(1);
+      await jest.advanceTimersByTimeAsync(500);
+      const result = await pending;
+
+      // The server acks the retry from its record of the first attempt
+      expect(result).toEqual({
+        success: true,
+        ack: expect.objectContaining({ success: true, callId: 'call_1' }),
+      });
+      expect(sent).toHaveLength(2);
+      expect(sent[1].messageId).toBe(sent[0].messageId);
+      expect(server.calls.size).toBe(1);
+      expect(requests).toHaveLength(1);
+    });
+
+    test('gives up once every attempt has timed out', async () => {
+      loseAcks(Infinity);
+
+      const pending = socketService.initiateCall('therapist_1');
+      // Three attempts, 500 ms then 1000 ms apart
+      await jest.advanceTimersByTimeAsync(5000 + 500 + 5000 + 1000 + 5000);
+      const result = await pending;
+
+      expect(result).toEqual({
+        success: false,
+        error: 'Acknowledgement timed out',
+      });
+      expect(sent).toHaveLength(3);
+      expect(new Set(sent.map(({ messageId }) => messageId)).size).toBe(1);
+    });
+
+    test('does not retry a message the server rejects', async () => {
+      const result = await socketService.initiateCall('therapist_2');
+
+      expect(result).toEqual({
+        success: false,
+        error: 'Therapist is offline',
+        ack: { success: false, error: 'Therapist is offline' },
+      });
+      expect(sent).toHaveLength(1);
+      await jest.advanceTimersByTimeAsync(10000);
+      expect(sent).toHaveLength(1);
+    });
+  });
+
+  describe('outbound queue', () => {
+    let dropped;
+
+    beforeEach(() => {
+      dropped = [];
+      socketService.on('message_dropped', ({ event, reason }) =>
+        dropped.push({ event, reason }),
+      );
+      // The socket stays active and reconnects on its own
+      socketService.socket.simulateDrop();
+    });
+
+    const sentEvents = () => sent.map(({ event }) => event);
+
+    test('sends queued messages in order once reconnected', async () => {
+      socketService.sendMuteState('call_1', true);
+      const pending = socketService.initiateCall('therapist_1');
+      socketService.sendMuteState('call_1', false);
+      expect(sent).toEqual([]);
+
+      socketService.socket.simulateReconnect();
+      const result = await pending;
+
+      expect(result.success).toBe(true);
+      expect(sentEvents()).toEqual([
+        SOCKET_EVENTS.MUTE_STATE,
+        SOCKET_EVENTS.INITIATE_CALL,
+        SOCKET_EVENTS.MUTE_STATE,
+      ]);
+      expect(dropped).toEqual([]);
+    });
+
+    test('drops messages that expired while queued', async () => {
+      socketService.sendIceCandidate('call_1', { candidate: 'a' });
+      socketService.sendMuteState('call_1', true);
+      await jest.advanceTimersByTimeAsync(10001);
+
+      socketService.socket.simulateReconnect();
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(dropped).toEqual([
+        { event: SOCKET_EVENTS.ICE_CANDIDATE, reason: DROP_REASONS.EXPIRED },
+      ]);
+      expect(sentEvents()).toEqual([SOCKET_EVENTS.MUTE_STATE]);
+    });
+
+    test('sends only the latest queued offer for a call', async () => {
+      const first = socketService.sendOffer('call_1', { sdp: 'v1' });
+      socketService.sendOffer('call_1', { sdp: 'v2' });
+
+      socketService.socket.simulateReconnect();
+
+      expect(await first).toEqual({
+        success: false,
+        error: `Message ${DROP_REASONS.SUPERSEDED}`,
+        reason: DROP_REASONS.SUPERSEDED,
+      });
+      expect(dropped).toEqual([
+        { event: SOCKET_EVENTS.OFFER, reason: DROP_REASONS.SUPERSEDED },
+      ]);
+      expect(sentEvents()).toEqual([SOCKET_EVENTS.OFFER]);
+    });
+
+    test('drops the oldest message when the queue is full', () => {
+      socketService.queueOptions.maxSize = 2;
+      socketService.sendIceCandidate('call_1', { candidate: 'a' });
+      socketService.sendMuteState('call_1', true);
+      socketService.sendMuteState('call_1', false);
+
+      expect(dropped).toEqual([
+        { event: SOCKET_EVENTS.ICE_CANDIDATE, reason: DROP_REASONS.QUEUE_FULL },
+      ]);
+      expect(socketService.outboundQueue).toHaveLength(2);
+    });
+
+    test('drops queued messages on an explicit disconnect', async () => {
+      const pending = socketService.initiateCall('therapist_1');
+      socketService.sendMuteState('call_1', true);
+
+      await socketService.disconnect();
+
+      expect(await pending).toMatchObject({
+        success: false,
+        reason: DROP_REASONS.DISCONNECTED,
+      });
+      expect(dropped.map(({ reason }) => reason)).toEqual([
+        DROP_REASONS.DISCONNECTED,
+        DROP_REASONS.DISCONNECTED,
+      ]);
+      expect(sent).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * @format
+ */
+
+import WalletService, {
+  TRANSACTION_TYPES,
+} from '../src/services/WalletService';
+import MockPaymentProvider from '../src/services/payments/MockPaymentProvider';
+import { API_ENDPOINTS } from '../src/config/api';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const PACK = { id: 'pack_100', coins: 100, price: 4.99, currency: 'USD' };
+
+describe('WalletService', () => {
+  let client;
+  let paymentProvider;
+  let wallet;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    client = { get: jest.fn(), post: jest.fn() };
+    paymentProvider = new MockPaymentProvider({ delay: 0 });
+    wallet = new WalletService({
+      client,
+      paymentProvider,
+      authService: {
+        getAuthToken: async () => 'token_user_1',
+        getUserId: async () => 'user_1',
+      },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('credits a pack once the server confirms the payment', async () => {
+    const transaction = {
+      id: 'txn_1',
+      type: TRANSACTION_TYPES.PURCHASE,
+      amount: 100,
+      balanceAfter: 112,
+    };
+    client.post.mockResolvedValue({ data: { balance: 112, transaction } });
+
+    const result = await wallet.purchase(PACK);
+
+    expect(result).toEqual({ success: true, balance: 112, transaction });
+    expect(client.post).toHaveBeenCalledWith(
+      API_ENDPOINTS.CREATE_COIN_PURCHASE,
+      {
+        packId: 'pack_100',
+        provider: 'mock',
+        paymentId: 'mock_user_1_pack_100_1',
+      },
+      { headers: { Authorization: 'Bearer token_user_1' } },
+    );
+  });
+
+  test('does not contact the server when the payment fails', async () => {
+    paymentProvider.failNextCheckout({ error: 'Card declined' });
+    paymentProvider.failNextCheckout({ cancelled: true });
+
+    expect(await wallet.purchase(PACK)).toEqual({
+      success: false,
+      error: 'Card declined',
+      cancelled: false,
+    });
+    expect((await wallet.purchase(PACK)).cancelled).toBe(true);
+    expect(client.post).not.toHaveBeenCalled();
+  });
+
+  test('only falls back to the mock provider in development', async () => {
+    const authService = { getUserId: async () => 'user_1' };
+    expect(new WalletService({ client, authService }).canPurchase()).toBe(true);
+
+    global.__DEV__ = false;
+    try {
+      const releaseWallet = new WalletService({ client, authService });
+      expect(releaseWallet.canPurchase()).toBe(false);
+      expect(await releaseWallet.purchase(PACK)).toEqual({
+        success: false,
+        error: 'Coin purchases are not available',
+      });
+      expect(client.post).not.toHaveBeenCalled();
+    } finally {
+      global.__DEV__ = true;
+    }
+  });
+
+  test('redeems promo codes for free minutes', async () => {
+    client.post.mockResolvedValueOnce({
+      data: {
+        credit: { freeMinutes: 10 },
+        balance: 12,
+        freeMinutes: 10,
+        transaction: { id: 'txn_3', type: TRANSACTION_TYPES.PROMO },
+      },
+    });
+    client.post.mockRejectedValueOnce({
+      response: { data: { message: 'This code has expired' } },
+    });
+
+    expect(await wallet.redeemPromoCode(' welcome-10 ')).toMatchObject({
+      success: true,
+      credit: { coins: 0, freeMinutes: 10 },
+      freeMinutes: 10,
+    });
+    expect(client.post.mock.calls[0][1]).toEqual({ code: 'WELCOME-10' });
+    expect(await wallet.redeemPromoCode('SUMMER')).toEqual({
+      success: false,
+      error: 'This code has expired',
+    });
+    expect(await wallet.redeemPromoCode('no')).toEqual({
+      success: false,
+      error: 'Enter a valid promo code',
+    });
+    expect(client.post).toHaveBeenCalledTimes(2);
+  });
+
+  test('loads the ledger with the current balance', async () => {
+    const transactions = [
+      { id: 'txn_2', type: TRANSACTION_TYPES.CALL_DEBIT, amount: -3 },
+      { id: 'txn_1', type: TRANSACTION_TYPES.PROMO, amount: 15 },
+    ];
+    client.get.mockResolvedValueOnce({ data: { balance: 12, transactions } });
+    client.get.mockRejectedValueOnce(new Error('Network Error'));
+
+    expect(await wallet.getTransactions()).toEqual({
+      success: true,
+      balance: 12,
+      transactions,
+    });
+    expect(await wallet.getCoinPacks()).toEqual({
+      success: false,
+      error: 'Failed to load coin packs',
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * @format
+ */
+
+import WebRTCService, { WEBRTC_EVENTS } from '../src/services/WebRTCService';
+import FakeWebRTCAdapter from '../src/services/webrtc/FakeWebRTCAdapter';
+
+jest.mock('react-native-webrtc', () => ({}));
+
+describe('WebRTCService with fake adapter', () => {
+  let adapter;
+  let service;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    adapter = new FakeWebRTCAdapter({ autoConnect: false });
+    service = new WebRTCService({ adapter });
+    await service.initialize();
+  });
+
+  afterEach(async () => {
+    await service.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  test('produces scripted SDP and a new ufrag on ICE restart', async () => {
+    const offerResult = await service.createOffer();
+    expect(offerResult.offer.sdp).toContain('a=ice-ufrag:ufrag1g0');
+
+    await service.handleAnswer({ type: 'answer', sdp: 'v=0' });
+    const restartResult = await service.restartIce();
+    expect(restartResult.offer.sdp).toContain('a=ice-ufrag:ufrag1g1');
+  });
+
+  test('ignores a colliding remote offer as the impolite peer', async () => {
+    await service.createOffer();
+
+    const result = await service.handleOffer({ type: 'offer', sdp: 'v=0' });
+    expect(result).toEqual({ success: true, answer: null });
+    expect(adapter.lastPeerConnection.signalingState).toBe('have-local-offer');
+  });
+
+  test('rolls back its own offer and answers as the polite peer', async () => {
+    service.setPolite(true);
+    await service.createOffer();
+
+    const result = await service.handleOffer({ type: 'offer', sdp: 'v=0' });
+    expect(result.success).toBe(true);
+    expect(result.answer.type).toBe('answer');
+    expect(adapter.lastPeerConnection.signalingState).toBe('stable');
+  });
+
+  test('keeps only relay candidates in relay-only mode', async () => {
+    const localCandidates = [];
+    service.on(WEBRTC_EVENTS.ICE_CANDIDATE, candidate =>
+      localCandidates.push(candidate),
+    );
+    service.setRelayOnly(true);
+    expect(adapter.lastPeerConnection.config.iceTransportPolicy).toBe('relay');
+
+    await service.createOffer();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(localCandidates).toEqual([]);
+
+    await service.handleAnswer({ type: 'answer', sdp: 'v=0' });
+    const remoteCandidate = type => ({
+      candidate: `candidate:1 1 udp 1 198.51.100.7 3478 typ ${type}`,
+      sdpMid: '0',
+      sdpMLineIndex: 0,
+    });
+    await service.addIceCandidate(remoteCandidate('host'));
+    await service.addIceCandidate(remoteCandidate('relay'));
+    expect(adapter.lastPeerConnection.addedCandidates).toHaveLength(1);
+  });
+
+  test('emits normalized stats samples', async () => {
+    const samples = [];
+    service.on(WEBRTC_EVENTS.STATS, sample => samples.push(sample));
+    adapter.setStats({ rtt: 0.2, packetLossRate: 0.1 });
+
+    await service.collectStats();
+    await service.collectStats();
+
+    expect(samples).toHaveLength(2);
+    expect(samples[1].rtt).toBe(200);
+    expect(samples[1].packetLoss).toBeCloseTo(0.1);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Shared setup for tests that run calls over the loopback transport
+ *
+ * Participants get a CallManager wired to a LoopbackServer, a
+ * FakeWebRTCAdapter and a fixed ICE server list, so nothing leaves the
+ * process.
+ */
+
+import CallManager from '../src/services/CallManager';
+import SocketService from '../src/services/SocketService';
+import IceServerProvider from '../src/services/IceServerProvider';
+import WebRTCService from '../src/services/WebRTCService';
+import FakeWebRTCAdapter from '../src/services/webrtc/FakeWebRTCAdapter';
+import LoopbackTransport from '../src/services/transports/LoopbackTransport';
+
+export const ICE_SERVERS = [
+  { urls: 'stun:stun.example.com:3478' },
+  {
+    urls: 'turn:turn.example.com:3478',
+    username: 'user',
+    credential: 'secret',
+  },
+];
+
+export const createAuthService = (userId, userType) => ({
+  getAuthToken: async () => `token_${userId}`,
+  getUserId: async () => userId,
+  getUserType: async () => userType,
+});
+
+/**
+ * A signed-in participant connected to `server`
+ *
+ * @param {Object} options
+ * @param {FakeNetwork} options.network - Shared with the other participant
+ *   so data channels connect
+ * @returns {Object} `{ callManager, transport, adapter }`
+ */
+export const createParticipant = (server, userId, userType, options = {}) => {
+  const transport = new LoopbackTransport(server);
+  const adapter = new FakeWebRTCAdapter({ network: options.network });
+  const authService = createAuthService(userId, userType);
+  const callManager = new CallManager({
+    socketService: new SocketService({ transport, authService }),
+    webrtcService: new WebRTCService({ adapter }),
+    authService,
+    iceServerProvider: new IceServerProvider({
+      fetchIceServers: async () => ({ iceServers: ICE_SERVERS, ttl: 3600 }),
+    }),
+  });
+  return { callManager, transport, adapter };
+};
+
+/**
+ * Poll until `predicate` holds, failing after `timeout` ms
+ */
+export const waitFor = async (predicate, timeout = 2000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
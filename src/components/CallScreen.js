@@ -9,10 +9,47 @@ import {
   BackHandler,
   AppState,
 } from 'react-native';
-import { Button, Avatar, LoadingSpinner } from './common';
-import { useCall, useCallState, useAuth, CALL_STATES } from '../context';
+import { RTCView } from 'react-native-webrtc';
+import { Button, Avatar, LoadingSpinner, SignalBadge } from './common';
+import ChatPanel from './ChatPanel';
+import {
+  useCall,
+  useCallState,
+  useAuth,
+  CALL_STATES,
+  TIMEOUT_REASONS,
+  END_REASONS,
+  HOLD_INITIATORS,
+  CAMERA_FACING,
+  VIDEO_UPGRADE_DIRECTIONS,
+  VIDEO_UPGRADE_STATUS,
+} from '../context';
+import { formatCoins, formatPricing } from '../utils/Pricing';
 import theme from '../theme';
 
+// What to tell the user when a call timed out instead of failing outright
+const TIMEOUT_MESSAGES = {
+  [TIMEOUT_REASONS.MEDIA_TIMEOUT]: 'Microphone Unavailable',
+  [TIMEOUT_REASONS.NO_ANSWER]: 'No Answer',
+  [TIMEOUT_REASONS.MISSED]: 'Missed Call',
+  [TIMEOUT_REASONS.CONNECTION_TIMEOUT]: 'Could Not Connect',
+  [TIMEOUT_REASONS.RECONNECT_TIMEOUT]: 'Connection Lost',
+};
+
+// Status shown when the call was ended for a reason other than hanging up
+const END_MESSAGES = {
+  [END_REASONS.INSUFFICIENT_BALANCE]: 'Out of Coins',
+};
+
+// 120 -> "2 minutes", 30 -> "30 seconds"
+const formatTimeLeft = seconds => {
+  if (seconds < 60) {
+    return `${seconds} seconds`;
+  }
+  const minutes = Math.round(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
 // Safely import InCallManager with fallback
 let InCallManager = null;
 try {
@@ -24,7 +61,34 @@ try {
 
 const CallScreen = ({ navigation }) => {
   const { userType } = useAuth();
-  const { callData, incomingCall, error, endCall, clearError } = useCall();
+  const {
+    callData,
+    incomingCall,
+    error,
+    endCall,
+    clearError,
+    callQuality,
+    endReason,
+    holdCall,
+    unholdCall,
+    holdInitiator,
+    isRemoteMuted,
+    setMuted,
+    chatMessages,
+    isRemoteTyping,
+    isChatAvailable,
+    sendChatMessage,
+    setChatTyping,
+    videoState,
+    setCameraEnabled,
+    switchCamera,
+    downgradeToAudio,
+    videoUpgrade,
+    requestVideoUpgrade,
+    answerVideoUpgrade,
+    billing,
+    balanceWarning,
+  } = useCall();
 
   const { callState, isInCall, isConnecting } = useCallState();
 
@@ -36,6 +100,13 @@ const CallScreen = ({ navigation }) => {
   const [callDuration, setCallDuration] = useState(0);
   const [showError, setShowError] = useState(false);
 
+  // Chat panel state
+  const [isChatOpen, setIsChatOpen] = useState(false);
+  const [seenRemoteMessages, setSeenRemoteMessages] = useState(0);
+
+  // Briefly shown when our video request was declined or expired
+  const [videoUpgradeNotice, setVideoUpgradeNotice] = useState(null);
+
   // Refs for cleanup
   const intervalRef = useRef(null);
   const navigationTimeoutRef = useRef(null);
@@ -143,6 +214,8 @@ const CallScreen = ({ navigation }) => {
         // Prevent going back during an active call
         if (
           callState === CALL_STATES.CONNECTED ||
+          callState === CALL_STATES.RECONNECTING ||
+          callState === CALL_STATES.ON_HOLD ||
           callState === CALL_STATES.CONNECTING
         ) {
           Alert.alert('End Call', 'Are you sure you want to end the call?', [
@@ -168,8 +241,11 @@ const CallScreen = ({ navigation }) => {
     ) {
       try {
         console.log('CallScreen: Initializing audio manager');
-        InCallManager.start({ media: 'audio', auto: true, ringback: '' });
+        // Video calls default to the loudspeaker
+        const media = videoState.isVideoCall ? 'video' : 'audio';
+        InCallManager.start({ media, auto: true, ringback: '' });
         InCallManager.setKeepScreenOn(true);
+        setIsSpeakerOn(videoState.isVideoCall);
         audioManagerInitializedRef.current = true;
       } catch (error) {
         console.warn('CallScreen: Failed to initialize audio manager:', error);
@@ -186,11 +262,34 @@ const CallScreen = ({ navigation }) => {
     ) {
       cleanupAudio();
     }
-  }, [callState, cleanupAudio]);
+  }, [callState, cleanupAudio, videoState.isVideoCall]);
+
+  // The session keeps running while media recovers or the call is on hold
+  const isSessionLive =
+    callState === CALL_STATES.CONNECTED ||
+    callState === CALL_STATES.RECONNECTING ||
+    callState === CALL_STATES.ON_HOLD;
+  const isIdle = callState === CALL_STATES.IDLE;
+
+  // Tell the user how their video request ended, then hide the notice
+  useEffect(() => {
+    const isUnanswered =
+      videoUpgrade?.direction === VIDEO_UPGRADE_DIRECTIONS.OUTGOING &&
+      (videoUpgrade.status === VIDEO_UPGRADE_STATUS.DECLINED ||
+        videoUpgrade.status === VIDEO_UPGRADE_STATUS.EXPIRED);
+    if (!isUnanswered) {
+      setVideoUpgradeNotice(null);
+      return undefined;
+    }
+
+    setVideoUpgradeNotice(videoUpgrade.status);
+    const timeout = setTimeout(() => setVideoUpgradeNotice(null), 4000);
+    return () => clearTimeout(timeout);
+  }, [videoUpgrade]);
 
   // Call duration timer
   useEffect(() => {
-    console.log('CallScreen timer effect - callState:', callState);
+    console.log('CallScreen timer effect - session live:', isSessionLive);
 
     // Always clear existing timer first
     if (intervalRef.current) {
@@ -199,7 +298,7 @@ const CallScreen = ({ navigation }) => {
       intervalRef.current = null;
     }
 
-    if (callState === CALL_STATES.CONNECTED) {
+    if (isSessionLive) {
       console.log('Starting call duration timer');
       // Reset duration when call connects
       setCallDuration(0);
@@ -210,7 +309,7 @@ const CallScreen = ({ navigation }) => {
           return newDuration;
         });
       }, 1000);
-    } else if (callState === CALL_STATES.IDLE) {
+    } else if (isIdle) {
       console.log('Resetting call duration to 0');
       setCallDuration(0);
     }
@@ -222,7 +321,7 @@ const CallScreen = ({ navigation }) => {
         intervalRef.current = null;
       }
     };
-  }, [callState]);
+  }, [isSessionLive, isIdle]);
 
   // Navigate back to appropriate dashboard
   const navigateBack = useCallback(() => {
@@ -284,6 +383,25 @@ const CallScreen = ({ navigation }) => {
     };
   }, [callState, navigateBack]);
 
+  // Explain a call that ended because the user's coins ran out
+  useEffect(() => {
+    if (endReason !== END_REASONS.INSUFFICIENT_BALANCE) {
+      return;
+    }
+
+    if (userType === 'therapist') {
+      Alert.alert(
+        'Session Ended',
+        `${participant.name} ran out of coins, so the session was ended.`,
+      );
+    } else {
+      Alert.alert(
+        'Out of Coins',
+        'Your call was ended because your coins ran out. Top up your coins to call again.',
+      );
+    }
+  }, [endReason, userType, participant.name]);
+
   // Handle errors
   useEffect(() => {
     if (error) {
@@ -319,19 +437,96 @@ const CallScreen = ({ navigation }) => {
   }, [endCall]);
 
   const handleToggleMute = useCallback(() => {
+    const newMuteState = !isMuted;
     if (InCallManager && isInCall) {
       try {
-        const newMuteState = !isMuted;
         InCallManager.setMicrophoneMute(newMuteState);
-        setIsMuted(newMuteState);
       } catch (error) {
         console.error('CallScreen: Error toggling mute:', error);
-        setIsMuted(!isMuted); // Still update UI state
       }
-    } else {
-      setIsMuted(!isMuted);
     }
-  }, [isMuted, isInCall]);
+    setIsMuted(newMuteState); // Update UI state even if muting failed
+
+    // Let the other participant know silence is intentional
+    setMuted(newMuteState).catch(muteError => {
+      console.warn('CallScreen: Failed to share mute state:', muteError);
+    });
+  }, [isMuted, isInCall, setMuted]);
+
+  const handleToggleHold = useCallback(async () => {
+    try {
+      if (callState === CALL_STATES.ON_HOLD) {
+        await unholdCall();
+      } else {
+        await holdCall();
+      }
+    } catch (holdError) {
+      console.error('CallScreen: Error toggling hold:', holdError);
+    }
+  }, [callState, holdCall, unholdCall]);
+
+  const handleToggleCamera = useCallback(async () => {
+    const result = await setCameraEnabled(!videoState.isCameraOn);
+    if (!result.success) {
+      console.warn('CallScreen: Failed to toggle camera:', result.error);
+    }
+  }, [videoState.isCameraOn, setCameraEnabled]);
+
+  const handleSwitchCamera = useCallback(async () => {
+    const result = await switchCamera();
+    if (!result.success) {
+      console.warn('CallScreen: Failed to switch camera:', result.error);
+    }
+  }, [switchCamera]);
+
+  const handleAudioOnly = useCallback(async () => {
+    try {
+      await downgradeToAudio();
+    } catch (downgradeError) {
+      console.error(
+        'CallScreen: Error switching to audio only:',
+        downgradeError,
+      );
+    }
+  }, [downgradeToAudio]);
+
+  const handleRequestVideo = useCallback(async () => {
+    try {
+      await requestVideoUpgrade();
+    } catch (upgradeError) {
+      console.error('CallScreen: Error requesting video:', upgradeError);
+    }
+  }, [requestVideoUpgrade]);
+
+  const handleAnswerVideoRequest = useCallback(
+    async accepted => {
+      try {
+        await answerVideoUpgrade(accepted);
+      } catch (upgradeError) {
+        console.error(
+          'CallScreen: Error answering video request:',
+          upgradeError,
+        );
+      }
+    },
+    [answerVideoUpgrade],
+  );
+
+  const markChatRead = useCallback(() => {
+    setSeenRemoteMessages(
+      chatMessages.filter(message => !message.isLocal).length,
+    );
+  }, [chatMessages]);
+
+  const handleOpenChat = useCallback(() => {
+    markChatRead();
+    setIsChatOpen(true);
+  }, [markChatRead]);
+
+  const handleCloseChat = useCallback(() => {
+    markChatRead();
+    setIsChatOpen(false);
+  }, [markChatRead]);
 
   const handleToggleSpeaker = useCallback(() => {
     if (InCallManager && isInCall) {
@@ -381,12 +576,25 @@ const CallScreen = ({ navigation }) => {
         return { text: 'Connecting...', color: theme.colors.warning };
       case CALL_STATES.CONNECTED:
         return { text: 'Connected', color: theme.colors.success };
+      case CALL_STATES.RECONNECTING:
+        return { text: 'Reconnecting...', color: theme.colors.warning };
+      case CALL_STATES.ON_HOLD:
+        return { text: 'On Hold', color: theme.colors.warning };
       case CALL_STATES.DISCONNECTING:
-        return { text: 'Ending...', color: theme.colors.error };
+        return {
+          text: END_MESSAGES[endReason] || 'Ending...',
+          color: theme.colors.error,
+        };
       case CALL_STATES.ENDED:
-        return { text: 'Call Ended', color: theme.colors.textSecondary };
+        return {
+          text: END_MESSAGES[endReason] || 'Call Ended',
+          color: theme.colors.textSecondary,
+        };
       case CALL_STATES.FAILED:
-        return { text: 'Connection Error', color: theme.colors.error };
+        return {
+          text: TIMEOUT_MESSAGES[endReason] || 'Connection Error',
+          color: theme.colors.error,
+        };
       case CALL_STATES.REJECTED:
         return { text: 'Call Rejected', color: theme.colors.error };
       default:
@@ -396,7 +604,23 @@ const CallScreen = ({ navigation }) => {
 
   const statusInfo = getCallStatusInfo();
   const isCallActive = callState === CALL_STATES.CONNECTED;
-  const canControl = callState === CALL_STATES.CONNECTED;
+  const canControl = isSessionLive;
+  const isOnHold = callState === CALL_STATES.ON_HOLD;
+  // Only the participant who put the call on hold can resume it
+  const canToggleHold =
+    callState === CALL_STATES.CONNECTED ||
+    (isOnHold && holdInitiator === HOLD_INITIATORS.LOCAL);
+  const isVideoRequestPending =
+    videoUpgrade?.status === VIDEO_UPGRADE_STATUS.PENDING;
+  const isIncomingVideoRequest =
+    isVideoRequestPending &&
+    videoUpgrade.direction === VIDEO_UPGRADE_DIRECTIONS.INCOMING;
+  const remoteMessageCount = chatMessages.filter(
+    message => !message.isLocal,
+  ).length;
+  const unreadMessages = isChatOpen
+    ? 0
+    : Math.max(remoteMessageCount - seenRemoteMessages, 0);
 
   return (
     <SafeAreaView style={styles.container}>
@@ -415,20 +639,141 @@ const CallScreen = ({ navigation }) => {
           <Text style={[styles.statusText, { color: statusInfo.color }]}>
             {statusInfo.text}
           </Text>
+          {isCallActive && callQuality && (
+            <SignalBadge level={callQuality.level} style={styles.signalBadge} />
+          )}
         </View>
       </View>
 
       {/* Main Content */}
       <View style={styles.content}>
-        {/* Avatar Section */}
-        <View style={styles.avatarSection}>
+        {/* Unstable connection warning */}
+        {isCallActive && callQuality?.isUnstable && (
+          <View style={styles.qualityBanner}>
+            <Text style={styles.qualityBannerText}>
+              Your connection is unstable
+            </Text>
+          </View>
+        )}
+
+        {/* Hold notice, shown on both sides */}
+        {isOnHold && (
+          <View style={[styles.qualityBanner, styles.holdBanner]}>
+            <Text style={[styles.qualityBannerText, styles.holdBannerText]}>
+              {holdInitiator === HOLD_INITIATORS.REMOTE
+                ? `${participant.name} put the session on hold`
+                : 'You put the session on hold'}
+            </Text>
+          </View>
+        )}
+
+        {/* Low-balance warning, shown on both sides */}
+        {balanceWarning && isSessionLive && (
+          <View style={[styles.qualityBanner, styles.holdBanner]}>
+            <Text style={[styles.qualityBannerText, styles.holdBannerText]}>
+              {balanceWarning.isLocal
+                ? `Your coins run out in about ${formatTimeLeft(
+                    balanceWarning.secondsRemaining,
+                  )}. The call will end then.`
+                : `${
+                    participant.name
+                  }'s coins run out in about ${formatTimeLeft(
+                    balanceWarning.secondsRemaining,
+                  )}`}
+            </Text>
+          </View>
+        )}
+
+        {/* Voice-to-video request, in either direction */}
+        {isIncomingVideoRequest && (
+          <View style={[styles.qualityBanner, styles.holdBanner]}>
+            <Text style={[styles.qualityBannerText, styles.holdBannerText]}>
+              {participant.name} wants to turn on video
+            </Text>
+            <View style={styles.videoRequestActions}>
+              <Button
+                title="Decline"
+                variant="secondary"
+                size="small"
+                onPress={() => handleAnswerVideoRequest(false)}
+                style={styles.videoRequestButton}
+              />
+              <Button
+                title="Accept"
+                size="small"
+                onPress={() => handleAnswerVideoRequest(true)}
+                style={styles.videoRequestButton}
+              />
+            </View>
+          </View>
+        )}
+        {isVideoRequestPending && !isIncomingVideoRequest && (
+          <View style={[styles.qualityBanner, styles.holdBanner]}>
+            <Text style={[styles.qualityBannerText, styles.holdBannerText]}>
+              Waiting for {participant.name} to turn on video...
+            </Text>
+          </View>
+        )}
+        {videoUpgradeNotice && (
+          <View style={styles.qualityBanner}>
+            <Text style={styles.qualityBannerText}>
+              {videoUpgradeNotice === VIDEO_UPGRADE_STATUS.DECLINED
+                ? `${participant.name} declined video`
+                : 'Video request was not answered'}
+            </Text>
+          </View>
+        )}
+
+        {/* Video Section, replaces the avatar for video calls */}
+        {videoState.isVideoCall ? (
+          <View style={styles.videoSection}>
+            {videoState.remoteStream && videoState.isRemoteCameraOn ? (
+              <RTCView
+                streamURL={videoState.remoteStream.toURL()}
+                style={styles.remoteVideo}
+                objectFit="cover"
+              />
+            ) : (
+              <View style={[styles.remoteVideo, styles.videoPlaceholder]}>
+                <Avatar
+                  size="xxl"
+                  emoji={participant.emoji}
+                  backgroundColor={theme.colors.primaryLight}
+                />
+                <Text style={styles.videoPlaceholderText}>
+                  {videoState.remoteStream
+                    ? `${participant.name} turned their camera off`
+                    : 'Waiting for video...'}
+                </Text>
+              </View>
+            )}
+            {videoState.localStream && videoState.isCameraOn && (
+              <RTCView
+                streamURL={videoState.localStream.toURL()}
+                style={styles.localVideo}
+                objectFit="cover"
+                mirror={videoState.cameraFacing === CAMERA_FACING.FRONT}
+                zOrder={1}
+              />
+            )}
+          </View>
+        ) : (
           <Avatar
             size="xxxxl"
             emoji={participant.emoji}
             backgroundColor={theme.colors.primaryLight}
             style={[styles.avatar, isCallActive && styles.avatarActive]}
           />
+        )}
+
+        {/* Avatar Section */}
+        <View style={styles.avatarSection}>
           <Text style={styles.participantName}>{participant.name}</Text>
+          {isRemoteMuted && (
+            <Text style={styles.remoteMutedText}>
+              {participant.name} muted their microphone
+            </Text>
+          )}
           {isConnecting && (
             <View style={styles.loadingContainer}>
               <LoadingSpinner size="small" color={theme.colors.primary} />
@@ -439,7 +784,17 @@ const CallScreen = ({ navigation }) => {
         {/* Duration Section */}
         <View style={styles.durationSection}>
           <Text style={styles.duration}>{formatDuration(callDuration)}</Text>
-          {isCallActive && <Text style={styles.rateText}>6 coins/min</Text>}
+          {isCallActive && callData?.pricing && (
+            <Text style={styles.rateText}>
+              {formatPricing(callData.pricing)}
+            </Text>
+          )}
+          {billing && (
+            <Text style={styles.billingText}>
+              {formatCoins(billing.cost)} coins used ·{' '}
+              {formatCoins(billing.remainingBalance)} left
+            </Text>
+          )}
         </View>
 
         {/* Error Display */}
@@ -478,6 +833,68 @@ const CallScreen = ({ navigation }) => {
               disabled={!canControl}
               style={styles.controlButton}
             />
+
+            <Button
+              title={isOnHold ? 'Resume' : 'Hold'}
+              variant={isOnHold ? 'primary' : 'secondary'}
+              size="medium"
+              onPress={handleToggleHold}
+              disabled={!canToggleHold}
+              style={styles.controlButton}
+            />
+          </View>
+
+          {videoState.isVideoCall && (
+            <View style={styles.audioControls}>
+              <Button
+                title={videoState.isCameraOn ? 'Camera Off' : 'Camera On'}
+                variant={videoState.isCameraOn ? 'secondary' : 'danger'}
+                size="medium"
+                onPress={handleToggleCamera}
+                disabled={!canControl}
+                style={styles.controlButton}
+              />
+
+              <Button
+                title="Flip"
+                variant="secondary"
+                size="medium"
+                onPress={handleSwitchCamera}
+                disabled={!canControl || !videoState.isCameraOn}
+                style={styles.controlButton}
+              />
+
+              <Button
+                title="Audio Only"
+                variant="secondary"
+                size="medium"
+                onPress={handleAudioOnly}
+                disabled={!canControl}
+                style={styles.controlButton}
+              />
+            </View>
+          )}
+
+          <View style={styles.secondaryControls}>
+            <Button
+              title={unreadMessages > 0 ? `Chat (${unreadMessages})` : 'Chat'}
+              variant={unreadMessages > 0 ? 'primary' : 'secondary'}
+              size="small"
+              onPress={handleOpenChat}
+              disabled={!canControl}
+              style={styles.chatButton}
+            />
+
+            {!videoState.isVideoCall && (
+              <Button
+                title="Video"
+                variant="secondary"
+                size="small"
+                onPress={handleRequestVideo}
+                disabled={!isCallActive || isVideoRequestPending}
+                style={styles.chatButton}
+              />
+            )}
           </View>
 
           <Button
@@ -493,6 +910,17 @@ const CallScreen = ({ navigation }) => {
           />
         </View>
       </View>
+
+      <ChatPanel
+        visible={isChatOpen && canControl}
+        messages={chatMessages}
+        participantName={participant.name}
+        isRemoteTyping={isRemoteTyping}
+        isAvailable={isChatAvailable}
+        onSend={sendChatMessage}
+        onTypingChange={setChatTyping}
+        onClose={handleCloseChat}
+      />
     </SafeAreaView>
   );
 };
@@ -527,6 +955,37 @@ const styles = StyleSheet.create({
     fontSize: theme.fonts.sizes.md,
     fontWeight: theme.fonts.weights.medium,
   },
+  signalBadge: {
+    marginLeft: theme.spacing.md,
+  },
+  qualityBanner: {
+    position: 'absolute',
+    top: theme.spacing.lg,
+    left: theme.spacing.screenPadding,
+    right: theme.spacing.screenPadding,
+    backgroundColor: theme.colors.errorLight,
+    borderRadius: theme.borderRadius.md,
+    paddingVertical: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.md,
+    alignItems: 'center',
+  },
+  qualityBannerText: {
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.error,
+    fontWeight: theme.fonts.weights.semibold,
+  },
+  remoteMutedText: {
+    marginBottom: theme.spacing.sm,
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.mutedBorder,
+    fontWeight: theme.fonts.weights.medium,
+  },
+  holdBanner: {
+    backgroundColor: theme.colors.primaryLight,
+  },
+  holdBannerText: {
+    color: theme.colors.primaryDark,
+  },
   content: {
     flex: 1,
     backgroundColor: theme.colors.white,
@@ -540,8 +999,36 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
   avatar: {
+    alignSelf: 'center',
     marginBottom: theme.spacing.xl,
   },
+  videoSection: {
+    flex: 1,
+    marginBottom: theme.spacing.md,
+    borderRadius: theme.borderRadius.lg,
+    overflow: 'hidden',
+    backgroundColor: theme.colors.black,
+  },
+  remoteVideo: {
+    flex: 1,
+  },
+  videoPlaceholder: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  videoPlaceholderText: {
+    marginTop: theme.spacing.md,
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.white,
+  },
+  localVideo: {
+    position: 'absolute',
+    top: theme.spacing.md,
+    right: theme.spacing.md,
+    width: 96,
+    height: 128,
+    borderRadius: theme.borderRadius.md,
+  },
   avatarActive: {
     transform: [{ scale: 1.05 }],
   },
@@ -570,6 +1057,11 @@ const styles = StyleSheet.create({
     color: theme.colors.textSecondary,
     fontWeight: theme.fonts.weights.medium,
   },
+  billingText: {
+    marginTop: theme.spacing.xs,
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.textTertiary,
+  },
   errorContainer: {
     backgroundColor: theme.colors.errorLight,
     borderRadius: theme.borderRadius.lg,
@@ -595,7 +1087,24 @@ const styles = StyleSheet.create({
     marginBottom: theme.spacing.xxxl,
   },
   controlButton: {
+    minWidth: 100,
+  },
+  secondaryControls: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: theme.spacing.lg,
+  },
+  chatButton: {
     minWidth: 120,
+    marginHorizontal: theme.spacing.sm,
+  },
+  videoRequestActions: {
+    flexDirection: 'row',
+    marginTop: theme.spacing.sm,
+  },
+  videoRequestButton: {
+    minWidth: 90,
+    marginHorizontal: theme.spacing.xs,
   },
   endCallButton: {
     marginHorizontal: theme.spacing.xxxl,
@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  FlatList,
+  StyleSheet,
+  Animated,
+  Easing,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Button } from './common';
+import { MESSAGE_STATUS } from '../services/ChatService';
+import theme from '../theme';
+
+const PANEL_HEIGHT = Math.round(theme.screen.height * 0.55);
+
+const STATUS_LABELS = {
+  [MESSAGE_STATUS.PENDING]: 'Sending...',
+  [MESSAGE_STATUS.SENT]: 'Sent',
+  [MESSAGE_STATUS.DELIVERED]: 'Delivered',
+};
+
+const formatTime = timestamp => {
+  const date = new Date(timestamp);
+  const hours = date.getHours().toString().padStart(2, '0');
+  const minutes = date.getMinutes().toString().padStart(2, '0');
+  return `${hours}:${minutes}`;
+};
+
+/**
+ * Slide-up chat panel shown over the call screen
+ */
+const ChatPanel = ({
+  visible,
+  messages,
+  participantName,
+  isRemoteTyping,
+  isAvailable,
+  onSend,
+  onTypingChange,
+  onClose,
+}) => {
+  const [draft, setDraft] = useState('');
+  const [sendError, setSendError] = useState(null);
+  const translateY = useRef(new Animated.Value(PANEL_HEIGHT)).current;
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    Animated.timing(translateY, {
+      toValue: visible ? 0 : PANEL_HEIGHT,
+      duration: theme.animations.duration.normal,
+      easing: Easing.out(Easing.cubic),
+      useNativeDriver: true,
+    }).start();
+  }, [visible, translateY]);
+
+  // Stop the typing indicator when the panel closes with a draft
+  useEffect(() => {
+    if (!visible) {
+      onTypingChange(false);
+    }
+  }, [visible, onTypingChange]);
+
+  const handleChangeText = text => {
+    setDraft(text);
+    setSendError(null);
+    onTypingChange(text.trim().length > 0);
+  };
+
+  const handleSend = () => {
+    const result = onSend(draft);
+    if (result.success) {
+      setDraft('');
+    } else {
+      setSendError(result.error);
+    }
+  };
+
+  const renderMessage = ({ item }) => (
+    <View
+      style={[
+        styles.bubble,
+        item.isLocal ? styles.localBubble : styles.remoteBubble,
+      ]}
+    >
+      <Text
+        style={[
+          styles.messageText,
+          item.isLocal ? styles.localMessageText : styles.remoteMessageText,
+        ]}
+      >
+        {item.text}
+      </Text>
+      <Text style={[styles.metaText, item.isLocal && styles.localMetaText]}>
+        {formatTime(item.sentAt)}
+        {item.isLocal ? ` · ${STATUS_LABELS[item.status]}` : ''}
+      </Text>
+    </View>
+  );
+
+  return (
+    <Animated.View
+      style={[styles.panel, { transform: [{ translateY }] }]}
+      pointerEvents={visible ? 'auto' : 'none'}
+    >
+      <KeyboardAvoidingView
+        style={styles.inner}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={styles.header}>
+          <Text style={styles.title}>Chat with {participantName}</Text>
+          <Button
+            title="Close"
+            variant="secondary"
+            size="small"
+            onPress={onClose}
+          />
+        </View>
+
+        <FlatList
+          ref={listRef}
+          data={messages}
+          keyExtractor={item => item.id}
+          renderItem={renderMessage}
+          contentContainerStyle={styles.list}
+          onContentSizeChange={() => listRef.current?.scrollToEnd()}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>
+              Messages you send here go straight to {participantName}
+            </Text>
+          }
+        />
+
+        {isRemoteTyping && (
+          <Text style={styles.typingText}>{participantName} is typing...</Text>
+        )}
+        {!isAvailable && (
+          <Text style={styles.typingText}>
+            Chat connecting, messages will be sent shortly
+          </Text>
+        )}
+        {sendError && <Text style={styles.errorText}>{sendError}</Text>}
+
+        <View style={styles.inputRow}>
+          <TextInput
+            style={styles.input}
+            value={draft}
+            onChangeText={handleChangeText}
+            placeholder="Type a message"
+            placeholderTextColor={theme.colors.textTertiary}
+            multiline
+          />
+          <Button
+            title="Send"
+            size="small"
+            onPress={handleSend}
+            disabled={!draft.trim()}
+          />
+        </View>
+      </KeyboardAvoidingView>
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  panel: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    height: PANEL_HEIGHT,
+    backgroundColor: theme.colors.white,
+    borderTopLeftRadius: theme.borderRadius.xxl,
+    borderTopRightRadius: theme.borderRadius.xxl,
+    ...theme.shadows.xl,
+  },
+  inner: {
+    flex: 1,
+    padding: theme.spacing.lg,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: theme.spacing.sm,
+  },
+  title: {
+    fontSize: theme.fonts.sizes.lg,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.textPrimary,
+  },
+  list: {
+    paddingVertical: theme.spacing.sm,
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginTop: theme.spacing.xl,
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.textTertiary,
+  },
+  bubble: {
+    maxWidth: '80%',
+    borderRadius: theme.borderRadius.md,
+    paddingVertical: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+  },
+  localBubble: {
+    alignSelf: 'flex-end',
+    backgroundColor: theme.colors.primary,
+  },
+  remoteBubble: {
+    alignSelf: 'flex-start',
+    backgroundColor: theme.colors.background,
+  },
+  messageText: {
+    fontSize: theme.fonts.sizes.md,
+  },
+  localMessageText: {
+    color: theme.colors.white,
+  },
+  remoteMessageText: {
+    color: theme.colors.textPrimary,
+  },
+  metaText: {
+    marginTop: theme.spacing.xs,
+    fontSize: theme.fonts.sizes.xs,
+    color: theme.colors.textTertiary,
+  },
+  localMetaText: {
+    color: theme.colors.primaryLight,
+  },
+  typingText: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.textSecondary,
+    fontStyle: 'italic',
+    marginBottom: theme.spacing.xs,
+  },
+  errorText: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.error,
+    marginBottom: theme.spacing.xs,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  input: {
+    flex: 1,
+    maxHeight: 100,
+    minHeight: theme.layouts.input.minHeight,
+    borderWidth: 1,
+    borderColor: theme.colors.borderDark,
+    borderRadius: theme.borderRadius.input,
+    paddingHorizontal: theme.spacing.inputPadding,
+    paddingVertical: theme.spacing.sm,
+    marginRight: theme.spacing.sm,
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.textPrimary,
+  },
+});
+
+export default ChatPanel;
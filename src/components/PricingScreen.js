@@ -0,0 +1,213 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  ScrollView,
+  StyleSheet,
+  SafeAreaView,
+  Alert,
+} from 'react-native';
+import axios from 'axios';
+import { Button, Card } from './common';
+import { API_ENDPOINTS } from '../config/api';
+import AuthService from '../services/AuthService';
+import { getPricing, formatPricing } from '../utils/Pricing';
+import theme from '../theme';
+
+const toNumber = text => (text.trim() === '' ? NaN : Number(text));
+
+/**
+ * Check the form, returning the pricing to save or an error message
+ */
+const parsePricing = ({ rate, introMinutes, introRate }) => {
+  const ratePerMinute = toNumber(rate);
+  const minutes = introMinutes.trim() === '' ? 0 : toNumber(introMinutes);
+  const introRatePerMinute = introRate.trim() === '' ? 0 : toNumber(introRate);
+
+  if (!(ratePerMinute > 0)) {
+    return { error: 'Enter a rate of more than 0 coins per minute.' };
+  }
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > 60) {
+    return { error: 'Introductory minutes must be a whole number up to 60.' };
+  }
+  if (
+    !(introRatePerMinute >= 0) ||
+    (minutes > 0 && introRatePerMinute >= ratePerMinute)
+  ) {
+    return { error: 'The introductory rate must be lower than your rate.' };
+  }
+
+  return {
+    pricing: getPricing({
+      ratePerMinute,
+      introMinutes: minutes,
+      introRatePerMinute,
+    }),
+  };
+};
+
+/**
+ * Lets a therapist set their per-minute rate and an optional introductory
+ * offer for the first minutes of every call
+ */
+const PricingScreen = ({ navigation, route }) => {
+  const current = getPricing(route.params?.pricing);
+  const [form, setForm] = useState({
+    rate: `${current.ratePerMinute}`,
+    introMinutes: current.introMinutes ? `${current.introMinutes}` : '',
+    introRate: current.introMinutes ? `${current.introRatePerMinute}` : '',
+  });
+  const [saving, setSaving] = useState(false);
+
+  const { pricing, error } = parsePricing(form);
+
+  const updateField = field => value =>
+    setForm(previous => ({ ...previous, [field]: value }));
+
+  const handleSave = useCallback(async () => {
+    setSaving(true);
+    try {
+      const token = await AuthService.getAuthToken();
+      await axios.patch(API_ENDPOINTS.UPDATE_THERAPIST_PRICING, pricing, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      navigation.goBack();
+    } catch (saveError) {
+      console.error('Error updating pricing:', saveError);
+      Alert.alert('Error', 'Failed to update your pricing');
+    } finally {
+      setSaving(false);
+    }
+  }, [navigation, pricing]);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView
+        contentContainerStyle={styles.content}
+        keyboardShouldPersistTaps="handled"
+      >
+        <Text style={styles.title}>Your pricing</Text>
+        <Text style={styles.subtitle}>
+          Clients pay per second at the rate you set. New rates apply to calls
+          that start after you save.
+        </Text>
+
+        <Card style={styles.formCard}>
+          <Text style={styles.label}>Rate (coins per minute)</Text>
+          <TextInput
+            style={styles.input}
+            value={form.rate}
+            onChangeText={updateField('rate')}
+            keyboardType="decimal-pad"
+            editable={!saving}
+          />
+
+          <Text style={styles.label}>Introductory minutes (optional)</Text>
+          <TextInput
+            style={styles.input}
+            value={form.introMinutes}
+            onChangeText={updateField('introMinutes')}
+            placeholder="0"
+            placeholderTextColor={theme.colors.textTertiary}
+            keyboardType="number-pad"
+            editable={!saving}
+          />
+
+          <Text style={styles.label}>
+            Introductory rate (coins per minute, 0 for free)
+          </Text>
+          <TextInput
+            style={styles.input}
+            value={form.introRate}
+            onChangeText={updateField('introRate')}
+            placeholder="0"
+            placeholderTextColor={theme.colors.textTertiary}
+            keyboardType="decimal-pad"
+            editable={!saving}
+          />
+        </Card>
+
+        <Text style={[styles.preview, error && styles.previewError]}>
+          {error || `Clients will see: ${formatPricing(pricing)}`}
+        </Text>
+
+        <View style={styles.actions}>
+          <Button
+            title="Cancel"
+            variant="outline"
+            onPress={() => navigation.goBack()}
+            disabled={saving}
+            style={styles.actionButton}
+          />
+          <Button
+            title="Save"
+            onPress={handleSave}
+            loading={saving}
+            disabled={!!error || saving}
+            style={styles.actionButton}
+          />
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  content: {
+    paddingTop: 60,
+    paddingHorizontal: theme.spacing.screenPadding,
+    paddingBottom: theme.spacing.xxl,
+  },
+  title: {
+    fontSize: theme.fonts.sizes.xxxl,
+    fontWeight: theme.fonts.weights.bold,
+    color: theme.colors.textPrimary,
+    marginBottom: theme.spacing.xs,
+  },
+  subtitle: {
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.textSecondary,
+    marginBottom: theme.spacing.xl,
+  },
+  formCard: {
+    marginBottom: theme.spacing.lg,
+  },
+  label: {
+    fontSize: theme.fonts.sizes.md,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.textPrimary,
+    marginBottom: theme.spacing.xs,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: theme.colors.borderDark,
+    borderRadius: theme.borderRadius.sm,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    marginBottom: theme.spacing.lg,
+    fontSize: theme.fonts.sizes.lg,
+    color: theme.colors.textPrimary,
+  },
+  preview: {
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.textSecondary,
+    marginBottom: theme.spacing.lg,
+  },
+  previewError: {
+    color: theme.colors.error,
+  },
+  actions: {
+    flexDirection: 'row',
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: theme.spacing.xs,
+  },
+});
+
+export default PricingScreen;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { View, Text, ScrollView, StyleSheet, SafeAreaView } from 'react-native';
+import { Button, Card } from './common';
+import SetupTestService, {
+  SETUP_TEST_EVENTS,
+  SETUP_TEST_STATUS,
+  SETUP_TEST_STEPS,
+} from '../services/SetupTestService';
+import theme from '../theme';
+
+const STATUS_CONFIG = {
+  [SETUP_TEST_STATUS.PENDING]: { icon: '○', color: theme.colors.textTertiary },
+  [SETUP_TEST_STATUS.RUNNING]: { icon: '…', color: theme.colors.primary },
+  [SETUP_TEST_STATUS.PASS]: { icon: '✓', color: theme.colors.success },
+  [SETUP_TEST_STATUS.WARN]: { icon: '!', color: theme.colors.warning },
+  [SETUP_TEST_STATUS.FAIL]: { icon: '✕', color: theme.colors.error },
+};
+
+const REPORT_CONFIG = {
+  [SETUP_TEST_STATUS.PASS]: {
+    title: "You're all set",
+    text: 'Your microphone and network are ready for calls.',
+  },
+  [SETUP_TEST_STATUS.WARN]: {
+    title: 'Ready, with warnings',
+    text: 'Calls should work, but check the notes above to avoid problems during your session.',
+  },
+  [SETUP_TEST_STATUS.FAIL]: {
+    title: 'Calls will not work yet',
+    text: 'Fix the problems above, then run the test again.',
+  },
+};
+
+/**
+ * "Test my setup" screen: checks microphone permission, the microphone
+ * level and network connectivity before a first session
+ */
+const SetupTestScreen = ({ navigation }) => {
+  const [steps, setSteps] = useState([]);
+  const [audioLevel, setAudioLevel] = useState(0);
+  const [report, setReport] = useState(null);
+  const serviceRef = useRef(null);
+
+  const runTest = useCallback(async () => {
+    setReport(null);
+    setAudioLevel(0);
+    const result = await serviceRef.current.run();
+    if (result.success) {
+      setReport(result);
+    }
+  }, []);
+
+  useEffect(() => {
+    const service = new SetupTestService();
+    serviceRef.current = service;
+    service.on(SETUP_TEST_EVENTS.STEPS_CHANGED, setSteps);
+    service.on(SETUP_TEST_EVENTS.AUDIO_LEVEL, setAudioLevel);
+    runTest();
+
+    return () => {
+      service.removeAllListeners();
+      service.cancel();
+    };
+  }, [runTest]);
+
+  const renderStep = step => {
+    const config = STATUS_CONFIG[step.status];
+    const isListening =
+      step.id === SETUP_TEST_STEPS.MICROPHONE &&
+      step.status === SETUP_TEST_STATUS.RUNNING;
+
+    return (
+      <View key={step.id} style={styles.step}>
+        <Text style={[styles.stepIcon, { color: config.color }]}>
+          {config.icon}
+        </Text>
+        <View style={styles.stepText}>
+          <Text style={styles.stepLabel}>{step.label}</Text>
+          {step.message && (
+            <Text style={styles.stepMessage}>{step.message}</Text>
+          )}
+          {isListening && (
+            <View style={styles.levelTrack}>
+              <View
+                style={[
+                  styles.levelFill,
+                  { width: `${Math.round(Math.min(audioLevel, 1) * 100)}%` },
+                ]}
+              />
+            </View>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const reportConfig = report && REPORT_CONFIG[report.status];
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={styles.title}>Test my setup</Text>
+        <Text style={styles.subtitle}>
+          We'll check your microphone and network so your session starts without
+          surprises. Say a few words when asked.
+        </Text>
+
+        <Card style={styles.stepsCard}>{steps.map(renderStep)}</Card>
+
+        {reportConfig && (
+          <Card
+            style={[
+              styles.reportCard,
+              { borderColor: STATUS_CONFIG[report.status].color },
+            ]}
+          >
+            <Text
+              style={[
+                styles.reportTitle,
+                { color: STATUS_CONFIG[report.status].color },
+              ]}
+            >
+              {reportConfig.title}
+            </Text>
+            <Text style={styles.reportText}>{reportConfig.text}</Text>
+          </Card>
+        )}
+
+        <View style={styles.actions}>
+          <Button
+            title="Run Again"
+            variant="outline"
+            onPress={runTest}
+            disabled={!report}
+            style={styles.actionButton}
+          />
+          <Button
+            title="Done"
+            onPress={() => navigation.goBack()}
+            style={styles.actionButton}
+          />
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  content: {
+    paddingTop: 60,
+    paddingHorizontal: theme.spacing.screenPadding,
+    paddingBottom: theme.spacing.xxl,
+  },
+  title: {
+    fontSize: theme.fonts.sizes.xxxl,
+    fontWeight: theme.fonts.weights.bold,
+    color: theme.colors.textPrimary,
+    marginBottom: theme.spacing.xs,
+  },
+  subtitle: {
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.textSecondary,
+    marginBottom: theme.spacing.xl,
+  },
+  stepsCard: {
+    marginBottom: theme.spacing.lg,
+  },
+  step: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: theme.spacing.sm,
+  },
+  stepIcon: {
+    width: 24,
+    fontSize: theme.fonts.sizes.xl,
+    fontWeight: theme.fonts.weights.bold,
+  },
+  stepText: {
+    flex: 1,
+  },
+  stepLabel: {
+    fontSize: theme.fonts.sizes.lg,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.textPrimary,
+  },
+  stepMessage: {
+    marginTop: theme.spacing.xs,
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.textSecondary,
+  },
+  levelTrack: {
+    height: 8,
+    marginTop: theme.spacing.sm,
+    borderRadius: 4,
+    backgroundColor: theme.colors.borderDark,
+    overflow: 'hidden',
+  },
+  levelFill: {
+    height: '100%',
+    backgroundColor: theme.colors.success,
+  },
+  reportCard: {
+    borderWidth: 1,
+    marginBottom: theme.spacing.lg,
+  },
+  reportTitle: {
+    fontSize: theme.fonts.sizes.xl,
+    fontWeight: theme.fonts.weights.bold,
+    marginBottom: theme.spacing.xs,
+  },
+  reportText: {
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.textSecondary,
+  },
+  actions: {
+    flexDirection: 'row',
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: theme.spacing.xs,
+  },
+});
+
+export default SetupTestScreen;
@@ -12,13 +12,14 @@ import {
 import axios from 'axios';
 
 // New imports
-import { useAuth, useCall } from '../context';
+import { useAuth, useCall, CALL_TYPES } from '../context';
 import { Button, Card, Avatar, LoadingState, ErrorBoundary } from './common';
 import theme from '../theme';
 
 // Existing imports
 import { API_ENDPOINTS } from '../config/api';
 import AuthService from '../services/AuthService';
+import { getPricing, formatPricing } from '../utils/Pricing';
 
 const TherapistDashboard = ({ navigation }) => {
   // Local state
@@ -33,10 +34,6 @@ const TherapistDashboard = ({ navigation }) => {
   const { user, logout } = useAuth();
   const { incomingCall, acceptCall, rejectCall } = useCall();
 
-  useEffect(() => {
-    loadData();
-  }, []);
-
   // Handle incoming calls
   useEffect(() => {
     if (incomingCall && incomingCall.callId !== currentCallId) {
@@ -53,7 +50,7 @@ const TherapistDashboard = ({ navigation }) => {
       // Use setTimeout to ensure state update is processed
       setTimeout(() => {
         Alert.alert(
-          'Incoming Call',
+          incomingCall.callType === CALL_TYPES.VIDEO ? 'Incoming Video Call' : 'Incoming Call',
           `Call from ${incomingCall.participantName}`,
           [
             { 
@@ -118,6 +115,11 @@ const TherapistDashboard = ({ navigation }) => {
     }
   }, []);
 
+  // Reload on focus so changes made on the pricing screen show up
+  useEffect(() => {
+    return navigation.addListener('focus', loadData);
+  }, [navigation, loadData]);
+
   const onRefresh = useCallback(() => {
     setRefreshing(true);
     loadData();
@@ -222,12 +224,21 @@ const TherapistDashboard = ({ navigation }) => {
               <Text style={styles.therapistName}>{therapistProfile?.name || 'Doctor'}</Text>
             </View>
           </View>
-          <Button
-            title="Logout"
-            variant="outline"
-            size="small"
-            onPress={handleLogout}
-          />
+          <View style={styles.headerActions}>
+            <Button
+              title="Test my setup"
+              variant="ghost"
+              size="small"
+              onPress={() => navigation.navigate('SetupTest')}
+              style={styles.setupTestButton}
+            />
+            <Button
+              title="Logout"
+              variant="outline"
+              size="small"
+              onPress={handleLogout}
+            />
+          </View>
         </View>
       </View>
 
@@ -261,6 +272,23 @@ const TherapistDashboard = ({ navigation }) => {
           </Card>
         </View>
 
+        <Card style={styles.pricingCard} shadow="sm">
+          <View style={styles.pricingInfo}>
+            <Text style={styles.pricingTitle}>Your pricing</Text>
+            <Text style={styles.pricingText}>
+              {formatPricing(getPricing(therapistProfile))}
+            </Text>
+          </View>
+          <Button
+            title="Edit"
+            variant="outline"
+            size="small"
+            onPress={() => navigation.navigate('Pricing', {
+              pricing: getPricing(therapistProfile),
+            })}
+          />
+        </Card>
+
         <View style={styles.historySection}>
           <View style={styles.sectionHeader}>
             <Text style={styles.sectionTitle}>Recent Call History</Text>
@@ -315,6 +343,13 @@ const styles = StyleSheet.create({
     paddingBottom: theme.spacing.xxl,
     ...theme.shadows.sm,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  setupTestButton: {
+    marginRight: theme.spacing.sm,
+  },
   headerTop: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -395,6 +430,26 @@ const styles = StyleSheet.create({
     color: '#666666',
     fontWeight: '500',
   },
+  pricingCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: theme.spacing.lg,
+    marginBottom: theme.spacing.xxxl,
+  },
+  pricingInfo: {
+    flex: 1,
+    marginRight: theme.spacing.md,
+  },
+  pricingTitle: {
+    fontSize: theme.fonts.sizes.lg,
+    fontWeight: theme.fonts.weights.bold,
+    color: theme.colors.textPrimary,
+    marginBottom: 2,
+  },
+  pricingText: {
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.textSecondary,
+  },
   historySection: {
     flex: 1,
   },
@@ -8,32 +8,46 @@ import {
   SafeAreaView,
   RefreshControl,
   Alert,
+  Switch,
 } from 'react-native';
 import axios from 'axios';
 
 // New imports
-import { useAuth, useCall } from '../context';
+import { useAuth, useCall, CALL_TYPES } from '../context';
 import { Button, Card, Avatar, LoadingState, ErrorBoundary } from './common';
 import theme from '../theme';
 
 // Existing imports
 import { API_ENDPOINTS } from '../config/api';
 import AuthService from '../services/AuthService';
+import SettingsService from '../services/SettingsService';
+import {
+  getPricing,
+  getMinimumBalance,
+  formatCoins,
+  formatRate,
+  formatPricing,
+  formatIntroOffer,
+  formatFreeMinutesOffer,
+  formatMinutes,
+} from '../utils/Pricing';
 
 const UserDashboard = ({ navigation }) => {
   // Local state
   const [therapists, setTherapists] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
-  const [userProfile, setUserProfile] = useState(null);
   const [startingCall, setStartingCall] = useState(false);
+  const [relayOnlyCalls, setRelayOnlyCalls] = useState(false);
 
   // Context hooks
-  const { user, logout } = useAuth();
+  // The profile lives in AuthContext so call billing can update the balance
+  const { user: userProfile, logout, updateProfile } = useAuth();
   const { startCall, incomingCall, acceptCall, rejectCall } = useCall();
 
   useEffect(() => {
     loadData();
+    SettingsService.getRelayOnlyCalls().then(setRelayOnlyCalls);
   }, []);
 
   // Handle incoming calls
@@ -83,7 +97,7 @@ const UserDashboard = ({ navigation }) => {
       ]);
 
       setTherapists(therapistsResponse.data.therapists);
-      setUserProfile(profileResponse.data.user);
+      updateProfile(profileResponse.data.user);
     } catch (error) {
       console.error('Error loading data:', error);
       Alert.alert('Error', 'Failed to load data');
@@ -91,7 +105,7 @@ const UserDashboard = ({ navigation }) => {
       setLoading(false);
       setRefreshing(false);
     }
-  }, []);
+  }, [updateProfile]);
 
   const onRefresh = useCallback(() => {
     setRefreshing(true);
@@ -99,52 +113,73 @@ const UserDashboard = ({ navigation }) => {
   }, [loadData]);
 
   const handleStartCall = useCallback(
-    async (therapistId, therapistName) => {
+    async (therapist) => {
+      const { _id: therapistId, name: therapistName } = therapist;
+      const pricing = getPricing(therapist);
+
       // Prevent duplicate calls
       if (startingCall) {
         console.log('Call already in progress, ignoring duplicate request');
         return;
       }
 
-      if (userProfile.coins < 6) {
+      // Promo minutes are spent before coins
+      const freeMinutes = userProfile?.freeMinutes || 0;
+      const minimumBalance = getMinimumBalance(pricing, freeMinutes * 60);
+      if ((userProfile?.coins ?? 0) < minimumBalance) {
         Alert.alert(
           'Insufficient Coins',
-          'You need at least 6 coins to start a call',
+          `You need at least ${formatCoins(minimumBalance)} coins to call ${therapistName}`,
         );
         return;
       }
 
-      Alert.alert('Start Call', `Call ${therapistName}? (6 coins per minute)`, [
+      const placeCall = async (callType) => {
+        if (startingCall) {
+          console.log('Call already in progress, ignoring');
+          return;
+        }
+        
+        setStartingCall(true);
+        try {
+          const result = await startCall(therapistId, therapistName, callType, {
+            relayOnly: relayOnlyCalls,
+            pricing,
+          });
+          if (!result.success) {
+            Alert.alert('Error', result.error || 'Failed to start call');
+          } else {
+            navigation.navigate('CallScreen');
+          }
+        } catch (error) {
+          console.error('Start call error:', error);
+          Alert.alert('Error', 'Failed to start call');
+        } finally {
+          setStartingCall(false);
+        }
+      };
+
+      const callCost = freeMinutes > 0
+        ? formatFreeMinutesOffer(pricing, freeMinutes)
+        : formatPricing(pricing);
+      Alert.alert('Start Call', `Call ${therapistName}? (${callCost})`, [
         { text: 'Cancel', style: 'cancel' },
-        {
-          text: 'Call',
-          onPress: async () => {
-            if (startingCall) {
-              console.log('Call already in progress, ignoring');
-              return;
-            }
-            
-            setStartingCall(true);
-            try {
-              const result = await startCall(therapistId, therapistName);
-              if (!result.success) {
-                Alert.alert('Error', result.error || 'Failed to start call');
-              } else {
-                navigation.navigate('CallScreen');
-              }
-            } catch (error) {
-              console.error('Start call error:', error);
-              Alert.alert('Error', 'Failed to start call');
-            } finally {
-              setStartingCall(false);
-            }
-          },
-        },
+        { text: 'Voice Call', onPress: () => placeCall(CALL_TYPES.VOICE) },
+        { text: 'Video Call', onPress: () => placeCall(CALL_TYPES.VIDEO) },
       ]);
     },
-    [userProfile, startCall, navigation, startingCall],
+    [userProfile, startCall, navigation, startingCall, relayOnlyCalls],
   );
 
+  const handleRelayOnlyChange = useCallback(async (enabled) => {
+    setRelayOnlyCalls(enabled);
+    const result = await SettingsService.setRelayOnlyCalls(enabled);
+    if (!result.success) {
+      setRelayOnlyCalls(!enabled);
+      Alert.alert('Error', 'Failed to save privacy setting');
+    }
+  }, []);
+
 
   const handleLogout = useCallback(async () => {
     Alert.alert('Logout', 'Are you sure you want to logout?', [
@@ -160,44 +195,52 @@ const UserDashboard = ({ navigation }) => {
   }, [logout, navigation]);
 
   const renderTherapist = useCallback(
-    ({ item }) => (
-      <Card
-        style={styles.therapistCard}
-        shadow="md"
-      >
-        <View style={styles.therapistHeader}>
-          <Avatar
-            size="xl"
-            emoji="👨‍⚕️"
-            backgroundColor={theme.colors.primaryLight}
-          />
-          <View style={styles.statusBadge}>
-            <View style={styles.onlineIndicator} />
-            <Text style={styles.statusText}>Available</Text>
+    ({ item }) => {
+      const pricing = getPricing(item);
+      const introOffer = formatIntroOffer(pricing);
+
+      return (
+        <Card
+          style={styles.therapistCard}
+          shadow="md"
+        >
+          <View style={styles.therapistHeader}>
+            <Avatar
+              size="xl"
+              emoji="👨‍⚕️"
+              backgroundColor={theme.colors.primaryLight}
+            />
+            <View style={styles.statusBadge}>
+              <View style={styles.onlineIndicator} />
+              <Text style={styles.statusText}>Available</Text>
+            </View>
           </View>
-        </View>
 
-        <View style={styles.therapistInfo}>
-          <Text style={styles.therapistName}>{item.name}</Text>
-          <Text style={styles.therapistSpecialization}>
-            {item.specialization}
-          </Text>
-          <View style={styles.therapistMeta}>
-            <Text style={styles.ratingText}>⭐ 4.8 Rating</Text>
-            <Text style={styles.sessionText}>6 coins/min</Text>
+          <View style={styles.therapistInfo}>
+            <Text style={styles.therapistName}>{item.name}</Text>
+            <Text style={styles.therapistSpecialization}>
+              {item.specialization}
+            </Text>
+            <View style={styles.therapistMeta}>
+              <Text style={styles.ratingText}>⭐ 4.8 Rating</Text>
+              <Text style={styles.sessionText}>
+                {formatRate(pricing.ratePerMinute)}
+              </Text>
+            </View>
+            {introOffer && <Text style={styles.introText}>{introOffer}</Text>}
           </View>
-        </View>
 
-        <Button
-          title={startingCall ? "Calling..." : "Start Call"}
-          variant="primary"
-          size="medium"
-          style={styles.callButton}
-          disabled={startingCall}
-          onPress={() => handleStartCall(item._id, item.name)}
-        />
-      </Card>
-    ),
+          <Button
+            title={startingCall ? "Calling..." : "Start Call"}
+            variant="primary"
+            size="medium"
+            style={styles.callButton}
+            disabled={startingCall}
+            onPress={() => handleStartCall(item)}
+          />
+        </Card>
+      );
+    },
     [handleStartCall, startingCall],
   );
 
@@ -228,21 +271,57 @@ const UserDashboard = ({ navigation }) => {
               <Text style={styles.userName}>User Dashboard</Text>
             </View>
           </View>
-          <Button
-            title="Logout"
-            variant="outline"
-            size="small"
-            onPress={handleLogout}
-          />
+          <View style={styles.headerActions}>
+            <Button
+              title="Test my setup"
+              variant="ghost"
+              size="small"
+              onPress={() => navigation.navigate('SetupTest')}
+              style={styles.setupTestButton}
+            />
+            <Button
+              title="Logout"
+              variant="outline"
+              size="small"
+              onPress={handleLogout}
+            />
+          </View>
         </View>
 
         <View style={styles.statsContainer}>
           <Card variant="primary" style={styles.coinsCard}>
             <Text style={styles.coinsIcon}>💰</Text>
-            <View>
-              <Text style={styles.coinsAmount}>{userProfile?.coins || 0}</Text>
+            <View style={styles.coinsInfo}>
+              <Text style={styles.coinsAmount}>
+                {formatCoins(userProfile?.coins || 0)}
+              </Text>
               <Text style={styles.coinsLabel}>Available Coins</Text>
+              {userProfile?.freeMinutes > 0 && (
+                <Text style={styles.freeMinutesText}>
+                  + {formatMinutes(userProfile.freeMinutes)} of free calls
+                </Text>
+              )}
+            </View>
+            <Button
+              title="Wallet"
+              variant="outline"
+              size="small"
+              onPress={() => navigation.navigate('Wallet')}
+            />
+          </Card>
+          <Card style={styles.privacyCard}>
+            <View style={styles.privacyText}>
+              <Text style={styles.privacyTitle}>Private calls</Text>
+              <Text style={styles.privacySubtitle}>
+                Relay calls through our servers so therapists never see your
+                IP address. Connection may take slightly longer.
+              </Text>
             </View>
+            <Switch
+              value={relayOnlyCalls}
+              onValueChange={handleRelayOnlyChange}
+              trackColor={{ true: theme.colors.primary }}
+            />
           </Card>
         </View>
       </View>
@@ -312,6 +391,13 @@ const styles = StyleSheet.create({
     paddingBottom: theme.spacing.xxl,
     ...theme.shadows.sm,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  setupTestButton: {
+    marginRight: theme.spacing.sm,
+  },
   headerTop: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -346,6 +432,9 @@ const styles = StyleSheet.create({
     fontSize: 32,
     marginRight: theme.spacing.lg,
   },
+  coinsInfo: {
+    flex: 1,
+  },
   coinsAmount: {
     fontSize: theme.fonts.sizes.display1,
     fontWeight: theme.fonts.weights.extrabold,
@@ -356,6 +445,31 @@ const styles = StyleSheet.create({
     color: theme.colors.textSecondary,
     fontWeight: theme.fonts.weights.medium,
   },
+  freeMinutesText: {
+    marginTop: theme.spacing.xs,
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.success,
+    fontWeight: theme.fonts.weights.semibold,
+  },
+  privacyCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: theme.spacing.md,
+  },
+  privacyText: {
+    flex: 1,
+    marginRight: theme.spacing.md,
+  },
+  privacyTitle: {
+    fontSize: theme.fonts.sizes.lg,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.textPrimary,
+  },
+  privacySubtitle: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.textSecondary,
+    marginTop: theme.spacing.xs,
+  },
   content: {
     flex: 1,
     paddingHorizontal: theme.spacing.screenPadding,
@@ -436,6 +550,12 @@ const styles = StyleSheet.create({
     color: theme.colors.primary,
     fontWeight: theme.fonts.weights.semibold,
   },
+  introText: {
+    marginTop: theme.spacing.xs,
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.success,
+    fontWeight: theme.fonts.weights.medium,
+  },
   callButton: {
     marginTop: theme.spacing.md,
   },
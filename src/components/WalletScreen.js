@@ -0,0 +1,540 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  Modal,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  SafeAreaView,
+  RefreshControl,
+  Alert,
+} from 'react-native';
+import { useAuth } from '../context';
+import { Button, Card, LoadingState } from './common';
+import WalletService, { TRANSACTION_TYPES } from '../services/WalletService';
+import { formatCoins, formatMinutes } from '../utils/Pricing';
+import theme from '../theme';
+
+const TRANSACTION_LABELS = {
+  [TRANSACTION_TYPES.PURCHASE]: 'Coin purchase',
+  [TRANSACTION_TYPES.CALL_DEBIT]: 'Call',
+  [TRANSACTION_TYPES.REFUND]: 'Refund',
+  [TRANSACTION_TYPES.PROMO]: 'Promo credit',
+};
+
+// 4.99, "USD" -> "USD 4.99"
+const formatPrice = (price, currency) => `${currency} ${price.toFixed(2)}`;
+
+// -3.5 -> "-3.5", 100 -> "+100"
+const formatAmount = amount => `${amount > 0 ? '+' : ''}${formatCoins(amount)}`;
+
+// Promo credits may be free minutes only: "+10 min"
+const formatTransactionAmount = transaction =>
+  !transaction.amount && transaction.freeMinutes > 0
+    ? `+${formatCoins(transaction.freeMinutes)} min`
+    : formatAmount(transaction.amount);
+
+// { coins: 50, freeMinutes: 10 } -> "50 coins and 10 free minutes"
+const formatPromoCredit = ({ coins, freeMinutes }) =>
+  [
+    coins > 0 && `${formatCoins(coins)} coins`,
+    freeMinutes > 0 && `${formatCoins(freeMinutes)} free minutes`,
+  ]
+    .filter(Boolean)
+    .join(' and ');
+
+const formatDateTime = timestamp => new Date(timestamp).toLocaleString();
+
+// 95 -> "1m 35s"
+const formatCallDuration = seconds => {
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+const getTransactionTitle = transaction => {
+  switch (transaction.type) {
+    case TRANSACTION_TYPES.PURCHASE:
+      return `Bought ${formatCoins(transaction.amount)} coins`;
+    case TRANSACTION_TYPES.CALL_DEBIT:
+      return `Call with ${transaction.therapistName || 'your therapist'}`;
+    case TRANSACTION_TYPES.PROMO:
+      return transaction.promoCode
+        ? `Promo code ${transaction.promoCode}`
+        : 'Promo credit';
+    default:
+      return transaction.description || TRANSACTION_LABELS[transaction.type];
+  }
+};
+
+/**
+ * Receipt lines for a ledger entry, as [label, value] pairs
+ */
+const getReceiptRows = transaction => {
+  const rows = [
+    ['Receipt no.', transaction.id],
+    ['Date', formatDateTime(transaction.createdAt)],
+    ['Type', TRANSACTION_LABELS[transaction.type] || transaction.type],
+  ];
+
+  if (transaction.type === TRANSACTION_TYPES.PURCHASE && transaction.price) {
+    rows.push(['Paid', formatPrice(transaction.price, transaction.currency)]);
+  }
+  if (transaction.paymentId) {
+    rows.push(['Payment', `${transaction.provider} ${transaction.paymentId}`]);
+  }
+  if (transaction.therapistName) {
+    rows.push(['Therapist', transaction.therapistName]);
+  }
+  if (typeof transaction.durationSeconds === 'number') {
+    rows.push(['Duration', formatCallDuration(transaction.durationSeconds)]);
+  }
+  if (transaction.callId) {
+    rows.push(['Call', transaction.callId]);
+  }
+  if (transaction.freeMinutesUsed > 0) {
+    rows.push([
+      'Free minutes used',
+      formatMinutes(transaction.freeMinutesUsed),
+    ]);
+  }
+  if (transaction.promoCode) {
+    rows.push(['Promo code', transaction.promoCode]);
+  }
+  if (transaction.freeMinutes > 0) {
+    rows.push(['Free minutes', `+${formatMinutes(transaction.freeMinutes)}`]);
+  }
+  if (transaction.description) {
+    rows.push(['Details', transaction.description]);
+  }
+
+  rows.push(['Coins', formatAmount(transaction.amount)]);
+  if (typeof transaction.balanceAfter === 'number') {
+    rows.push(['Balance after', formatCoins(transaction.balanceAfter)]);
+  }
+  return rows;
+};
+
+/**
+ * Coin balance, coin packs to buy and the transaction ledger with receipts
+ */
+const WalletScreen = ({ navigation }) => {
+  const { user, updateProfile } = useAuth();
+  const [packs, setPacks] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [purchasingPackId, setPurchasingPackId] = useState(null);
+  const [receipt, setReceipt] = useState(null);
+  const [promoCode, setPromoCode] = useState('');
+  const [redeeming, setRedeeming] = useState(false);
+  const [wallet] = useState(() => new WalletService());
+
+  const loadWallet = useCallback(async () => {
+    const [packsResult, ledgerResult] = await Promise.all([
+      wallet.canPurchase()
+        ? wallet.getCoinPacks()
+        : { success: true, packs: [] },
+      wallet.getTransactions(),
+    ]);
+
+    if (packsResult.success) {
+      setPacks(packsResult.packs);
+    }
+    if (ledgerResult.success) {
+      setTransactions(ledgerResult.transactions);
+      if (typeof ledgerResult.balance === 'number') {
+        updateProfile({
+          coins: ledgerResult.balance,
+          ...(typeof ledgerResult.freeMinutes === 'number' && {
+            freeMinutes: ledgerResult.freeMinutes,
+          }),
+        });
+      }
+    }
+    if (!packsResult.success || !ledgerResult.success) {
+      Alert.alert('Error', packsResult.error || ledgerResult.error);
+    }
+
+    setLoading(false);
+    setRefreshing(false);
+  }, [wallet, updateProfile]);
+
+  // Reload on focus so calls made since are in the ledger
+  useEffect(() => {
+    return navigation.addListener('focus', loadWallet);
+  }, [navigation, loadWallet]);
+
+  const onRefresh = useCallback(() => {
+    setRefreshing(true);
+    loadWallet();
+  }, [loadWallet]);
+
+  const handlePurchase = useCallback(
+    async pack => {
+      if (purchasingPackId) {
+        return;
+      }
+
+      setPurchasingPackId(pack.id);
+      const result = await wallet.purchase(pack);
+      setPurchasingPackId(null);
+
+      if (result.success) {
+        if (typeof result.balance === 'number') {
+          updateProfile({ coins: result.balance });
+        }
+        if (result.transaction) {
+          setTransactions(previous => [result.transaction, ...previous]);
+          setReceipt(result.transaction);
+        }
+      } else if (!result.cancelled) {
+        Alert.alert('Purchase Failed', result.error);
+      }
+    },
+    [wallet, purchasingPackId, updateProfile],
+  );
+
+  const handleRedeem = useCallback(async () => {
+    setRedeeming(true);
+    const result = await wallet.redeemPromoCode(promoCode);
+    setRedeeming(false);
+
+    if (!result.success) {
+      Alert.alert('Code Not Redeemed', result.error);
+      return;
+    }
+
+    updateProfile({
+      ...(typeof result.balance === 'number' && { coins: result.balance }),
+      ...(typeof result.freeMinutes === 'number' && {
+        freeMinutes: result.freeMinutes,
+      }),
+    });
+    if (result.transaction) {
+      setTransactions(previous => [result.transaction, ...previous]);
+    }
+    setPromoCode('');
+    Alert.alert(
+      'Code Redeemed',
+      `You got ${formatPromoCredit(result.credit)}.`,
+    );
+  }, [wallet, promoCode, updateProfile]);
+
+  const renderPack = pack => (
+    <Card key={pack.id} style={styles.packCard}>
+      <View style={styles.packInfo}>
+        <Text style={styles.packCoins}>{formatCoins(pack.coins)} coins</Text>
+        {pack.bonusCoins > 0 && (
+          <Text style={styles.packBonus}>
+            +{formatCoins(pack.bonusCoins)} bonus
+          </Text>
+        )}
+      </View>
+      <Button
+        title={formatPrice(pack.price, pack.currency)}
+        size="small"
+        onPress={() => handlePurchase(pack)}
+        loading={purchasingPackId === pack.id}
+        disabled={!!purchasingPackId}
+      />
+    </Card>
+  );
+
+  const renderTransaction = ({ item }) => (
+    <TouchableOpacity
+      style={styles.transaction}
+      onPress={() => setReceipt(item)}
+    >
+      <View style={styles.transactionInfo}>
+        <Text style={styles.transactionTitle}>{getTransactionTitle(item)}</Text>
+        <Text style={styles.transactionDate}>
+          {formatDateTime(item.createdAt)}
+        </Text>
+      </View>
+      <Text
+        style={[
+          styles.transactionAmount,
+          item.amount < 0 && styles.transactionDebit,
+        ]}
+      >
+        {formatTransactionAmount(item)}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  // Rendered as an element, not a component, so the promo code input keeps
+  // focus while typing
+  const renderHeader = () => (
+    <View>
+      <Card variant="primary" style={styles.balanceCard}>
+        <Text style={styles.balanceAmount}>
+          {formatCoins(user?.coins || 0)}
+        </Text>
+        <Text style={styles.balanceLabel}>Available Coins</Text>
+        {user?.freeMinutes > 0 && (
+          <Text style={styles.freeMinutes}>
+            + {formatMinutes(user.freeMinutes)} of free calls
+          </Text>
+        )}
+      </Card>
+
+      <Card style={styles.promoCard}>
+        <TextInput
+          style={styles.promoInput}
+          value={promoCode}
+          onChangeText={setPromoCode}
+          placeholder="Promo or referral code"
+          placeholderTextColor={theme.colors.textTertiary}
+          autoCapitalize="characters"
+          autoCorrect={false}
+          editable={!redeeming}
+        />
+        <Button
+          title="Redeem"
+          size="small"
+          onPress={handleRedeem}
+          loading={redeeming}
+          disabled={!promoCode.trim() || redeeming}
+        />
+      </Card>
+
+      {/* Without a payment provider there is nothing to pay with */}
+      {wallet.canPurchase() && (
+        <>
+          <Text style={styles.sectionTitle}>Buy coins</Text>
+          {packs.map(renderPack)}
+        </>
+      )}
+
+      <Text style={styles.sectionTitle}>Transactions</Text>
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <LoadingState type="data" text="Loading wallet..." />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Wallet</Text>
+        <Button
+          title="Done"
+          variant="outline"
+          size="small"
+          onPress={() => navigation.goBack()}
+        />
+      </View>
+
+      <FlatList
+        data={transactions}
+        renderItem={renderTransaction}
+        keyExtractor={item => item.id}
+        ListHeaderComponent={renderHeader()}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>No transactions yet</Text>
+        }
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={onRefresh}
+            tintColor={theme.colors.primary}
+            colors={[theme.colors.primary]}
+          />
+        }
+        contentContainerStyle={styles.content}
+      />
+
+      <Modal
+        visible={!!receipt}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setReceipt(null)}
+      >
+        <View style={styles.overlay}>
+          {receipt && (
+            <Card style={styles.receipt}>
+              <Text style={styles.receiptTitle}>
+                {getTransactionTitle(receipt)}
+              </Text>
+              {getReceiptRows(receipt).map(([label, value]) => (
+                <View key={label} style={styles.receiptRow}>
+                  <Text style={styles.receiptLabel}>{label}</Text>
+                  <Text style={styles.receiptValue}>{value}</Text>
+                </View>
+              ))}
+              <Button
+                title="Close"
+                variant="outline"
+                onPress={() => setReceipt(null)}
+                style={styles.receiptClose}
+              />
+            </Card>
+          )}
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingTop: 60,
+    paddingHorizontal: theme.spacing.screenPadding,
+    paddingBottom: theme.spacing.lg,
+  },
+  title: {
+    fontSize: theme.fonts.sizes.xxxl,
+    fontWeight: theme.fonts.weights.bold,
+    color: theme.colors.textPrimary,
+  },
+  content: {
+    paddingHorizontal: theme.spacing.screenPadding,
+    paddingBottom: theme.spacing.xxl,
+  },
+  balanceCard: {
+    alignItems: 'center',
+    marginBottom: theme.spacing.xl,
+  },
+  balanceAmount: {
+    fontSize: theme.fonts.sizes.display1,
+    fontWeight: theme.fonts.weights.extrabold,
+    color: theme.colors.primary,
+  },
+  balanceLabel: {
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.textSecondary,
+    fontWeight: theme.fonts.weights.medium,
+  },
+  freeMinutes: {
+    marginTop: theme.spacing.xs,
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.success,
+    fontWeight: theme.fonts.weights.semibold,
+  },
+  promoCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.xl,
+  },
+  promoInput: {
+    flex: 1,
+    marginRight: theme.spacing.md,
+    borderWidth: 1,
+    borderColor: theme.colors.borderDark,
+    borderRadius: theme.borderRadius.sm,
+    paddingHorizontal: theme.spacing.md,
+    paddingVertical: theme.spacing.sm,
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.textPrimary,
+  },
+  sectionTitle: {
+    fontSize: theme.fonts.sizes.xl,
+    fontWeight: theme.fonts.weights.bold,
+    color: theme.colors.textPrimary,
+    marginBottom: theme.spacing.md,
+  },
+  packCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: theme.spacing.md,
+  },
+  packInfo: {
+    flex: 1,
+  },
+  packCoins: {
+    fontSize: theme.fonts.sizes.lg,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.textPrimary,
+  },
+  packBonus: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.success,
+    fontWeight: theme.fonts.weights.medium,
+  },
+  transaction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: theme.spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  transactionInfo: {
+    flex: 1,
+    marginRight: theme.spacing.md,
+  },
+  transactionTitle: {
+    fontSize: theme.fonts.sizes.md,
+    fontWeight: theme.fonts.weights.medium,
+    color: theme.colors.textPrimary,
+  },
+  transactionDate: {
+    fontSize: theme.fonts.sizes.sm,
+    color: theme.colors.textTertiary,
+    marginTop: theme.spacing.xs,
+  },
+  transactionAmount: {
+    fontSize: theme.fonts.sizes.lg,
+    fontWeight: theme.fonts.weights.semibold,
+    color: theme.colors.success,
+  },
+  transactionDebit: {
+    color: theme.colors.textPrimary,
+  },
+  emptyText: {
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.textSecondary,
+    textAlign: 'center',
+    paddingVertical: theme.spacing.xl,
+  },
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: theme.spacing.screenPadding,
+    backgroundColor: theme.colors.overlay,
+  },
+  receipt: {
+    padding: theme.spacing.xl,
+  },
+  receiptTitle: {
+    fontSize: theme.fonts.sizes.xl,
+    fontWeight: theme.fonts.weights.bold,
+    color: theme.colors.textPrimary,
+    marginBottom: theme.spacing.lg,
+  },
+  receiptRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: theme.spacing.xs,
+  },
+  receiptLabel: {
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.textSecondary,
+  },
+  receiptValue: {
+    flexShrink: 1,
+    marginLeft: theme.spacing.md,
+    fontSize: theme.fonts.sizes.md,
+    color: theme.colors.textPrimary,
+    textAlign: 'right',
+  },
+  receiptClose: {
+    marginTop: theme.spacing.lg,
+  },
+});
+
+export default WalletScreen;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { QUALITY_LEVELS } from '../../utils/CallQuality';
+import theme from '../../theme';
+
+const LEVEL_CONFIG = {
+  [QUALITY_LEVELS.EXCELLENT]: {
+    bars: 4,
+    label: 'Excellent',
+    color: theme.colors.success,
+  },
+  [QUALITY_LEVELS.GOOD]: {
+    bars: 3,
+    label: 'Good',
+    color: theme.colors.success,
+  },
+  [QUALITY_LEVELS.POOR]: {
+    bars: 2,
+    label: 'Poor',
+    color: theme.colors.warning,
+  },
+  [QUALITY_LEVELS.CRITICAL]: {
+    bars: 1,
+    label: 'Critical',
+    color: theme.colors.error,
+  },
+};
+
+const BAR_HEIGHTS = [4, 7, 10, 13];
+
+const SignalBadge = ({ level, showLabel = true, style, ...props }) => {
+  const config = LEVEL_CONFIG[level];
+  if (!config) {
+    return null;
+  }
+
+  return (
+    <View
+      style={[styles.badge, style]}
+      accessibilityLabel={`Connection quality: ${config.label}`}
+      {...props}
+    >
+      <View style={styles.bars}>
+        {BAR_HEIGHTS.map((height, index) => (
+          <View
+            key={height}
+            style={[
+              styles.bar,
+              {
+                height,
+                backgroundColor:
+                  index < config.bars
+                    ? config.color
+                    : theme.getColorWithOpacity(theme.colors.white, 0.4),
+              },
+            ]}
+          />
+        ))}
+      </View>
+      {showLabel && (
+        <Text style={[styles.label, { color: config.color }]}>
+          {config.label}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  bars: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: BAR_HEIGHTS[BAR_HEIGHTS.length - 1],
+  },
+  bar: {
+    width: 3,
+    borderRadius: 1,
+    marginRight: 2,
+  },
+  label: {
+    marginLeft: theme.spacing.xs,
+    fontSize: theme.fonts.sizes.sm,
+    fontWeight: theme.fonts.weights.semibold,
+  },
+});
+
+export default SignalBadge;
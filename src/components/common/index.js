@@ -3,4 +3,5 @@ export { default as Button } from './Button';
 export { default as Card } from './Card';
 export { default as LoadingSpinner } from './LoadingSpinner';
 export { default as LoadingState } from './LoadingState';
-export { default as ErrorBoundary, withErrorBoundary } from './ErrorBoundary';
\ No newline at end of file
+export { default as ErrorBoundary, withErrorBoundary } from './ErrorBoundary';
+export { default as SignalBadge } from './SignalBadge';
\ No newline at end of file
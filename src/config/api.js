@@ -6,11 +6,24 @@ export const API_ENDPOINTS = {
   THERAPIST_LOGIN: `${API_BASE_URL}/auth/therapist-login`,
   GET_AVAILABLE_THERAPISTS: `${API_BASE_URL}/therapists/available`,
   UPDATE_THERAPIST_STATUS: `${API_BASE_URL}/therapists/status`,
+  UPDATE_THERAPIST_PRICING: `${API_BASE_URL}/therapists/pricing`,
   GET_USER_PROFILE: `${API_BASE_URL}/users/profile`,
   GET_THERAPIST_PROFILE: `${API_BASE_URL}/therapists/profile`,
+  GET_COIN_PACKS: `${API_BASE_URL}/wallet/packs`,
+  GET_WALLET_TRANSACTIONS: `${API_BASE_URL}/wallet/transactions`,
+  CREATE_COIN_PURCHASE: `${API_BASE_URL}/wallet/purchases`,
+  REDEEM_PROMO_CODE: `${API_BASE_URL}/wallet/promo-codes/redeem`,
   GET_CALL_HISTORY: `${API_BASE_URL}/calls/history`,
   START_CALL: `${API_BASE_URL}/calls/start`,
   END_CALL: `${API_BASE_URL}/calls/end`,
+  GET_ICE_SERVERS: `${API_BASE_URL}/calls/ice-servers`,
 };
 
+// Public STUN servers, used when the ICE server list can't be fetched
+export const FALLBACK_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' },
+  { urls: 'stun:stun2.l.google.com:19302' },
+];
+
 export const SOCKET_URL = 'http://192.168.29.45:3000';
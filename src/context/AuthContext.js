@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
 import AuthService from '../services/AuthService';
 
 const AuthContext = createContext();
@@ -152,9 +152,10 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const updateProfile = (updates) => {
+  // Stable, so callbacks that depend on it are not recreated every render
+  const updateProfile = useCallback((updates) => {
     dispatch({ type: AUTH_ACTIONS.UPDATE_PROFILE, payload: updates });
-  };
+  }, []);
 
   const clearError = () => {
     dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
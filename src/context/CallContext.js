@@ -8,11 +8,25 @@
 import React, { createContext, useContext, useReducer, useEffect, useCallback, useRef } from 'react';
 import { Alert } from 'react-native';
 import CallManager, { CALL_MANAGER_EVENTS, ERROR_TYPES } from '../services/CallManager';
-import { CALL_STATES } from '../services/CallStateMachine';
+import { CALL_STATES, CALL_TYPES } from '../services/CallStateMachine';
+import { CHAT_EVENTS } from '../services/ChatService';
+import CallTraceRecorder from '../services/trace/CallTraceRecorder';
+import { assessCallQuality } from '../utils/CallQuality';
 import { useAuth } from './AuthContext';
 
 const CallContext = createContext();
 
+// Record every call as a replayable trace (see CallTraceReplayer). The last
+// call's trace is available from getCallTrace() for bug reports.
+const RECORD_CALL_TRACES = __DEV__;
+
+// Record the manager's next call, replacing the current recorder
+const startTraceRecording = async (manager, traceRecorderRef) => {
+  const recorder = new CallTraceRecorder(manager);
+  traceRecorderRef.current = recorder;
+  await recorder.start();
+};
+
 // Action types for the reducer
 const CALL_ACTIONS = {
   SET_MANAGER_STATE: 'SET_MANAGER_STATE',
@@ -25,6 +39,15 @@ const CALL_ACTIONS = {
   SET_INITIALIZATION_STATE: 'SET_INITIALIZATION_STATE',
   SET_CONNECTION_STATUS: 'SET_CONNECTION_STATUS',
   SET_DEBUG_INFO: 'SET_DEBUG_INFO',
+  SET_CALL_QUALITY: 'SET_CALL_QUALITY',
+  SET_REMOTE_MUTED: 'SET_REMOTE_MUTED',
+  SET_CHAT_MESSAGES: 'SET_CHAT_MESSAGES',
+  SET_REMOTE_TYPING: 'SET_REMOTE_TYPING',
+  SET_CHAT_AVAILABLE: 'SET_CHAT_AVAILABLE',
+  SET_VIDEO_STATE: 'SET_VIDEO_STATE',
+  SET_VIDEO_UPGRADE: 'SET_VIDEO_UPGRADE',
+  SET_BILLING: 'SET_BILLING',
+  SET_BALANCE_WARNING: 'SET_BALANCE_WARNING',
 };
 
 // Initial state
@@ -43,6 +66,42 @@ const initialState = {
   // Incoming call state
   incomingCall: null,
   
+  // Live network quality of the active call
+  callQuality: null,
+  
+  // Why the last call ended or failed (a TIMEOUT_REASONS or END_REASONS value)
+  endReason: null,
+  
+  // Who put the call on hold (a HOLD_INITIATORS value)
+  holdInitiator: null,
+  
+  // Whether the other participant muted their microphone
+  isRemoteMuted: false,
+  
+  // In-call chat
+  chatMessages: [],
+  isRemoteTyping: false,
+  isChatAvailable: false,
+  
+  // Streams and camera state for video calls (see CallManager.getVideoState)
+  videoState: {
+    isVideoCall: false,
+    localStream: null,
+    remoteStream: null,
+    isCameraOn: true,
+    isRemoteCameraOn: true,
+    cameraFacing: null,
+  },
+  
+  // Latest voice-to-video request ({ direction, status }), if any
+  videoUpgrade: null,
+  
+  // Running cost of the user's call (see BillingMeter.getSnapshot)
+  billing: null,
+  
+  // Latest low-balance warning ({ secondsRemaining, isLocal }), if any
+  balanceWarning: null,
+  
   // Manager state
   isInitialized: false,
   isInitializing: false,
@@ -71,9 +130,13 @@ const getDerivedState = (state) => ({
     CALL_STATES.RINGING,
     CALL_STATES.CONNECTING,
     CALL_STATES.CONNECTED,
+    CALL_STATES.RECONNECTING,
+    CALL_STATES.ON_HOLD,
     CALL_STATES.DISCONNECTING,
   ].includes(state.callState),
   
+  isOnHold: state.callState === CALL_STATES.ON_HOLD,
+  
   isInCall: state.callState === CALL_STATES.CONNECTED,
   
   canStartCall: state.callState === CALL_STATES.IDLE && 
@@ -92,6 +155,31 @@ const getDerivedState = (state) => ({
   hasError: state.error !== null,
 });
 
+// States in which the other participant's mute state is meaningful
+const SESSION_STATES = [
+  CALL_STATES.CONNECTING,
+  CALL_STATES.CONNECTED,
+  CALL_STATES.RECONNECTING,
+  CALL_STATES.ON_HOLD,
+];
+
+// Terminal states record why the call finished; a new call clears it
+const getEndReason = (currentReason, { newState, metadata }) => {
+  switch (newState) {
+    case CALL_STATES.ENDED:
+    case CALL_STATES.FAILED:
+    case CALL_STATES.REJECTED:
+      return metadata?.reason || null;
+    case CALL_STATES.DISCONNECTING:
+      return metadata?.reason || currentReason;
+    case CALL_STATES.INITIATING:
+    case CALL_STATES.RINGING:
+      return null;
+    default:
+      return currentReason;
+  }
+};
+
 // Reducer
 const callReducer = (state, action) => {
   switch (action.type) {
@@ -100,6 +188,24 @@ const callReducer = (state, action) => {
         ...state,
         callState: action.payload.newState,
         callData: action.payload.callData || state.callData,
+        callQuality:
+          action.payload.newState === CALL_STATES.CONNECTED
+            ? state.callQuality
+            : null,
+        endReason: getEndReason(state.endReason, action.payload),
+        holdInitiator:
+          action.payload.newState === CALL_STATES.ON_HOLD
+            ? action.payload.metadata?.initiator || null
+            : null,
+        isRemoteMuted: SESSION_STATES.includes(action.payload.newState)
+          ? state.isRemoteMuted
+          : false,
+        videoUpgrade: SESSION_STATES.includes(action.payload.newState)
+          ? state.videoUpgrade
+          : null,
+        balanceWarning: SESSION_STATES.includes(action.payload.newState)
+          ? state.balanceWarning
+          : null,
       };
       
     case CALL_ACTIONS.SET_CALL_DATA:
@@ -158,6 +264,60 @@ const callReducer = (state, action) => {
         debugInfo: action.payload,
       };
       
+    case CALL_ACTIONS.SET_CALL_QUALITY:
+      return {
+        ...state,
+        callQuality: action.payload,
+      };
+      
+    case CALL_ACTIONS.SET_REMOTE_MUTED:
+      return {
+        ...state,
+        isRemoteMuted: action.payload,
+      };
+      
+    case CALL_ACTIONS.SET_CHAT_MESSAGES:
+      return {
+        ...state,
+        chatMessages: action.payload,
+      };
+      
+    case CALL_ACTIONS.SET_REMOTE_TYPING:
+      return {
+        ...state,
+        isRemoteTyping: action.payload,
+      };
+      
+    case CALL_ACTIONS.SET_CHAT_AVAILABLE:
+      return {
+        ...state,
+        isChatAvailable: action.payload,
+      };
+      
+    case CALL_ACTIONS.SET_VIDEO_STATE:
+      return {
+        ...state,
+        videoState: action.payload,
+      };
+      
+    case CALL_ACTIONS.SET_VIDEO_UPGRADE:
+      return {
+        ...state,
+        videoUpgrade: action.payload,
+      };
+      
+    case CALL_ACTIONS.SET_BILLING:
+      return {
+        ...state,
+        billing: action.payload,
+      };
+      
+    case CALL_ACTIONS.SET_BALANCE_WARNING:
+      return {
+        ...state,
+        balanceWarning: action.payload,
+      };
+      
     default:
       return state;
   }
@@ -166,9 +326,11 @@ const callReducer = (state, action) => {
 // Provider component
 export const CallProvider = ({ children }) => {
   const [state, dispatch] = useReducer(callReducer, initialState);
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, user, updateProfile } = useAuth();
   const callManagerRef = useRef(null);
   const initializationPromiseRef = useRef(null);
+  const traceRecorderRef = useRef(null);
+  const lastCallTraceRef = useRef(null);
 
   // Initialize CallManager when authenticated
   useEffect(() => {
@@ -221,6 +383,9 @@ export const CallProvider = ({ children }) => {
       
       if (result.success) {
         console.log('CallContextV2: CallManager initialized successfully');
+        if (RECORD_CALL_TRACES) {
+          await startTraceRecording(callManagerRef.current, traceRecorderRef);
+        }
         dispatch({
           type: CALL_ACTIONS.SET_INITIALIZATION_STATE,
           payload: { isInitialized: true, isInitializing: false },
@@ -264,6 +429,16 @@ export const CallProvider = ({ children }) => {
     // State changes
     manager.on(CALL_MANAGER_EVENTS.STATE_CHANGED, (event) => {
       console.log('CallContextV2: State changed:', event);
+      // Keep the finished call's trace, then record the next call separately
+      const recorder = traceRecorderRef.current;
+      if (
+        RECORD_CALL_TRACES &&
+        event.newState === CALL_STATES.IDLE &&
+        recorder?.entries.length > 0
+      ) {
+        lastCallTraceRef.current = recorder.stop();
+        startTraceRecording(manager, traceRecorderRef);
+      }
       dispatch({
         type: CALL_ACTIONS.SET_MANAGER_STATE,
         payload: event,
@@ -316,6 +491,93 @@ export const CallProvider = ({ children }) => {
       updateConnectionStatus();
     });
 
+    // Call quality stats
+    manager.on(CALL_MANAGER_EVENTS.CALL_STATS, (sample) => {
+      dispatch({
+        type: CALL_ACTIONS.SET_CALL_QUALITY,
+        payload: assessCallQuality(sample),
+      });
+    });
+
+    // Other participant muted or unmuted their microphone
+    manager.on(CALL_MANAGER_EVENTS.REMOTE_MUTE_CHANGED, ({ muted }) => {
+      dispatch({
+        type: CALL_ACTIONS.SET_REMOTE_MUTED,
+        payload: muted,
+      });
+    });
+
+    // Video streams and camera changes
+    manager.on(CALL_MANAGER_EVENTS.VIDEO_STATE_CHANGED, (videoState) => {
+      dispatch({
+        type: CALL_ACTIONS.SET_VIDEO_STATE,
+        payload: videoState,
+      });
+    });
+
+    // Voice-to-video requests in either direction
+    manager.on(CALL_MANAGER_EVENTS.VIDEO_UPGRADE_CHANGED, (videoUpgrade) => {
+      dispatch({
+        type: CALL_ACTIONS.SET_VIDEO_UPGRADE,
+        payload: videoUpgrade,
+      });
+    });
+
+    // Running cost; once the server's figure is in, it is the new balance
+    manager.on(CALL_MANAGER_EVENTS.BILLING_CHANGED, (billing) => {
+      dispatch({
+        type: CALL_ACTIONS.SET_BILLING,
+        payload: billing,
+      });
+      if (billing?.isReconciled) {
+        updateProfile({
+          coins: billing.remainingBalance,
+          freeMinutes: billing.freeMinutesRemaining,
+        });
+      }
+    });
+
+    // The server pushes the settled balance after each call
+    manager.on(CALL_MANAGER_EVENTS.BALANCE_UPDATED, ({ balance, freeMinutes }) => {
+      if (typeof balance === 'number') {
+        // Top-up pushes carry no freeMinutes; keep the ones the user has
+        updateProfile({
+          coins: balance,
+          ...(typeof freeMinutes === 'number' && { freeMinutes }),
+        });
+      }
+    });
+
+    // The user's coins are running low, on either side of the call
+    manager.on(CALL_MANAGER_EVENTS.BALANCE_WARNING, (warning) => {
+      dispatch({
+        type: CALL_ACTIONS.SET_BALANCE_WARNING,
+        payload: warning,
+      });
+    });
+
+    // In-call chat
+    manager.chatService.on(CHAT_EVENTS.MESSAGES_CHANGED, (messages) => {
+      dispatch({
+        type: CALL_ACTIONS.SET_CHAT_MESSAGES,
+        payload: messages,
+      });
+    });
+
+    manager.chatService.on(CHAT_EVENTS.TYPING_CHANGED, (isTyping) => {
+      dispatch({
+        type: CALL_ACTIONS.SET_REMOTE_TYPING,
+        payload: isTyping,
+      });
+    });
+
+    manager.chatService.on(CHAT_EVENTS.AVAILABILITY_CHANGED, (isAvailable) => {
+      dispatch({
+        type: CALL_ACTIONS.SET_CHAT_AVAILABLE,
+        payload: isAvailable,
+      });
+    });
+
     // Errors
     manager.on(CALL_MANAGER_EVENTS.ERROR, (error) => {
       console.error('CallContextV2: CallManager error:', error);
@@ -335,7 +597,7 @@ export const CallProvider = ({ children }) => {
         });
       });
     }
-  }, []);
+  }, [updateProfile]);
 
   // Update connection status
   const updateConnectionStatus = useCallback(() => {
@@ -354,6 +616,10 @@ export const CallProvider = ({ children }) => {
 
   // Cleanup CallManager
   const cleanupCallManager = useCallback(async () => {
+    if (traceRecorderRef.current) {
+      traceRecorderRef.current.stop();
+      traceRecorderRef.current = null;
+    }
     if (callManagerRef.current) {
       await callManagerRef.current.cleanup();
       callManagerRef.current = null;
@@ -371,7 +637,7 @@ export const CallProvider = ({ children }) => {
   }, []);
 
   // Action methods
-  const startCall = useCallback(async (therapistId, therapistName, callType = 'voice') => {
+  const startCall = useCallback(async (therapistId, therapistName, callType = CALL_TYPES.VOICE, options = {}) => {
     if (!callManagerRef.current) {
       throw new Error('CallManager not initialized');
     }
@@ -394,7 +660,11 @@ export const CallProvider = ({ children }) => {
         return { success: false, error: 'Call already in progress' };
       }
 
-      const result = await callManagerRef.current.startCall(therapistId, therapistName, callType);
+      const result = await callManagerRef.current.startCall(therapistId, therapistName, callType, {
+        balance: user?.coins,
+        freeMinutes: user?.freeMinutes,
+        ...options,
+      });
       
       dispatch({ type: CALL_ACTIONS.SET_LOADING, payload: false });
       
@@ -407,7 +677,7 @@ export const CallProvider = ({ children }) => {
       dispatch({ type: CALL_ACTIONS.SET_LOADING, payload: false });
       throw error;
     }
-  }, [state.loading, state.isCallActive]);
+  }, [state.loading, state.isCallActive, user?.coins, user?.freeMinutes]);
 
   const acceptCall = useCallback(async (callId) => {
     if (!callManagerRef.current) {
@@ -472,6 +742,100 @@ export const CallProvider = ({ children }) => {
     }
   }, []);
 
+  const holdCall = useCallback(async () => {
+    if (!callManagerRef.current) {
+      throw new Error('CallManager not initialized');
+    }
+
+    const result = await callManagerRef.current.holdCall();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result;
+  }, []);
+
+  const unholdCall = useCallback(async () => {
+    if (!callManagerRef.current) {
+      throw new Error('CallManager not initialized');
+    }
+
+    const result = await callManagerRef.current.unholdCall();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result;
+  }, []);
+
+  const setMuted = useCallback(async (muted) => {
+    if (!callManagerRef.current) {
+      return { success: false, error: 'CallManager not initialized' };
+    }
+    return callManagerRef.current.setMuted(muted);
+  }, []);
+
+  const setCameraEnabled = useCallback(async (enabled) => {
+    if (!callManagerRef.current) {
+      return { success: false, error: 'CallManager not initialized' };
+    }
+    return callManagerRef.current.setCameraEnabled(enabled);
+  }, []);
+
+  const switchCamera = useCallback(async () => {
+    if (!callManagerRef.current) {
+      return { success: false, error: 'CallManager not initialized' };
+    }
+    return callManagerRef.current.switchCamera();
+  }, []);
+
+  const downgradeToAudio = useCallback(async () => {
+    if (!callManagerRef.current) {
+      throw new Error('CallManager not initialized');
+    }
+
+    const result = await callManagerRef.current.downgradeToAudio();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result;
+  }, []);
+
+  const requestVideoUpgrade = useCallback(async () => {
+    if (!callManagerRef.current) {
+      throw new Error('CallManager not initialized');
+    }
+
+    const result = await callManagerRef.current.requestVideoUpgrade();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result;
+  }, []);
+
+  const answerVideoUpgrade = useCallback(async (accepted) => {
+    if (!callManagerRef.current) {
+      throw new Error('CallManager not initialized');
+    }
+
+    const result = accepted
+      ? await callManagerRef.current.acceptVideoUpgrade()
+      : await callManagerRef.current.declineVideoUpgrade();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result;
+  }, []);
+
+  const sendChatMessage = useCallback((text) => {
+    if (!callManagerRef.current) {
+      return { success: false, error: 'CallManager not initialized' };
+    }
+    return callManagerRef.current.chatService.sendMessage(text);
+  }, []);
+
+  const setChatTyping = useCallback((isTyping) => {
+    callManagerRef.current?.chatService.setTyping(isTyping);
+  }, []);
+
   const forceReset = useCallback(async () => {
     if (!callManagerRef.current) {
       return;
@@ -511,6 +875,15 @@ export const CallProvider = ({ children }) => {
     return callManagerRef.current.getDebugInfo();
   }, []);
 
+  // Trace of the call in progress, or of the last call (development only)
+  const getCallTrace = useCallback(() => {
+    const recorder = traceRecorderRef.current;
+    if (recorder && recorder.entries.length > 0) {
+      return recorder.getTrace();
+    }
+    return lastCallTraceRef.current;
+  }, []);
+
   // Context value with derived state
   const value = {
     // Core state
@@ -521,12 +894,23 @@ export const CallProvider = ({ children }) => {
     acceptCall,
     rejectCall,
     endCall,
+    holdCall,
+    unholdCall,
+    setMuted,
+    setCameraEnabled,
+    switchCamera,
+    downgradeToAudio,
+    requestVideoUpgrade,
+    answerVideoUpgrade,
+    sendChatMessage,
+    setChatTyping,
     forceReset,
     clearError,
     retryInitialization,
     
     // Utilities
     getDebugInfo: __DEV__ ? getDebugInfo : null,
+    getCallTrace: RECORD_CALL_TRACES ? getCallTrace : null,
   };
 
   return (
@@ -547,7 +931,7 @@ export const useCall = () => {
 
 // Helper hook for call state checks
 export const useCallState = () => {
-  const { callState, isCallActive, isInCall, canStartCall, canAcceptCall, isConnecting } = useCall();
+  const { callState, isCallActive, isInCall, isOnHold, canStartCall, canAcceptCall, isConnecting } = useCall();
   
   return {
     callState,
@@ -557,6 +941,8 @@ export const useCallState = () => {
     isRinging: callState === CALL_STATES.RINGING,
     isConnecting,
     isConnected: callState === CALL_STATES.CONNECTED,
+    isReconnecting: callState === CALL_STATES.RECONNECTING,
+    isOnHold,
     isEnding: callState === CALL_STATES.DISCONNECTING,
     isEnded: callState === CALL_STATES.ENDED,
     isFailed: callState === CALL_STATES.FAILED,
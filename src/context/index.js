@@ -10,4 +10,11 @@ export {
 } from './CallContext';
 
 // State constants
-export { CALL_STATES } from '../services/CallStateMachine';
\ No newline at end of file
+export { CALL_STATES, CALL_TYPES, TIMEOUT_REASONS } from '../services/CallStateMachine';
+export { CAMERA_FACING } from '../services/WebRTCService';
+export {
+  END_REASONS,
+  HOLD_INITIATORS,
+  VIDEO_UPGRADE_DIRECTIONS,
+  VIDEO_UPGRADE_STATUS,
+} from '../services/CallManager';
\ No newline at end of file
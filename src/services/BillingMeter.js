@@ -0,0 +1,317 @@
+/**
+ * BillingMeter - Per-second call cost against the user's coin balance
+ *
+ * Time is billed only while the call is connected: CallManager starts the
+ * meter on CONNECTED and pauses it in every other state. The local total is
+ * an estimate for the call screen; the server's figure reported at hang-up
+ * is authoritative and replaces it (see reconcile).
+ *
+ * Free minutes from promo vouchers are used up before any coins. Each tick
+ * also projects how long the balance lasts, warning as it gets low and
+ * reporting EXHAUSTED once it runs out.
+ */
+
+import {
+  getAffordableSeconds,
+  getCallCost,
+  getFreeSecondsUsed,
+  getPricing,
+  getRateAt,
+} from '../utils/Pricing';
+
+export const BILLING_EVENTS = {
+  UPDATED: 'updated',
+  LOW_BALANCE: 'low_balance', // { secondsRemaining }
+  EXHAUSTED: 'exhausted', // The balance has run out
+};
+
+// Seconds of call time left at which the user is warned
+export const LOW_BALANCE_WARNINGS = [120, 30];
+
+class BillingMeter {
+  /**
+   * @param {Object} options
+   * @param {number} options.tickInterval - How often the running cost is
+   *   reported, in milliseconds
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.tickInterval = options.tickInterval || 1000;
+    this.now = options.now || Date.now;
+    this.listeners = new Map();
+    this.tickTimer = null;
+    this.reset();
+  }
+
+  /**
+   * Prepare the meter for a new call. Without a balance the meter stays
+   * inactive, e.g. for the therapist side of a call.
+   *
+   * @param {Object} options
+   * @param {number} options.balance - The user's coins
+   * @param {number} options.freeMinutes - The user's voucher minutes
+   * @param {Object} options.pricing - The therapist's rates (see getPricing)
+   */
+  reset({ balance = null, freeMinutes = 0, pricing } = {}) {
+    this.clearTickTimer();
+    this.balance = typeof balance === 'number' ? balance : null;
+    this.freeSeconds = Math.max(freeMinutes || 0, 0) * 60;
+    this.pricing = getPricing(pricing);
+    this.billedMs = 0;
+    this.resumedAt = null;
+    this.serverFigure = null;
+    this.warnedAt = null;
+    this.isExhausted = false;
+    this.emitUpdate();
+  }
+
+  isActive() {
+    return this.balance !== null;
+  }
+
+  isRunning() {
+    return this.resumedAt !== null;
+  }
+
+  /**
+   * Start (or resume) billing time
+   */
+  start() {
+    if (
+      !this.isActive() ||
+      this.isRunning() ||
+      this.isExhausted ||
+      this.serverFigure
+    ) {
+      return;
+    }
+
+    this.resumedAt = this.now();
+    this.tickTimer = setInterval(() => this.tick(), this.tickInterval);
+    this.tick();
+  }
+
+  /**
+   * Report the running cost and project how long the balance will last
+   */
+  tick() {
+    this.emitUpdate();
+
+    const { secondsRemaining } = this.getSnapshot();
+    if (secondsRemaining <= 0) {
+      if (!this.isExhausted) {
+        this.isExhausted = true;
+        this.pause();
+        this.emit(BILLING_EVENTS.EXHAUSTED);
+      }
+      return;
+    }
+
+    // Only the closest threshold is reported, e.g. when a call starts with
+    // under 30 seconds of balance
+    const threshold = LOW_BALANCE_WARNINGS.filter(
+      seconds => secondsRemaining <= seconds,
+    ).pop();
+    if (threshold && (this.warnedAt === null || threshold < this.warnedAt)) {
+      this.warnedAt = threshold;
+      this.emit(BILLING_EVENTS.LOW_BALANCE, { secondsRemaining });
+    }
+  }
+
+  /**
+   * Stop billing time, keeping the total so far
+   */
+  pause() {
+    if (!this.isRunning()) {
+      return;
+    }
+
+    this.billedMs += this.now() - this.resumedAt;
+    this.resumedAt = null;
+    this.clearTickTimer();
+    this.emitUpdate();
+  }
+
+  /**
+   * Stop the meter and return the local usage to report to the server
+   */
+  stop() {
+    this.pause();
+    if (!this.isActive()) {
+      return { durationSeconds: 0, coinsCharged: 0, freeSecondsUsed: 0 };
+    }
+
+    const { billedSeconds, cost, freeSecondsUsed } = this.getSnapshot();
+    return {
+      durationSeconds: billedSeconds,
+      coinsCharged: cost,
+      freeSecondsUsed,
+    };
+  }
+
+  /**
+   * Replace the local total with the server's figure for the call
+   *
+   * @param {Object} serverBilling - { durationSeconds, coinsCharged,
+   *   freeSecondsUsed?, balance?, freeMinutes? }
+   */
+  reconcile(serverBilling) {
+    if (!this.isActive()) {
+      return null;
+    }
+
+    this.pause();
+    const local = this.getSnapshot();
+    if (!serverBilling || typeof serverBilling.coinsCharged !== 'number') {
+      console.warn(
+        'BillingMeter: No billing figure from the server, keeping local total',
+      );
+      return local;
+    }
+
+    const freeSecondsUsed =
+      typeof serverBilling.freeSecondsUsed === 'number'
+        ? serverBilling.freeSecondsUsed
+        : local.freeSecondsUsed;
+    this.serverFigure = {
+      durationSeconds: serverBilling.durationSeconds,
+      coinsCharged: serverBilling.coinsCharged,
+      freeSecondsUsed,
+      balance:
+        typeof serverBilling.balance === 'number'
+          ? serverBilling.balance
+          : this.balance - serverBilling.coinsCharged,
+      freeMinutes:
+        typeof serverBilling.freeMinutes === 'number'
+          ? serverBilling.freeMinutes
+          : (this.freeSeconds - freeSecondsUsed) / 60,
+    };
+
+    if (serverBilling.coinsCharged !== local.cost) {
+      console.log(
+        `BillingMeter: Server charged ${serverBilling.coinsCharged} coins, ` +
+          `local total was ${local.cost}`,
+      );
+    }
+
+    this.emitUpdate();
+    return this.getSnapshot();
+  }
+
+  getBilledSeconds() {
+    const runningMs = this.isRunning() ? this.now() - this.resumedAt : 0;
+    return Math.floor((this.billedMs + runningMs) / 1000);
+  }
+
+  getSnapshot() {
+    if (!this.isActive()) {
+      return null;
+    }
+
+    if (this.serverFigure) {
+      const {
+        durationSeconds,
+        coinsCharged,
+        freeSecondsUsed,
+        balance,
+        freeMinutes,
+      } = this.serverFigure;
+      return {
+        pricing: this.pricing,
+        ratePerMinute: getRateAt(
+          durationSeconds,
+          this.pricing,
+          this.freeSeconds,
+        ),
+        balance: this.balance,
+        billedSeconds: durationSeconds,
+        cost: coinsCharged,
+        remainingBalance: balance,
+        freeSecondsUsed,
+        freeMinutesRemaining: freeMinutes,
+        secondsRemaining: getAffordableSeconds(
+          balance,
+          durationSeconds,
+          this.pricing,
+          this.freeSeconds,
+        ),
+        isRunning: false,
+        isReconciled: true,
+      };
+    }
+
+    const billedSeconds = this.getBilledSeconds();
+    const cost = getCallCost(billedSeconds, this.pricing, this.freeSeconds);
+    const remainingBalance = Math.round((this.balance - cost) * 100) / 100;
+    const freeSecondsUsed = getFreeSecondsUsed(
+      billedSeconds,
+      this.pricing,
+      this.freeSeconds,
+    );
+    return {
+      pricing: this.pricing,
+      ratePerMinute: getRateAt(billedSeconds, this.pricing, this.freeSeconds),
+      balance: this.balance,
+      billedSeconds,
+      cost,
+      remainingBalance,
+      freeSecondsUsed,
+      freeMinutesRemaining: (this.freeSeconds - freeSecondsUsed) / 60,
+      secondsRemaining: getAffordableSeconds(
+        remainingBalance,
+        billedSeconds,
+        this.pricing,
+        this.freeSeconds,
+      ),
+      isRunning: this.isRunning(),
+      isReconciled: false,
+    };
+  }
+
+  emitUpdate() {
+    this.emit(BILLING_EVENTS.UPDATED, this.getSnapshot());
+  }
+
+  clearTickTimer() {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+  }
+
+  /**
+   * Event listener management
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+  }
+
+  off(event, listener) {
+    const eventListeners = this.listeners.get(event);
+    if (eventListeners) {
+      eventListeners.delete(listener);
+    }
+  }
+
+  emit(event, data) {
+    const eventListeners = this.listeners.get(event);
+    if (eventListeners) {
+      eventListeners.forEach(listener => {
+        try {
+          listener(data);
+        } catch (error) {
+          console.error('BillingMeter: Error in event listener:', error);
+        }
+      });
+    }
+  }
+
+  removeAllListeners() {
+    this.listeners.clear();
+  }
+}
+
+export default BillingMeter;
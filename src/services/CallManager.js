@@ -6,10 +6,18 @@
  * API for React components and handles all the complex coordination logic.
  */
 
-import CallStateMachine, { CALL_STATES, CALL_EVENTS } from './CallStateMachine';
+import CallStateMachine, {
+  CALL_STATES,
+  CALL_EVENTS,
+  CALL_TYPES,
+} from './CallStateMachine';
 import WebRTCService, { WEBRTC_EVENTS } from './WebRTCService';
 import SocketService, { SOCKET_EVENTS } from './SocketService';
 import AuthService from './AuthService';
+import ChatService, { CHAT_CHANNEL_LABEL } from './ChatService';
+import IceServerProvider, { ICE_SERVER_EVENTS } from './IceServerProvider';
+import BillingMeter, { BILLING_EVENTS } from './BillingMeter';
+import { formatCoins, getMinimumBalance, getPricing } from '../utils/Pricing';
 
 // Call Manager Events
 export const CALL_MANAGER_EVENTS = {
@@ -19,10 +27,44 @@ export const CALL_MANAGER_EVENTS = {
   CALL_CONNECTED: 'call_connected',
   CALL_ENDED: 'call_ended',
   CALL_CANCELLED: 'call_cancelled',
+  CALL_STATS: 'call_stats',
+  SESSION_RESUMED: 'session_resumed',
+  REMOTE_MUTE_CHANGED: 'remote_mute_changed',
+  VIDEO_STATE_CHANGED: 'video_state_changed',
+  VIDEO_UPGRADE_CHANGED: 'video_upgrade_changed',
+  BILLING_CHANGED: 'billing_changed',
+  BALANCE_WARNING: 'balance_warning', // { secondsRemaining, isLocal }
+  BALANCE_UPDATED: 'balance_updated', // { balance, freeMinutes, transaction }
+  ACTION: 'action', // Public API call, e.g. for trace recording
   ERROR: 'error',
   DEBUG: 'debug',
 };
 
+// Who put the call on hold, reported as `initiator` in HOLD/RESUME metadata
+export const HOLD_INITIATORS = {
+  LOCAL: 'local',
+  REMOTE: 'remote',
+};
+
+// Direction of a voice-to-video upgrade request
+export const VIDEO_UPGRADE_DIRECTIONS = {
+  OUTGOING: 'outgoing', // We asked the other participant
+  INCOMING: 'incoming', // The other participant asked us
+};
+
+// Progress of a voice-to-video upgrade request
+export const VIDEO_UPGRADE_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+};
+
+// Why CallManager ended a call on its own, reported as `reason` in metadata
+export const END_REASONS = {
+  INSUFFICIENT_BALANCE: 'insufficient_balance',
+};
+
 // Error types
 export const ERROR_TYPES = {
   INITIALIZATION_FAILED: 'initialization_failed',
@@ -35,25 +77,79 @@ export const ERROR_TYPES = {
   TIMEOUT: 'timeout',
 };
 
+// States in which offers and answers are exchanged: the initial negotiation,
+// then renegotiations (ICE restart, added video) on the established call
+const NEGOTIATION_STATES = [
+  CALL_STATES.CONNECTING,
+  CALL_STATES.CONNECTED,
+  CALL_STATES.RECONNECTING,
+  CALL_STATES.ON_HOLD,
+];
+
+// Whether an ICE server list includes a TURN server to relay media through
+const hasRelayServer = iceServers =>
+  iceServers.some(server =>
+    [].concat(server.urls).some(url => /^turns?:/.test(url)),
+  );
+
 class CallManager {
-  constructor() {
+  /**
+   * @param {Object} options - Service overrides, mainly for tests
+   * @param {SocketService} options.socketService
+   * @param {WebRTCService} options.webrtcService
+   * @param {Object} options.authService - Provides user ID and type
+   * @param {ChatService} options.chatService
+   * @param {IceServerProvider} options.iceServerProvider
+   * @param {BillingMeter} options.billingMeter
+   */
+  constructor(options = {}) {
     // Core services
     this.stateMachine = new CallStateMachine();
-    this.webrtcService = new WebRTCService();
-    this.socketService = new SocketService();
+    this.webrtcService = options.webrtcService || new WebRTCService();
+    this.socketService = options.socketService || new SocketService();
+    this.authService = options.authService || AuthService;
+    this.chatService = options.chatService || new ChatService();
+    this.iceServerProvider =
+      options.iceServerProvider ||
+      new IceServerProvider({ authService: this.authService });
+    this.billingMeter = options.billingMeter || new BillingMeter();
 
     // State
     this.isInitialized = false;
     this.currentOperation = null;
     this.operationTimeout = null;
     this.webrtcInitTimeout = null;
+    this.resumeTimeout = null;
     this.listeners = new Map();
 
+    // ICE restart tracking for mid-call recovery
+    this.iceRestartAttempts = 0;
+    this.maxIceRestartAttempts = 3;
+    this.isRestartingIce = false;
+    // A restart offer can be lost, so it is re-sent while it is still
+    // unanswered, doubling the delay each time
+    this.iceRestartRetryDelay = 2000;
+    this.iceRestartRetryTimeout = null;
+
+    // Set while the call is on hold (a HOLD_INITIATORS value)
+    this.holdInitiator = null;
+
+    // Microphone mute state of each side, shared over signaling
+    this.isMuted = false;
+    this.isRemoteMuted = false;
+
+    // Camera state of each side in a video call, shared over signaling
+    this.isRemoteCameraOn = true;
+
+    // Pending voice-to-video upgrade ({ direction }) and its expiry timer
+    this.videoUpgrade = null;
+    this.videoUpgradeTimeout = null;
+
     // Operation timeouts (in milliseconds)
     this.timeouts = {
       initialization: 15000,
-      callSetup: 30000,
-      webrtcConnection: 20000,
+      sessionResume: 20000,
+      videoUpgrade: 30000,
       operationDefault: 10000,
     };
 
@@ -64,6 +160,15 @@ class CallManager {
     this.acceptCall = this.acceptCall.bind(this);
     this.rejectCall = this.rejectCall.bind(this);
     this.endCall = this.endCall.bind(this);
+    this.holdCall = this.holdCall.bind(this);
+    this.unholdCall = this.unholdCall.bind(this);
+    this.setMuted = this.setMuted.bind(this);
+    this.setCameraEnabled = this.setCameraEnabled.bind(this);
+    this.switchCamera = this.switchCamera.bind(this);
+    this.downgradeToAudio = this.downgradeToAudio.bind(this);
+    this.requestVideoUpgrade = this.requestVideoUpgrade.bind(this);
+    this.acceptVideoUpgrade = this.acceptVideoUpgrade.bind(this);
+    this.declineVideoUpgrade = this.declineVideoUpgrade.bind(this);
   }
 
   /**
@@ -90,11 +195,15 @@ class CallManager {
         throw new Error(`Socket connection failed: ${socketResult.error}`);
       }
 
-      const webrtcResult = await this.webrtcService.initialize();
+      const webrtcResult = await this.initializeWebRTC();
       if (!webrtcResult.success) {
         throw new Error(`WebRTC initialization failed: ${webrtcResult.error}`);
       }
 
+      // The therapist gives way when both sides offer at once
+      const userType = await this.authService.getUserType();
+      this.webrtcService.setPolite(userType === 'therapist');
+
       // Setup service event listeners
       this.setupServiceListeners();
 
@@ -186,6 +295,35 @@ class CallManager {
       this.handleWebRTCIceCandidate(data);
     });
 
+    this.socketService.on(SOCKET_EVENTS.CALL_HOLD_CHANGED, data => {
+      this.handleCallHoldChanged(data);
+    });
+
+    this.socketService.on(SOCKET_EVENTS.MUTE_STATE, data => {
+      this.handleRemoteMuteState(data);
+    });
+
+    this.socketService.on(SOCKET_EVENTS.VIDEO_STATE, data => {
+      this.handleRemoteVideoState(data);
+    });
+
+    this.socketService.on(SOCKET_EVENTS.BALANCE_WARNING, data => {
+      this.handleRemoteBalanceWarning(data);
+    });
+
+    // The server's balance once a call is settled, outside any call state
+    this.socketService.on(SOCKET_EVENTS.BALANCE_UPDATED, data => {
+      this.emit(CALL_MANAGER_EVENTS.BALANCE_UPDATED, data);
+    });
+
+    this.socketService.on(SOCKET_EVENTS.VIDEO_UPGRADE_REQUEST, data => {
+      this.handleVideoUpgradeRequest(data);
+    });
+
+    this.socketService.on(SOCKET_EVENTS.VIDEO_UPGRADE_RESPONSE, data => {
+      this.handleVideoUpgradeResponse(data);
+    });
+
     this.socketService.on('error', error => {
       this.handleSocketError(error);
     });
@@ -194,6 +332,18 @@ class CallManager {
       this.handleSocketDisconnected(data);
     });
 
+    this.socketService.on('reconnected', data => {
+      this.handleSocketReconnected(data);
+    });
+
+    this.socketService.on(SOCKET_EVENTS.CALL_RESUMED, data => {
+      this.handleCallResumed(data);
+    });
+
+    this.socketService.on(SOCKET_EVENTS.RESUME_FAILED, data => {
+      this.handleResumeFailed(data);
+    });
+
     // WebRTC service listeners
     this.webrtcService.on(WEBRTC_EVENTS.ICE_CANDIDATE, candidate => {
       this.handleLocalIceCandidate(candidate);
@@ -203,6 +353,10 @@ class CallManager {
       this.handleRemoteStream(stream);
     });
 
+    this.webrtcService.on(WEBRTC_EVENTS.LOCAL_STREAM, () => {
+      this.emitVideoState();
+    });
+
     this.webrtcService.on(WEBRTC_EVENTS.STATE_CHANGED, state => {
       this.handleWebRTCStateChange(state);
     });
@@ -211,15 +365,77 @@ class CallManager {
       this.handleWebRTCIceStateChange(state);
     });
 
+    this.webrtcService.on(WEBRTC_EVENTS.RESTART_NEEDED, data => {
+      this.handleIceRestartNeeded(data);
+    });
+
+    this.webrtcService.on(WEBRTC_EVENTS.NEGOTIATION_NEEDED, () => {
+      this.handleNegotiationNeeded();
+    });
+
+    this.webrtcService.on(WEBRTC_EVENTS.DATA_CHANNEL, channel => {
+      this.chatService.attachChannel(channel);
+    });
+
+    this.webrtcService.on(WEBRTC_EVENTS.STATS, sample => {
+      this.handleWebRTCStats(sample);
+    });
+
     this.webrtcService.on(WEBRTC_EVENTS.ERROR, error => {
       this.handleWebRTCError(error);
     });
+
+    // Rotated TURN credentials for the connection in progress
+    this.iceServerProvider.on(ICE_SERVER_EVENTS.UPDATED, ({ iceServers }) => {
+      this.webrtcService.updateIceServers(iceServers);
+    });
+
+    // Running cost of the call for the user
+    this.billingMeter.on(BILLING_EVENTS.UPDATED, billing => {
+      this.emit(CALL_MANAGER_EVENTS.BILLING_CHANGED, billing);
+    });
+
+    this.billingMeter.on(BILLING_EVENTS.LOW_BALANCE, warning => {
+      this.handleLowBalance(warning);
+    });
+
+    this.billingMeter.on(BILLING_EVENTS.EXHAUSTED, () => {
+      this.handleBalanceExhausted();
+    });
+  }
+
+  /**
+   * Create the peer connection with the current ICE servers
+   */
+  async initializeWebRTC() {
+    const { iceServers, source } = await this.iceServerProvider.getIceServers();
+    console.log(`CallManager: Using ${source} ICE servers`);
+    return this.webrtcService.initialize({ iceServers });
   }
 
   /**
    * Start a call to a therapist
+   *
+   * @param {Object} options
+   * @param {boolean} options.relayOnly - Route media through TURN only so
+   *   the therapist never sees the user's IP address
+   * @param {number} options.balance - The user's coin balance, billed
+   *   against while the call is connected
+   * @param {number} options.freeMinutes - Promo minutes, used before coins
+   * @param {Object} options.pricing - The therapist's rates, from the
+   *   available-therapists response
    */
-  async startCall(therapistId, therapistName, callType = 'voice') {
+  async startCall(
+    therapistId,
+    therapistName,
+    callType = CALL_TYPES.VOICE,
+    options = {},
+  ) {
+    this.emit(CALL_MANAGER_EVENTS.ACTION, {
+      action: 'startCall',
+      args: [therapistId, therapistName, callType, options],
+    });
+
     try {
       console.log(
         `CallManager: Starting call to ${therapistName} (${therapistId})`,
@@ -229,6 +445,10 @@ class CallManager {
         throw new Error('CallManager not initialized');
       }
 
+      if (!Object.values(CALL_TYPES).includes(callType)) {
+        throw new Error(`Unknown call type: ${callType}`);
+      }
+
       // Prevent concurrent call initiation
       if (this.currentOperation === 'starting_call') {
         console.log('CallManager: Call initiation already in progress, ignoring duplicate request');
@@ -236,7 +456,7 @@ class CallManager {
       }
 
       // Validate that only users can start calls
-      const userType = await AuthService.getUserType();
+      const userType = await this.authService.getUserType();
       if (userType !== 'user') {
         throw new Error('Only users can initiate calls to therapists');
       }
@@ -248,8 +468,35 @@ class CallManager {
         );
       }
 
-      // Set operation timeout
-      this.setOperationTimeout('call_start', this.timeouts.callSetup);
+      // A private call can't connect without a relay server
+      const relayOnly = !!options.relayOnly;
+      if (relayOnly) {
+        const { iceServers } = await this.iceServerProvider.getIceServers();
+        if (!hasRelayServer(iceServers)) {
+          throw new Error(
+            'Private calls need a relay server, which is not available right now',
+          );
+        }
+      }
+      const pricing = getPricing(options.pricing);
+      const { freeMinutes = 0 } = options;
+      const minimumBalance = getMinimumBalance(pricing, freeMinutes * 60);
+      if (options.balance < minimumBalance) {
+        throw new Error(
+          `You need at least ${formatCoins(
+            minimumBalance,
+          )} coins for this call`,
+        );
+      }
+
+      this.webrtcService.setRelayOnly(relayOnly);
+      this.billingMeter.reset({
+        balance: options.balance,
+        freeMinutes,
+        pricing,
+      });
+
+      // Call setup timeouts are declared per state in CallStateMachine
       this.currentOperation = 'starting_call';
 
       // Start the call process
@@ -259,6 +506,7 @@ class CallManager {
           participantId: therapistId,
           participantName: therapistName,
           callType,
+          pricing,
         },
       );
 
@@ -267,7 +515,9 @@ class CallManager {
       }
 
       // Get local media
-      const mediaResult = await this.webrtcService.getLocalStream();
+      const mediaResult = await this.webrtcService.getLocalStream({
+        video: callType === CALL_TYPES.VIDEO,
+      });
       if (!mediaResult.success) {
         await this.stateMachine.handleEvent(CALL_EVENTS.MEDIA_FAILED, {
           error: mediaResult.error,
@@ -278,8 +528,12 @@ class CallManager {
       // Media acquired successfully
       await this.stateMachine.handleEvent(CALL_EVENTS.MEDIA_ACQUIRED);
 
-      // Send call initiation to server
-      const initiateResult = this.socketService.initiateCall(
+      // Generate a temporary callId for tracking - will be replaced with server's callId
+      const tempCallId = `temp_${Date.now()}_${therapistId}`;
+      this.stateMachine.setCallData({ callId: tempCallId });
+
+      // Send call initiation to server and wait for it to be acknowledged
+      const initiateResult = await this.socketService.initiateCall(
         therapistId,
         callType,
       );
@@ -290,11 +544,27 @@ class CallManager {
         throw new Error(initiateResult.error);
       }
 
-      // Generate a temporary callId for tracking - will be replaced with server's callId when call is accepted
-      const tempCallId = `temp_${Date.now()}_${therapistId}`;
-      this.stateMachine.setCallData({ callId: tempCallId });
+      // The ack carries the server's callId unless call-initiated beat it here
+      const { callId } = this.stateMachine.getCallData();
+      if (initiateResult.ack.callId && callId === tempCallId) {
+        this.stateMachine.setCallData({ callId: initiateResult.ack.callId });
+      }
+
+      // The server's rates are the ones the call is billed at
+      if (initiateResult.ack.pricing) {
+        const serverPricing = getPricing(initiateResult.ack.pricing);
+        this.stateMachine.setCallData({ pricing: serverPricing });
+        this.billingMeter.reset({
+          balance: options.balance,
+          freeMinutes,
+          pricing: serverPricing,
+        });
+      }
 
-      console.log('CallManager: Call initiation sent with temp callId:', tempCallId);
+      console.log(
+        'CallManager: Call initiation acknowledged, callId:',
+        this.stateMachine.getCallData().callId,
+      );
       return { success: true };
     } catch (error) {
       console.error('CallManager: Start call failed:', error);
@@ -315,6 +585,11 @@ class CallManager {
    * Accept an incoming call
    */
   async acceptCall(callId) {
+    this.emit(CALL_MANAGER_EVENTS.ACTION, {
+      action: 'acceptCall',
+      args: [callId],
+    });
+
     try {
       console.log(`CallManager: Accepting call ${callId}`);
 
@@ -322,8 +597,6 @@ class CallManager {
         throw new Error('CallManager not initialized');
       }
 
-      // Set operation timeout
-      this.setOperationTimeout('call_accept', this.timeouts.callSetup);
       this.currentOperation = 'accepting_call';
 
       // Accept the call in state machine
@@ -342,7 +615,7 @@ class CallManager {
       const webrtcStatus = this.webrtcService.getStatus();
       if (!webrtcStatus.hasPeerConnection) {
         console.log('CallManager: Initializing WebRTC for call acceptance');
-        const reinitResult = await this.webrtcService.initialize();
+        const reinitResult = await this.initializeWebRTC();
         if (!reinitResult.success) {
           await this.stateMachine.handleEvent(CALL_EVENTS.MEDIA_FAILED, {
             error: reinitResult.error,
@@ -355,8 +628,11 @@ class CallManager {
         );
       }
 
-      // Get local media
-      const mediaResult = await this.webrtcService.getLocalStream();
+      // Get local media, with the camera when the caller asked for video
+      const { callType } = this.stateMachine.getCallData();
+      const mediaResult = await this.webrtcService.getLocalStream({
+        video: callType === CALL_TYPES.VIDEO,
+      });
       if (!mediaResult.success) {
         await this.stateMachine.handleEvent(CALL_EVENTS.MEDIA_FAILED, {
           error: mediaResult.error,
@@ -365,7 +641,7 @@ class CallManager {
       }
 
       // Send acceptance to server
-      const acceptResult = this.socketService.acceptCall(callId);
+      const acceptResult = await this.socketService.acceptCall(callId);
       if (!acceptResult.success) {
         await this.stateMachine.handleEvent(CALL_EVENTS.CONNECTION_FAILED, {
           error: acceptResult.error,
@@ -373,7 +649,7 @@ class CallManager {
         throw new Error(acceptResult.error);
       }
 
-      console.log('CallManager: Call acceptance sent');
+      console.log('CallManager: Call acceptance acknowledged');
       return { success: true };
     } catch (error) {
       console.error('CallManager: Accept call failed:', error);
@@ -394,106 +670,750 @@ class CallManager {
    * Reject an incoming call
    */
   async rejectCall(callId) {
+    this.emit(CALL_MANAGER_EVENTS.ACTION, {
+      action: 'rejectCall',
+      args: [callId],
+    });
+
     try {
       console.log(`CallManager: Rejecting call ${callId}`);
 
-      // Reject in state machine
-      await this.stateMachine.handleEvent(CALL_EVENTS.REJECT_CALL, { callId });
+      // Reject in state machine
+      await this.stateMachine.handleEvent(CALL_EVENTS.REJECT_CALL, { callId });
+
+      // Send rejection to server
+      const rejectResult = await this.socketService.rejectCall(callId);
+      if (!rejectResult.success) {
+        console.warn(
+          'CallManager: Failed to notify server of rejection:',
+          rejectResult.error,
+        );
+      } else {
+        console.log('CallManager: Call rejection acknowledged');
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('CallManager: Reject call failed:', error);
+
+      this.emit(CALL_MANAGER_EVENTS.ERROR, {
+        type: ERROR_TYPES.CALL_FAILED,
+        message: `Failed to reject call: ${error.message}`,
+        error,
+      });
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * End the current call
+   */
+  async endCall() {
+    this.emit(CALL_MANAGER_EVENTS.ACTION, { action: 'endCall', args: [] });
+    return this.hangUp();
+  }
+
+  /**
+   * Hang up the current call
+   *
+   * @param {string} reason - An END_REASONS value when CallManager ends the
+   *   call on its own; passed on to the other participant
+   */
+  async hangUp(reason = null) {
+    try {
+      const callData = this.stateMachine.getCallData();
+      console.log(`CallManager: Ending call ${callData.callId} in state ${this.stateMachine.getState()}`);
+
+      // Clear any operation timeout since we're ending the call
+      this.clearOperationTimeout();
+      this.currentOperation = null;
+
+      // Stop billing; the server replies with its own figure for the call
+      const usage = this.billingMeter.stop();
+
+      // IMPORTANT: Send end to server FIRST before updating state machine
+      // This ensures other participants (like therapist) are notified immediately
+      let endPromise = null;
+      if (callData.callId) {
+        console.log('CallManager: Notifying server of call end before state change');
+        endPromise = this.socketService.endCall(callData.callId, usage, reason);
+      } else {
+        console.log('CallManager: No callId available, skipping server notification');
+      }
+
+      // End in state machine while the server acknowledges
+      await this.stateMachine.handleEvent(
+        CALL_EVENTS.END_CALL,
+        reason ? { reason } : {},
+      );
+
+      // Cleanup WebRTC
+      await this.webrtcService.cleanup();
+
+      // Wait for the ack (with retries) so callers can safely disconnect
+      if (endPromise) {
+        const endResult = await endPromise;
+        if (!endResult.success) {
+          console.warn('CallManager: Failed to notify server of call end:', endResult.error);
+          // Continue anyway since we still want to clean up locally
+        } else {
+          console.log('CallManager: Server acknowledged call end');
+        }
+        this.billingMeter.reconcile(endResult.ack?.billing);
+      }
+
+      console.log('CallManager: Call ended successfully');
+      return { success: true };
+    } catch (error) {
+      console.error('CallManager: End call failed:', error);
+
+      // Even if ending fails, try to cleanup
+      try {
+        await this.webrtcService.cleanup();
+      } catch (cleanupError) {
+        console.error(
+          'CallManager: Cleanup after end call failure:',
+          cleanupError,
+        );
+      }
+
+      this.emit(CALL_MANAGER_EVENTS.ERROR, {
+        type: ERROR_TYPES.CALL_FAILED,
+        message: `Failed to end call: ${error.message}`,
+        error,
+      });
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Put the connected call on hold
+   */
+  async holdCall() {
+    this.emit(CALL_MANAGER_EVENTS.ACTION, { action: 'holdCall', args: [] });
+    return this.changeHold(true);
+  }
+
+  /**
+   * Take a call we put on hold off hold
+   */
+  async unholdCall() {
+    this.emit(CALL_MANAGER_EVENTS.ACTION, { action: 'unholdCall', args: [] });
+    return this.changeHold(false);
+  }
+
+  async changeHold(onHold) {
+    const action = onHold ? 'hold' : 'resume';
+
+    try {
+      const currentState = this.stateMachine.getState();
+      const requiredState = onHold
+        ? CALL_STATES.CONNECTED
+        : CALL_STATES.ON_HOLD;
+      if (currentState !== requiredState) {
+        throw new Error(`Cannot ${action} call in state ${currentState}`);
+      }
+      if (!onHold && this.holdInitiator === HOLD_INITIATORS.REMOTE) {
+        throw new Error('Call was put on hold by the other participant');
+      }
+
+      console.log(`CallManager: Requesting ${action}`);
+      const { callId } = this.stateMachine.getCallData();
+      const result = await this.socketService.setCallHold(callId, onHold);
+      if (!result.success) {
+        throw new Error(result.error || `Failed to ${action} call`);
+      }
+
+      await this.applyHold(onHold, HOLD_INITIATORS.LOCAL);
+      return { success: true };
+    } catch (error) {
+      console.error(`CallManager: Failed to ${action} call:`, error);
+
+      this.emit(CALL_MANAGER_EVENTS.ERROR, {
+        type: ERROR_TYPES.CALL_FAILED,
+        message: `Failed to ${action} call: ${error.message}`,
+        error,
+      });
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Pause or restore audio and move the state machine in or out of ON_HOLD
+   */
+  async applyHold(onHold, initiator) {
+    this.webrtcService.setOnHold(onHold);
+    this.holdInitiator = onHold ? initiator : null;
+
+    await this.stateMachine.handleEvent(
+      onHold ? CALL_EVENTS.HOLD : CALL_EVENTS.RESUME,
+      { initiator },
+    );
+  }
+
+  /**
+   * Handle the other participant putting the call on or off hold
+   */
+  async handleCallHoldChanged(data) {
+    console.log('CallManager: Remote hold changed:', data);
+
+    const { callId } = this.stateMachine.getCallData();
+    if (data.callId !== callId) {
+      console.log('CallManager: Ignoring hold change for another call');
+      return;
+    }
+
+    const currentState = this.stateMachine.getState();
+    if (data.onHold && currentState === CALL_STATES.CONNECTED) {
+      await this.applyHold(true, HOLD_INITIATORS.REMOTE);
+    } else if (!data.onHold && currentState === CALL_STATES.ON_HOLD) {
+      await this.applyHold(false, HOLD_INITIATORS.REMOTE);
+    }
+  }
+
+  /**
+   * Record our microphone mute state and tell the other participant
+   *
+   * The microphone itself is muted by the caller (InCallManager).
+   */
+  async setMuted(muted) {
+    this.emit(CALL_MANAGER_EVENTS.ACTION, {
+      action: 'setMuted',
+      args: [muted],
+    });
+    this.isMuted = muted;
+
+    const { callId } = this.stateMachine.getCallData();
+    if (!callId || !this.stateMachine.isInActiveCall()) {
+      return { success: true };
+    }
+
+    console.log(`CallManager: Microphone ${muted ? 'muted' : 'unmuted'}`);
+    return this.socketService.sendMuteState(callId, muted);
+  }
+
+  /**
+   * Handle the other participant muting or unmuting their microphone
+   */
+  handleRemoteMuteState(data) {
+    const { callId } = this.stateMachine.getCallData();
+    if (data.callId !== callId) {
+      console.log('CallManager: Ignoring mute state for another call');
+      return;
+    }
+
+    this.isRemoteMuted = !!data.muted;
+    this.emit(CALL_MANAGER_EVENTS.REMOTE_MUTE_CHANGED, {
+      callId,
+      muted: this.isRemoteMuted,
+    });
+  }
+
+  /**
+   * Warn the user that their balance is running low, and the therapist too
+   */
+  handleLowBalance({ secondsRemaining }) {
+    console.log(`CallManager: Balance runs out in ${secondsRemaining} seconds`);
+    this.emit(CALL_MANAGER_EVENTS.BALANCE_WARNING, {
+      secondsRemaining,
+      isLocal: true,
+    });
+
+    const { callId } = this.stateMachine.getCallData();
+    if (callId) {
+      this.socketService.sendBalanceWarning(callId, secondsRemaining);
+    }
+  }
+
+  handleRemoteBalanceWarning(data) {
+    const { callId } = this.stateMachine.getCallData();
+    if (data.callId !== callId) {
+      console.log('CallManager: Ignoring balance warning for another call');
+      return;
+    }
+
+    this.emit(CALL_MANAGER_EVENTS.BALANCE_WARNING, {
+      secondsRemaining: data.secondsRemaining,
+      isLocal: false,
+    });
+  }
+
+  /**
+   * End the call once the user's coins have run out
+   */
+  async handleBalanceExhausted() {
+    if (!this.stateMachine.canTransition(CALL_EVENTS.END_CALL)) {
+      return;
+    }
+
+    console.log('CallManager: Balance exhausted, ending call');
+    await this.hangUp(END_REASONS.INSUFFICIENT_BALANCE);
+  }
+
+  /**
+   * Turn our camera off or on in a video call and tell the other participant
+   */
+  async setCameraEnabled(enabled) {
+    this.emit(CALL_MANAGER_EVENTS.ACTION, {
+      action: 'setCameraEnabled',
+      args: [enabled],
+    });
+
+    const result = this.webrtcService.setCameraEnabled(enabled);
+    if (!result.success) {
+      return result;
+    }
+
+    console.log(`CallManager: Camera ${enabled ? 'on' : 'off'}`);
+    this.emitVideoState();
+    return this.sendVideoState();
+  }
+
+  /**
+   * Switch between the front and back camera
+   */
+  async switchCamera() {
+    this.emit(CALL_MANAGER_EVENTS.ACTION, { action: 'switchCamera', args: [] });
+
+    const result = await this.webrtcService.switchCamera();
+    if (result.success) {
+      this.emitVideoState();
+    }
+    return result;
+  }
+
+  /**
+   * Turn the video call into a voice call for both participants
+   */
+  async downgradeToAudio() {
+    this.emit(CALL_MANAGER_EVENTS.ACTION, {
+      action: 'downgradeToAudio',
+      args: [],
+    });
+
+    try {
+      const { callType } = this.stateMachine.getCallData();
+      if (callType !== CALL_TYPES.VIDEO) {
+        throw new Error('Not a video call');
+      }
+      if (!this.stateMachine.isInActiveCall()) {
+        throw new Error(
+          `Cannot change call type in state ${this.stateMachine.getState()}`,
+        );
+      }
+
+      await this.applyVoiceDowngrade();
+      return this.sendVideoState();
+    } catch (error) {
+      console.error('CallManager: Failed to downgrade to audio:', error);
+
+      this.emit(CALL_MANAGER_EVENTS.ERROR, {
+        type: ERROR_TYPES.CALL_FAILED,
+        message: `Failed to switch to audio only: ${error.message}`,
+        error,
+      });
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Stop our camera and record the call as a voice call
+   */
+  async applyVoiceDowngrade() {
+    console.log('CallManager: Switching to audio only');
+    const result = await this.webrtcService.stopVideo();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    this.setCallType(CALL_TYPES.VOICE);
+  }
+
+  setCallType(callType) {
+    this.stateMachine.setCallData({ callType });
+    this.emit(
+      CALL_MANAGER_EVENTS.CALL_DATA_CHANGED,
+      this.stateMachine.getCallData(),
+    );
+    this.emitVideoState();
+  }
+
+  /**
+   * Ask the other participant to turn this voice call into a video call
+   */
+  async requestVideoUpgrade() {
+    this.emit(CALL_MANAGER_EVENTS.ACTION, {
+      action: 'requestVideoUpgrade',
+      args: [],
+    });
+
+    try {
+      const { callId, callType } = this.stateMachine.getCallData();
+      const currentState = this.stateMachine.getState();
+      if (currentState !== CALL_STATES.CONNECTED) {
+        throw new Error(`Cannot request video in state ${currentState}`);
+      }
+      if (callType === CALL_TYPES.VIDEO) {
+        throw new Error('Call already has video');
+      }
+      if (this.videoUpgrade) {
+        throw new Error('A video request is already pending');
+      }
+
+      console.log('CallManager: Requesting video upgrade');
+      this.setVideoUpgrade(VIDEO_UPGRADE_DIRECTIONS.OUTGOING);
+      const result = await this.socketService.requestVideoUpgrade(callId);
+      if (!result.success) {
+        this.clearVideoUpgrade();
+        throw new Error(result.error || 'Failed to request video');
+      }
+      return { success: true };
+    } catch (error) {
+      console.error('CallManager: Failed to request video:', error);
+
+      this.emit(CALL_MANAGER_EVENTS.ERROR, {
+        type: ERROR_TYPES.CALL_FAILED,
+        message: `Failed to request video: ${error.message}`,
+        error,
+      });
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Accept the other participant's video request
+   */
+  async acceptVideoUpgrade() {
+    this.emit(CALL_MANAGER_EVENTS.ACTION, {
+      action: 'acceptVideoUpgrade',
+      args: [],
+    });
+    return this.answerVideoUpgrade(true);
+  }
+
+  /**
+   * Decline the other participant's video request
+   */
+  async declineVideoUpgrade() {
+    this.emit(CALL_MANAGER_EVENTS.ACTION, {
+      action: 'declineVideoUpgrade',
+      args: [],
+    });
+    return this.answerVideoUpgrade(false);
+  }
+
+  async answerVideoUpgrade(accepted) {
+    const { callId } = this.stateMachine.getCallData();
+
+    try {
+      if (this.videoUpgrade?.direction !== VIDEO_UPGRADE_DIRECTIONS.INCOMING) {
+        throw new Error('No video request to answer');
+      }
+      this.clearVideoUpgrade();
+
+      // Add our camera before answering, so the requester's offer finds it
+      let addVideoError = null;
+      if (accepted) {
+        try {
+          await this.applyVideoUpgrade();
+        } catch (error) {
+          addVideoError = error;
+        }
+      }
+
+      const result = await this.socketService.respondToVideoUpgrade(
+        callId,
+        accepted && !addVideoError,
+      );
+      if (addVideoError) {
+        throw addVideoError;
+      }
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to answer video request');
+      }
+
+      this.emitVideoUpgrade(
+        VIDEO_UPGRADE_DIRECTIONS.INCOMING,
+        accepted
+          ? VIDEO_UPGRADE_STATUS.ACCEPTED
+          : VIDEO_UPGRADE_STATUS.DECLINED,
+      );
+      return { success: true };
+    } catch (error) {
+      console.error('CallManager: Failed to answer video request:', error);
+
+      this.emit(CALL_MANAGER_EVENTS.ERROR, {
+        type: ERROR_TYPES.MEDIA_FAILED,
+        message: `Failed to answer video request: ${error.message}`,
+        error,
+      });
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Handle the other participant asking for video
+   */
+  async handleVideoUpgradeRequest(data) {
+    const { callId, callType } = this.stateMachine.getCallData();
+    if (data.callId !== callId) {
+      console.log('CallManager: Ignoring video request for another call');
+      return;
+    }
+
+    const canUpgrade =
+      this.stateMachine.getState() === CALL_STATES.CONNECTED &&
+      callType !== CALL_TYPES.VIDEO;
+    if (!canUpgrade) {
+      console.log('CallManager: Declining video request - cannot upgrade now');
+      await this.socketService.respondToVideoUpgrade(callId, false);
+      return;
+    }
+
+    // Both asked at once: the user's request stands and the therapist's
+    // side answers it; the user ignores the therapist's request.
+    if (this.videoUpgrade?.direction === VIDEO_UPGRADE_DIRECTIONS.OUTGOING) {
+      const userType = await this.authService.getUserType();
+      if (userType === 'user') {
+        console.log('CallManager: Ignoring crossed video request');
+        return;
+      }
+      this.clearVideoUpgrade();
+    }
+
+    console.log('CallManager: Video upgrade requested by other participant');
+    this.setVideoUpgrade(VIDEO_UPGRADE_DIRECTIONS.INCOMING);
+  }
+
+  /**
+   * Handle the answer to our video request
+   */
+  async handleVideoUpgradeResponse(data) {
+    const { callId, callType } = this.stateMachine.getCallData();
+    if (data.callId !== callId) {
+      console.log('CallManager: Ignoring unexpected video response');
+      return;
+    }
+
+    if (this.videoUpgrade?.direction !== VIDEO_UPGRADE_DIRECTIONS.OUTGOING) {
+      // Our request expired before the accept arrived, but the other side
+      // has already switched to video; tell it the call stays voice
+      if (data.accepted && callType === CALL_TYPES.VOICE) {
+        console.log('CallManager: Video accepted after our request expired');
+        this.sendVideoState();
+        return;
+      }
+      console.log('CallManager: Ignoring unexpected video response');
+      return;
+    }
+    this.clearVideoUpgrade();
 
-      // Send rejection to server
-      this.socketService.rejectCall(callId);
+    if (!data.accepted) {
+      console.log('CallManager: Video request declined');
+      this.emitVideoUpgrade(
+        VIDEO_UPGRADE_DIRECTIONS.OUTGOING,
+        VIDEO_UPGRADE_STATUS.DECLINED,
+      );
+      return;
+    }
 
-      console.log('CallManager: Call rejection sent');
-      return { success: true };
+    try {
+      // Adding the camera fires negotiationneeded, which sends the offer
+      await this.applyVideoUpgrade();
+      this.emitVideoUpgrade(
+        VIDEO_UPGRADE_DIRECTIONS.OUTGOING,
+        VIDEO_UPGRADE_STATUS.ACCEPTED,
+      );
     } catch (error) {
-      console.error('CallManager: Reject call failed:', error);
+      console.error('CallManager: Failed to add video:', error);
 
       this.emit(CALL_MANAGER_EVENTS.ERROR, {
-        type: ERROR_TYPES.CALL_FAILED,
-        message: `Failed to reject call: ${error.message}`,
+        type: ERROR_TYPES.MEDIA_FAILED,
+        message: `Failed to start video: ${error.message}`,
         error,
       });
+    }
+  }
 
-      return { success: false, error: error.message };
+  /**
+   * Start our camera and record the call as a video call
+   */
+  async applyVideoUpgrade() {
+    console.log('CallManager: Switching to video');
+    const result = await this.webrtcService.addVideo();
+    if (!result.success) {
+      throw new Error(result.error);
     }
+
+    this.setCallType(CALL_TYPES.VIDEO);
   }
 
   /**
-   * End the current call
+   * Send a renegotiation offer for a change to the established connection.
+   * Either side may offer; WebRTCService resolves offers that cross.
    */
-  async endCall() {
+  async handleNegotiationNeeded() {
+    const currentState = this.stateMachine.getState();
+    if (
+      currentState !== CALL_STATES.CONNECTED &&
+      currentState !== CALL_STATES.ON_HOLD
+    ) {
+      console.log(
+        'CallManager: Ignoring negotiation needed in state:',
+        currentState,
+      );
+      return;
+    }
+
     try {
-      const callData = this.stateMachine.getCallData();
-      console.log(`CallManager: Ending call ${callData.callId} in state ${this.stateMachine.getState()}`);
+      console.log('CallManager: Sending renegotiation offer');
+      const offerResult = await this.webrtcService.createOffer();
+      if (!offerResult.success) {
+        throw new Error(offerResult.error);
+      }
 
-      // Clear any operation timeout since we're ending the call
-      this.clearOperationTimeout();
-      this.currentOperation = null;
+      const { callId } = this.stateMachine.getCallData();
+      const sendResult = await this.socketService.sendOffer(
+        callId,
+        offerResult.offer,
+        { renegotiation: true },
+      );
+      if (!sendResult.success) {
+        throw new Error(sendResult.error);
+      }
+    } catch (error) {
+      console.error('CallManager: Renegotiation failed:', error);
+    }
+  }
 
-      // Calculate duration
-      const duration = callData.startTime
-        ? Math.ceil((Date.now() - callData.startTime) / 60000)
-        : 0;
+  setVideoUpgrade(direction) {
+    this.clearVideoUpgradeTimeout();
+    this.videoUpgrade = { direction };
+    this.videoUpgradeTimeout = setTimeout(() => {
+      this.videoUpgradeTimeout = null;
+      this.handleVideoUpgradeExpired();
+    }, this.timeouts.videoUpgrade);
+    this.emitVideoUpgrade(direction, VIDEO_UPGRADE_STATUS.PENDING);
+  }
 
-      // IMPORTANT: Send end to server FIRST before updating state machine
-      // This ensures other participants (like therapist) are notified immediately
-      if (callData.callId) {
-        console.log('CallManager: Notifying server of call end before state change');
-        const endResult = this.socketService.endCall(callData.callId, duration);
-        if (!endResult.success) {
-          console.warn('CallManager: Failed to notify server of call end:', endResult.error);
-          // Continue anyway since we still want to clean up locally
-        } else {
-          console.log('CallManager: Successfully notified server of call end');
-        }
-        
-        // Add a small delay to ensure the server processes the end-call event
-        // before any potential socket disconnection
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } else {
-        console.log('CallManager: No callId available, skipping server notification');
-      }
+  handleVideoUpgradeExpired() {
+    const direction = this.videoUpgrade?.direction;
+    if (!direction) {
+      return;
+    }
+
+    console.log('CallManager: Video request expired');
+    this.videoUpgrade = null;
+    if (direction === VIDEO_UPGRADE_DIRECTIONS.INCOMING) {
+      const { callId } = this.stateMachine.getCallData();
+      this.socketService.respondToVideoUpgrade(callId, false);
+    }
+    this.emitVideoUpgrade(direction, VIDEO_UPGRADE_STATUS.EXPIRED);
+  }
 
-      // End in state machine AFTER notifying server
-      await this.stateMachine.handleEvent(CALL_EVENTS.END_CALL);
+  clearVideoUpgrade() {
+    this.clearVideoUpgradeTimeout();
+    this.videoUpgrade = null;
+  }
 
-      // Cleanup WebRTC
-      await this.webrtcService.cleanup();
+  clearVideoUpgradeTimeout() {
+    if (this.videoUpgradeTimeout) {
+      clearTimeout(this.videoUpgradeTimeout);
+      this.videoUpgradeTimeout = null;
+    }
+  }
 
-      console.log('CallManager: Call ended successfully');
+  emitVideoUpgrade(direction, status) {
+    this.emit(CALL_MANAGER_EVENTS.VIDEO_UPGRADE_CHANGED, { direction, status });
+  }
+
+  sendVideoState() {
+    const { callId, callType } = this.stateMachine.getCallData();
+    if (!callId || !this.stateMachine.isInActiveCall()) {
       return { success: true };
-    } catch (error) {
-      console.error('CallManager: End call failed:', error);
+    }
+    return this.socketService.sendVideoState(
+      callId,
+      callType,
+      this.webrtcService.isCameraOn,
+    );
+  }
 
-      // Even if ending fails, try to cleanup
+  /**
+   * Handle the other participant's camera change or video downgrade
+   */
+  async handleRemoteVideoState(data) {
+    const { callId, callType } = this.stateMachine.getCallData();
+    if (data.callId !== callId) {
+      console.log('CallManager: Ignoring video state for another call');
+      return;
+    }
+
+    this.isRemoteCameraOn = !!data.cameraOn;
+    if (data.callType === CALL_TYPES.VOICE && callType === CALL_TYPES.VIDEO) {
       try {
-        await this.webrtcService.cleanup();
-      } catch (cleanupError) {
-        console.error(
-          'CallManager: Cleanup after end call failure:',
-          cleanupError,
-        );
+        await this.applyVoiceDowngrade();
+      } catch (error) {
+        console.error('CallManager: Failed to follow video downgrade:', error);
       }
+      return;
+    }
+    this.emitVideoState();
+  }
 
-      this.emit(CALL_MANAGER_EVENTS.ERROR, {
-        type: ERROR_TYPES.CALL_FAILED,
-        message: `Failed to end call: ${error.message}`,
-        error,
-      });
+  /**
+   * Streams and camera state for rendering video
+   */
+  getVideoState() {
+    const { callType } = this.stateMachine.getCallData();
+    return {
+      isVideoCall: callType === CALL_TYPES.VIDEO,
+      localStream: this.webrtcService.localStream,
+      remoteStream: this.webrtcService.remoteStream,
+      isCameraOn: this.webrtcService.isCameraOn,
+      isRemoteCameraOn: this.isRemoteCameraOn,
+      cameraFacing: this.webrtcService.cameraFacing,
+    };
+  }
 
-      return { success: false, error: error.message };
-    }
+  emitVideoState() {
+    this.emit(CALL_MANAGER_EVENTS.VIDEO_STATE_CHANGED, this.getVideoState());
   }
 
   /**
    * Handle state changes
    */
   handleStateChange(newState, previousState, callData, metadata) {
+    // Only connected time is billed
+    if (newState !== CALL_STATES.CONNECTED) {
+      this.billingMeter.pause();
+    }
+
     switch (newState) {
       case CALL_STATES.CONNECTED:
+        this.billingMeter.start();
         this.clearOperationTimeout();
         this.currentOperation = null;
-        this.emit(CALL_MANAGER_EVENTS.CALL_CONNECTED, callData);
+        this.iceRestartAttempts = 0;
+        this.isRestartingIce = false;
+        this.clearIceRestartRetry();
+        if (
+          previousState !== CALL_STATES.RECONNECTING &&
+          previousState !== CALL_STATES.ON_HOLD
+        ) {
+          this.emit(CALL_MANAGER_EVENTS.CALL_CONNECTED, callData);
+        }
+        break;
+
+      case CALL_STATES.RECONNECTING:
+        // The call only ends if recovery does not finish in time
+        this.currentOperation = 'reconnecting';
         break;
 
       case CALL_STATES.ENDED:
@@ -501,6 +1421,17 @@ class CallManager {
       case CALL_STATES.REJECTED:
         this.clearOperationTimeout();
         this.currentOperation = null;
+        this.iceRestartAttempts = 0;
+        this.isRestartingIce = false;
+        this.clearIceRestartRetry();
+        this.holdInitiator = null;
+        this.isMuted = false;
+        this.isRemoteMuted = false;
+        this.isRemoteCameraOn = true;
+        this.clearVideoUpgrade();
+        if (metadata?.timedOutState) {
+          this.handleStateTimeout(callData, metadata);
+        }
         this.emit(CALL_MANAGER_EVENTS.CALL_ENDED, {
           state: newState,
           callData,
@@ -510,7 +1441,20 @@ class CallManager {
 
       case CALL_STATES.IDLE:
         // Clean up when returning to idle
+        this.clearResumeTimeout();
+        this.holdInitiator = null;
+        this.isMuted = false;
+        this.isRemoteMuted = false;
+        this.isRemoteCameraOn = true;
+        this.clearVideoUpgrade();
+        this.webrtcService.setRelayOnly(false);
+        this.billingMeter.reset();
+        this.chatService.reset();
+        this.socketService.resetSignalingSequence();
         this.webrtcService.cleanup();
+        // TURN credentials only need to stay fresh during a call
+        this.iceServerProvider.stop();
+        this.emitVideoState();
         break;
     }
   }
@@ -540,7 +1484,7 @@ class CallManager {
       console.log('CallManager: Handling incoming call:', data);
 
       // Only therapists should receive call requests
-      const userType = await AuthService.getUserType();
+      const userType = await this.authService.getUserType();
       if (userType !== 'therapist') {
         console.log(
           'CallManager: Ignoring call request - user is not a therapist',
@@ -549,7 +1493,7 @@ class CallManager {
       }
 
       // Check if this is our own call (therapist receiving their own call request)
-      const currentUserId = await AuthService.getUserId();
+      const currentUserId = await this.authService.getUserId();
       if (data.userId === currentUserId) {
         console.log(
           'CallManager: Ignoring call request - this is our own call',
@@ -596,7 +1540,8 @@ class CallManager {
           callId: data.callId,
           participantId: data.userId,
           participantName: data.userName,
-          callType: data.callType || 'voice',
+          callType: data.callType || CALL_TYPES.VOICE,
+          pricing: getPricing(data.pricing),
         },
       );
 
@@ -605,7 +1550,7 @@ class CallManager {
           callId: data.callId,
           participantId: data.userId,
           participantName: data.userName,
-          callType: data.callType || 'voice',
+          callType: data.callType || CALL_TYPES.VOICE,
         });
       } else {
         console.error(
@@ -639,7 +1584,7 @@ class CallManager {
 
       // Only the caller (user) should initiate WebRTC connection
       // The receiver (therapist) should wait for the offer
-      const userType = await AuthService.getUserType();
+      const userType = await this.authService.getUserType();
       const webrtcStatus = this.webrtcService.getStatus();
 
       // Only users should initiate WebRTC, and only if we haven't already started
@@ -693,6 +1638,10 @@ class CallManager {
       reason: data.reason,
       endedBy: data.endedBy,
     });
+
+    if (data.billing) {
+      this.billingMeter.reconcile(data.billing);
+    }
   }
 
   /**
@@ -752,7 +1701,7 @@ class CallManager {
         console.log(
           'CallManager: WebRTC peer connection missing, reinitializing',
         );
-        const reinitResult = await this.webrtcService.initialize();
+        const reinitResult = await this.initializeWebRTC();
         if (!reinitResult.success) {
           throw new Error(reinitResult.error);
         }
@@ -762,6 +1711,16 @@ class CallManager {
         );
       }
 
+      // The caller opens the chat channel so it is part of the offer
+      const channelResult =
+        this.webrtcService.createDataChannel(CHAT_CHANNEL_LABEL);
+      if (!channelResult.success) {
+        console.warn(
+          'CallManager: Chat unavailable for this call:',
+          channelResult.error,
+        );
+      }
+
       // Create and send offer
       const offerResult = await this.webrtcService.createOffer();
       if (!offerResult.success) {
@@ -769,7 +1728,13 @@ class CallManager {
       }
 
       const callData = this.stateMachine.getCallData();
-      this.socketService.sendOffer(callData.callId, offerResult.offer);
+      const sendResult = await this.socketService.sendOffer(
+        callData.callId,
+        offerResult.offer,
+      );
+      if (!sendResult.success) {
+        throw new Error(sendResult.error);
+      }
     } catch (error) {
       console.error('CallManager: WebRTC connection failed:', error);
       await this.stateMachine.handleEvent(CALL_EVENTS.WEBRTC_FAILED, {
@@ -785,11 +1750,12 @@ class CallManager {
     try {
       console.log('CallManager: Handling WebRTC offer');
 
-      // Verify we're in the correct state to handle offers
+      // Offer collisions are resolved by WebRTCService, so any offer
+      // during the call's negotiation states is passed on
       const currentState = this.stateMachine.getState();
-      if (currentState !== CALL_STATES.CONNECTING) {
+      if (!NEGOTIATION_STATES.includes(currentState)) {
         console.log(
-          'CallManager: Ignoring offer - not in connecting state. Current state:',
+          'CallManager: Ignoring offer - no call to negotiate. Current state:',
           currentState,
         );
         return;
@@ -802,10 +1768,16 @@ class CallManager {
 
       // Only send answer if one was actually created
       if (answerResult.answer) {
-        this.socketService.sendAnswer(data.callId, answerResult.answer);
+        const sendResult = await this.socketService.sendAnswer(
+          data.callId,
+          answerResult.answer,
+        );
+        if (!sendResult.success) {
+          throw new Error(sendResult.error);
+        }
       } else {
         console.log(
-          'CallManager: No answer created (offer ignored due to state)',
+          'CallManager: No answer created (duplicate or colliding offer)',
         );
       }
     } catch (error) {
@@ -823,11 +1795,11 @@ class CallManager {
     try {
       console.log('CallManager: Handling WebRTC answer');
 
-      // Verify we're in the correct state to handle answers
+      // Stale answers are ignored by WebRTCService's signaling state check
       const currentState = this.stateMachine.getState();
-      if (currentState !== CALL_STATES.CONNECTING) {
+      if (!NEGOTIATION_STATES.includes(currentState)) {
         console.log(
-          'CallManager: Ignoring answer - not in connecting state. Current state:',
+          'CallManager: Ignoring answer - no call to negotiate. Current state:',
           currentState,
         );
         return;
@@ -872,6 +1844,16 @@ class CallManager {
   handleRemoteStream(stream) {
     try {
       console.log('CallManager: Remote stream received');
+      this.emitVideoState();
+
+      // Tracks added by a renegotiation arrive on an established call
+      const currentState = this.stateMachine.getState();
+      if (
+        currentState === CALL_STATES.CONNECTED ||
+        currentState === CALL_STATES.ON_HOLD
+      ) {
+        return;
+      }
       this.stateMachine.handleEvent(CALL_EVENTS.WEBRTC_CONNECTED);
     } catch (error) {
       console.error('CallManager: Error handling remote stream:', error);
@@ -893,9 +1875,7 @@ class CallManager {
       if (state === 'connected') {
         this.stateMachine.handleEvent(CALL_EVENTS.WEBRTC_CONNECTED);
       } else if (state === 'failed') {
-        this.stateMachine.handleEvent(CALL_EVENTS.WEBRTC_FAILED, {
-          error: 'WebRTC connection failed',
-        });
+        this.handleMediaPathFailure('WebRTC connection failed');
       } else if (state === 'disconnected') {
         this.stateMachine.handleEvent(CALL_EVENTS.WEBRTC_DISCONNECTED);
       }
@@ -919,9 +1899,9 @@ class CallManager {
       if (state === 'connected' || state === 'completed') {
         this.stateMachine.handleEvent(CALL_EVENTS.WEBRTC_CONNECTED);
       } else if (state === 'failed') {
-        this.stateMachine.handleEvent(CALL_EVENTS.WEBRTC_FAILED, {
-          error: 'ICE connection failed',
-        });
+        this.handleMediaPathFailure('ICE connection failed');
+      } else if (state === 'disconnected') {
+        this.stateMachine.handleEvent(CALL_EVENTS.WEBRTC_DISCONNECTED);
       }
     } catch (error) {
       console.error('CallManager: Error handling WebRTC ICE state change:', error);
@@ -933,6 +1913,142 @@ class CallManager {
     }
   }
 
+  /**
+   * Handle a failed media path - recover established calls, fail the rest
+   */
+  handleMediaPathFailure(error) {
+    const currentState = this.stateMachine.getState();
+    if (
+      currentState === CALL_STATES.CONNECTED ||
+      currentState === CALL_STATES.RECONNECTING
+    ) {
+      this.stateMachine.handleEvent(CALL_EVENTS.WEBRTC_DISCONNECTED, {
+        error,
+      });
+      return;
+    }
+
+    this.stateMachine.handleEvent(CALL_EVENTS.WEBRTC_FAILED, { error });
+  }
+
+  /**
+   * Handle a request from WebRTCService to restart ICE
+   */
+  async handleIceRestartNeeded(data) {
+    console.log('CallManager: ICE restart needed:', data);
+
+    if (this.stateMachine.getState() === CALL_STATES.CONNECTED) {
+      await this.stateMachine.handleEvent(CALL_EVENTS.WEBRTC_DISCONNECTED, {
+        reason: data.reason,
+      });
+    }
+
+    await this.restartIceConnection();
+  }
+
+  /**
+   * Send an ICE restart offer to recover the media path
+   *
+   * Only the caller (user) restarts ICE, mirroring who sends the initial
+   * offer; a restart that crosses a therapist renegotiation wins the
+   * collision since the user is the impolite peer.
+   */
+  async restartIceConnection() {
+    if (this.stateMachine.getState() !== CALL_STATES.RECONNECTING) {
+      return;
+    }
+
+    if (this.isRestartingIce) {
+      console.log('CallManager: ICE restart already in progress');
+      return;
+    }
+
+    this.clearIceRestartRetry();
+
+    try {
+      const userType = await this.authService.getUserType();
+      if (userType !== 'user') {
+        console.log('CallManager: Waiting for caller to restart ICE');
+        return;
+      }
+
+      if (this.iceRestartAttempts >= this.maxIceRestartAttempts) {
+        // The reconnection timeout ends the call if nothing recovers it
+        console.warn('CallManager: ICE restart attempts exhausted');
+        return;
+      }
+
+      this.isRestartingIce = true;
+      this.iceRestartAttempts += 1;
+      console.log(
+        `CallManager: ICE restart attempt ${this.iceRestartAttempts}/${this.maxIceRestartAttempts}`,
+      );
+
+      const restartResult = await this.webrtcService.restartIce();
+      if (!restartResult.success) {
+        throw new Error(restartResult.error);
+      }
+
+      const callData = this.stateMachine.getCallData();
+      const sendResult = await this.socketService.sendOffer(
+        callData.callId,
+        restartResult.offer,
+        { iceRestart: true },
+      );
+      if (!sendResult.success) {
+        throw new Error(sendResult.error);
+      }
+      this.scheduleIceRestartRetry();
+    } catch (error) {
+      console.error('CallManager: ICE restart failed:', error);
+      this.scheduleIceRestartRetry();
+    } finally {
+      this.isRestartingIce = false;
+    }
+  }
+
+  /**
+   * Send the restart offer again if it is still unanswered by then
+   *
+   * An answered restart is left alone even if ICE is still checking, since
+   * a new restart would reset checks that may be about to succeed.
+   */
+  scheduleIceRestartRetry() {
+    const delay =
+      this.iceRestartRetryDelay * 2 ** Math.max(this.iceRestartAttempts - 1, 0);
+    this.iceRestartRetryTimeout = setTimeout(() => {
+      this.iceRestartRetryTimeout = null;
+      const { signalingState } = this.webrtcService.getStatus();
+      if (signalingState !== 'have-local-offer') {
+        return;
+      }
+      console.log('CallManager: ICE restart offer unanswered, sending it again');
+      this.restartIceConnection();
+    }, delay);
+  }
+
+  /**
+   * Clear pending ICE restart retry
+   */
+  clearIceRestartRetry() {
+    if (this.iceRestartRetryTimeout) {
+      clearTimeout(this.iceRestartRetryTimeout);
+      this.iceRestartRetryTimeout = null;
+    }
+  }
+
+  /**
+   * Handle WebRTC stats sample
+   */
+  handleWebRTCStats(sample) {
+    const callData = this.stateMachine.getCallData();
+    this.emit(CALL_MANAGER_EVENTS.CALL_STATS, {
+      callId: callData.callId,
+      callState: this.stateMachine.getState(),
+      ...sample,
+    });
+  }
+
   /**
    * Handle WebRTC errors
    */
@@ -971,12 +2087,177 @@ class CallManager {
   handleSocketDisconnected(data) {
     console.warn('CallManager: Socket disconnected:', data);
 
-    // If we're in an active call, end it
-    if (this.stateMachine.isInActiveCall()) {
-      this.stateMachine.handleEvent(CALL_EVENTS.CONNECTION_FAILED, {
-        error: 'Connection lost',
+    if (!this.stateMachine.isInActiveCall()) {
+      return;
+    }
+
+    // Media keeps flowing peer-to-peer, so give the socket a chance to come
+    // back and resume the session before ending the call
+    if (data?.willReconnect) {
+      console.log(
+        'CallManager: Waiting for socket to reconnect and resume call',
+      );
+      this.clearResumeTimeout();
+      this.resumeTimeout = setTimeout(() => {
+        this.resumeTimeout = null;
+        console.error('CallManager: Session resume timed out');
+        if (this.stateMachine.isInActiveCall()) {
+          this.stateMachine.handleEvent(CALL_EVENTS.CONNECTION_FAILED, {
+            error: 'Connection lost',
+            reason: 'resume_timeout',
+          });
+        }
+      }, this.timeouts.sessionResume);
+      return;
+    }
+
+    // If we're in an active call and the socket is gone for good, end it
+    this.stateMachine.handleEvent(CALL_EVENTS.CONNECTION_FAILED, {
+      error: 'Connection lost',
+    });
+  }
+
+  /**
+   * Handle socket reconnection - resume the active call with the server
+   */
+  handleSocketReconnected(data) {
+    console.log('CallManager: Socket reconnected:', data);
+
+    if (!this.stateMachine.isInActiveCall()) {
+      this.clearResumeTimeout();
+      return;
+    }
+
+    const callData = this.stateMachine.getCallData();
+    if (!callData.callId || callData.callId.startsWith('temp_')) {
+      // The server never confirmed this call, so there is nothing to resume
+      this.handleResumeFailed({
+        callId: callData.callId,
+        reason: 'call_not_found',
+      });
+      return;
+    }
+
+    console.log('CallManager: Resuming call', callData.callId);
+    const resumeResult = this.socketService.resumeCall(callData.callId);
+    if (!resumeResult.success) {
+      console.warn(
+        'CallManager: Failed to send resume request:',
+        resumeResult.error,
+      );
+    }
+  }
+
+  /**
+   * Handle the server's resume response and re-sync the state machine
+   *
+   * Missed signaling has already been replayed by SocketService; here we
+   * only reconcile what the replay could not express.
+   */
+  async handleCallResumed(data) {
+    console.log('CallManager: Call resumed:', data);
+
+    const callData = this.stateMachine.getCallData();
+    if (data.callId !== callData.callId) {
+      console.log(
+        'CallManager: Ignoring resume for another call:',
+        data.callId,
+      );
+      return;
+    }
+
+    this.clearResumeTimeout();
+
+    if (data.status === 'ended') {
+      await this.handleResumeFailed({
+        callId: data.callId,
+        reason: 'call_ended',
+      });
+      return;
+    }
+
+    // Accepted while we were offline and the replay did not include it
+    if (
+      (data.status === 'accepted' || data.status === 'active') &&
+      this.stateMachine.getState() === CALL_STATES.CALLING
+    ) {
+      await this.handleCallAccepted({ callId: data.callId });
+    }
+
+    this.emit(CALL_MANAGER_EVENTS.SESSION_RESUMED, {
+      callId: data.callId,
+      status: data.status,
+      replayed: Array.isArray(data.missed) ? data.missed.length : 0,
+    });
+  }
+
+  /**
+   * Handle a call the server no longer knows about - end it cleanly
+   */
+  async handleResumeFailed(data) {
+    console.warn('CallManager: Call could not be resumed:', data);
+
+    const callData = this.stateMachine.getCallData();
+    if (data.callId && callData.callId && data.callId !== callData.callId) {
+      return;
+    }
+
+    this.clearResumeTimeout();
+
+    const metadata = {
+      callId: callData.callId,
+      reason: data.reason || 'call_not_found',
+    };
+
+    if (this.stateMachine.canTransition(CALL_EVENTS.CALL_ENDED)) {
+      await this.stateMachine.handleEvent(CALL_EVENTS.CALL_ENDED, metadata);
+    } else if (this.stateMachine.canTransition(CALL_EVENTS.CONNECTION_FAILED)) {
+      await this.stateMachine.handleEvent(CALL_EVENTS.CONNECTION_FAILED, {
+        ...metadata,
+        error: 'Call no longer exists',
       });
+    } else {
+      await this.stateMachine.handleEvent(CALL_EVENTS.RESET, metadata);
+    }
+  }
+
+  /**
+   * Clear session resume timeout
+   */
+  clearResumeTimeout() {
+    if (this.resumeTimeout) {
+      clearTimeout(this.resumeTimeout);
+      this.resumeTimeout = null;
+    }
+  }
+
+  /**
+   * Tell the server about a call that timed out locally so the other
+   * participant is released
+   */
+  handleStateTimeout(callData, metadata) {
+    console.warn(
+      `CallManager: Call timed out in ${metadata.timedOutState}:`,
+      metadata.reason,
+    );
+
+    if (!callData.callId || callData.callId.startsWith('temp_')) {
+      return;
     }
+
+    const notify =
+      metadata.timedOutState === CALL_STATES.RINGING
+        ? this.socketService.rejectCall(callData.callId)
+        : this.socketService.endCall(callData.callId, this.billingMeter.stop());
+
+    notify.then(result => {
+      if (!result.success) {
+        console.warn(
+          'CallManager: Failed to notify server of timeout:',
+          result.error,
+        );
+      }
+    });
   }
 
   /**
@@ -1059,6 +2340,9 @@ class CallManager {
 
     this.clearOperationTimeout();
     this.clearWebRTCInitTimeout();
+    this.clearResumeTimeout();
+    this.clearIceRestartRetry();
+    this.clearVideoUpgrade();
     this.currentOperation = null;
 
     // Reset state machine
@@ -1079,6 +2363,13 @@ class CallManager {
     // Clear all timeouts and operations
     this.clearOperationTimeout();
     this.clearWebRTCInitTimeout();
+    this.clearResumeTimeout();
+    this.clearIceRestartRetry();
+    this.clearVideoUpgrade();
+    this.iceServerProvider.stop();
+    this.iceServerProvider.removeAllListeners();
+    this.billingMeter.reset();
+    this.billingMeter.removeAllListeners();
     this.currentOperation = null;
 
     try {
@@ -1102,6 +2393,8 @@ class CallManager {
     this.isInitialized = false;
 
     // Clear all event listeners
+    this.chatService.reset();
+    this.chatService.removeAllListeners();
     this.listeners.clear();
 
     console.log('CallManager: Cleanup complete');
@@ -1153,6 +2446,13 @@ class CallManager {
         isInitialized: this.isInitialized,
         currentOperation: this.currentOperation,
         hasOperationTimeout: !!this.operationTimeout,
+        iceRestartAttempts: this.iceRestartAttempts,
+        holdInitiator: this.holdInitiator,
+        isMuted: this.isMuted,
+        isRemoteMuted: this.isRemoteMuted,
+        isRemoteCameraOn: this.isRemoteCameraOn,
+        videoUpgrade: this.videoUpgrade,
+        billing: this.billingMeter.getSnapshot(),
         listenerCount: Array.from(this.listeners.values()).reduce(
           (sum, set) => sum + set.size,
           0,
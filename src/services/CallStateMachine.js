@@ -2,6 +2,12 @@
  * CallStateMachine - Enhanced with better event queue management
  */
 
+// Kinds of call; a video call can be downgraded to voice mid-call
+export const CALL_TYPES = {
+  VOICE: 'voice',
+  VIDEO: 'video',
+};
+
 // Call States - comprehensive and mutually exclusive
 export const CALL_STATES = {
   // Initial state
@@ -17,6 +23,8 @@ export const CALL_STATES = {
   // Active call states
   CONNECTING: 'connecting', // Call accepted, establishing WebRTC
   CONNECTED: 'connected', // WebRTC connected, audio flowing
+  RECONNECTING: 'reconnecting', // Media path lost, ICE restart in progress
+  ON_HOLD: 'on_hold', // Audio paused by either participant
 
   // Ending states
   DISCONNECTING: 'disconnecting', // Call being ended
@@ -34,6 +42,8 @@ export const CALL_EVENTS = {
   ACCEPT_CALL: 'ACCEPT_CALL',
   REJECT_CALL: 'REJECT_CALL',
   END_CALL: 'END_CALL',
+  HOLD: 'HOLD',
+  RESUME: 'RESUME',
 
   // System events
   CALL_REQUEST_RECEIVED: 'CALL_REQUEST_RECEIVED',
@@ -57,7 +67,20 @@ export const CALL_EVENTS = {
   RESET: 'RESET',
 };
 
+// Reasons reported in metadata when a state timeout fires
+export const TIMEOUT_REASONS = {
+  MEDIA_TIMEOUT: 'media_timeout', // Microphone never became available
+  NO_ANSWER: 'no_answer', // Outgoing call was not picked up
+  MISSED: 'missed', // Incoming call was not answered
+  CONNECTION_TIMEOUT: 'connection_timeout', // WebRTC never connected
+  RECONNECT_TIMEOUT: 'reconnect_timeout', // Media path did not recover
+  AUTO_RESET: 'auto_reset', // Terminal state returned to IDLE
+};
+
 // Valid state transitions - prevents invalid state changes
+//
+// `after` declares a timeout for the state: if the state is not left within
+// `delay` ms, `event` is handled with `{ reason, timedOutState }` metadata.
 const STATE_TRANSITIONS = {
   [CALL_STATES.IDLE]: {
     [CALL_EVENTS.START_CALL]: CALL_STATES.INITIATING,
@@ -67,8 +90,15 @@ const STATE_TRANSITIONS = {
   [CALL_STATES.INITIATING]: {
     [CALL_EVENTS.MEDIA_ACQUIRED]: CALL_STATES.CALLING,
     [CALL_EVENTS.MEDIA_FAILED]: CALL_STATES.FAILED,
+    [CALL_EVENTS.CONNECTION_FAILED]: CALL_STATES.FAILED,
+    [CALL_EVENTS.TIMEOUT]: CALL_STATES.FAILED,
     [CALL_EVENTS.END_CALL]: CALL_STATES.IDLE,
     [CALL_EVENTS.RESET]: CALL_STATES.IDLE,
+    after: {
+      delay: 30000,
+      event: CALL_EVENTS.TIMEOUT,
+      reason: TIMEOUT_REASONS.MEDIA_TIMEOUT,
+    },
   },
 
   [CALL_STATES.CALLING]: {
@@ -78,6 +108,11 @@ const STATE_TRANSITIONS = {
     [CALL_EVENTS.TIMEOUT]: CALL_STATES.FAILED,
     [CALL_EVENTS.END_CALL]: CALL_STATES.IDLE,
     [CALL_EVENTS.RESET]: CALL_STATES.IDLE,
+    after: {
+      delay: 60000,
+      event: CALL_EVENTS.TIMEOUT,
+      reason: TIMEOUT_REASONS.NO_ANSWER,
+    },
   },
 
   [CALL_STATES.RINGING]: {
@@ -86,6 +121,11 @@ const STATE_TRANSITIONS = {
     [CALL_EVENTS.CALL_ENDED]: CALL_STATES.ENDED,
     [CALL_EVENTS.TIMEOUT]: CALL_STATES.FAILED,
     [CALL_EVENTS.RESET]: CALL_STATES.IDLE,
+    after: {
+      delay: 45000,
+      event: CALL_EVENTS.TIMEOUT,
+      reason: TIMEOUT_REASONS.MISSED,
+    },
   },
 
   [CALL_STATES.CONNECTING]: {
@@ -96,12 +136,43 @@ const STATE_TRANSITIONS = {
     [CALL_EVENTS.END_CALL]: CALL_STATES.DISCONNECTING,
     [CALL_EVENTS.CALL_ENDED]: CALL_STATES.ENDED,
     [CALL_EVENTS.RESET]: CALL_STATES.IDLE,
+    after: {
+      delay: 30000,
+      event: CALL_EVENTS.TIMEOUT,
+      reason: TIMEOUT_REASONS.CONNECTION_TIMEOUT,
+    },
   },
 
   [CALL_STATES.CONNECTED]: {
+    [CALL_EVENTS.HOLD]: CALL_STATES.ON_HOLD,
+    [CALL_EVENTS.END_CALL]: CALL_STATES.DISCONNECTING,
+    [CALL_EVENTS.CALL_ENDED]: CALL_STATES.ENDED,
+    [CALL_EVENTS.WEBRTC_DISCONNECTED]: CALL_STATES.RECONNECTING,
+    [CALL_EVENTS.WEBRTC_FAILED]: CALL_STATES.FAILED,
+    [CALL_EVENTS.CONNECTION_FAILED]: CALL_STATES.FAILED,
+    [CALL_EVENTS.RESET]: CALL_STATES.IDLE,
+  },
+
+  [CALL_STATES.RECONNECTING]: {
+    [CALL_EVENTS.WEBRTC_CONNECTED]: CALL_STATES.CONNECTED,
+    [CALL_EVENTS.WEBRTC_FAILED]: CALL_STATES.FAILED,
+    [CALL_EVENTS.CONNECTION_FAILED]: CALL_STATES.FAILED,
+    [CALL_EVENTS.TIMEOUT]: CALL_STATES.FAILED,
+    [CALL_EVENTS.END_CALL]: CALL_STATES.DISCONNECTING,
+    [CALL_EVENTS.CALL_ENDED]: CALL_STATES.ENDED,
+    [CALL_EVENTS.RESET]: CALL_STATES.IDLE,
+    after: {
+      delay: 30000,
+      event: CALL_EVENTS.TIMEOUT,
+      reason: TIMEOUT_REASONS.RECONNECT_TIMEOUT,
+    },
+  },
+
+  // No media flows, so ICE drops are not recovered until the call resumes
+  [CALL_STATES.ON_HOLD]: {
+    [CALL_EVENTS.RESUME]: CALL_STATES.CONNECTED,
     [CALL_EVENTS.END_CALL]: CALL_STATES.DISCONNECTING,
     [CALL_EVENTS.CALL_ENDED]: CALL_STATES.ENDED,
-    [CALL_EVENTS.WEBRTC_DISCONNECTED]: CALL_STATES.DISCONNECTING,
     [CALL_EVENTS.WEBRTC_FAILED]: CALL_STATES.FAILED,
     [CALL_EVENTS.CONNECTION_FAILED]: CALL_STATES.FAILED,
     [CALL_EVENTS.RESET]: CALL_STATES.IDLE,
@@ -112,25 +183,33 @@ const STATE_TRANSITIONS = {
     [CALL_EVENTS.RESET]: CALL_STATES.IDLE,
   },
 
-  // Terminal states
+  // Terminal states - automatically return to IDLE after a short delay
   [CALL_STATES.ENDED]: {
     [CALL_EVENTS.RESET]: CALL_STATES.IDLE,
+    after: {
+      delay: 1000,
+      event: CALL_EVENTS.RESET,
+      reason: TIMEOUT_REASONS.AUTO_RESET,
+    },
   },
   [CALL_STATES.FAILED]: {
     [CALL_EVENTS.RESET]: CALL_STATES.IDLE,
+    after: {
+      delay: 1000,
+      event: CALL_EVENTS.RESET,
+      reason: TIMEOUT_REASONS.AUTO_RESET,
+    },
   },
   [CALL_STATES.REJECTED]: {
     [CALL_EVENTS.RESET]: CALL_STATES.IDLE,
+    after: {
+      delay: 1000,
+      event: CALL_EVENTS.RESET,
+      reason: TIMEOUT_REASONS.AUTO_RESET,
+    },
   },
 };
 
-// States that should automatically transition to IDLE after a delay
-const AUTO_RESET_STATES = [
-  CALL_STATES.ENDED,
-  CALL_STATES.FAILED,
-  CALL_STATES.REJECTED,
-];
-
 // States that indicate an active call (prevents new calls)
 const ACTIVE_CALL_STATES = [
   CALL_STATES.INITIATING,
@@ -138,6 +217,8 @@ const ACTIVE_CALL_STATES = [
   CALL_STATES.RINGING,
   CALL_STATES.CONNECTING,
   CALL_STATES.CONNECTED,
+  CALL_STATES.RECONNECTING,
+  CALL_STATES.ON_HOLD,
   CALL_STATES.DISCONNECTING,
 ];
 
@@ -154,6 +235,8 @@ const EVENT_PRIORITY = {
   [CALL_EVENTS.REJECT_CALL]: 65,
   [CALL_EVENTS.WEBRTC_CONNECTED]: 60,
   [CALL_EVENTS.WEBRTC_DISCONNECTED]: 55,
+  [CALL_EVENTS.HOLD]: 50,
+  [CALL_EVENTS.RESUME]: 50,
   [CALL_EVENTS.CALL_ACCEPTED]: 50,
   [CALL_EVENTS.ACCEPT_CALL]: 45,
   [CALL_EVENTS.WEBRTC_CONNECTING]: 40,
@@ -162,17 +245,184 @@ const EVENT_PRIORITY = {
   [CALL_EVENTS.START_CALL]: 20,
 };
 
+// Output formats for exportStateDiagram
+export const DIAGRAM_FORMATS = {
+  MERMAID: 'mermaid',
+  DOT: 'dot',
+  MARKDOWN: 'markdown',
+};
+
+const formatDelay = delay =>
+  delay % 1000 === 0 ? `${delay / 1000}s` : `${delay}ms`;
+
+/**
+ * Flatten STATE_TRANSITIONS into rows ordered by state, then event priority
+ */
+const getTransitionRows = () =>
+  Object.values(CALL_STATES).flatMap(state => {
+    const { after, ...transitions } = STATE_TRANSITIONS[state] || {};
+    return Object.keys(transitions)
+      .sort((a, b) => (EVENT_PRIORITY[b] || 0) - (EVENT_PRIORITY[a] || 0))
+      .map(event => ({
+        from: state,
+        event,
+        to: transitions[event],
+        priority: EVENT_PRIORITY[event] || 0,
+        after: after?.event === event ? after : null,
+      }));
+  });
+
+/**
+ * Map each transition in a recorded history to the steps that took it
+ */
+const getHistorySteps = history => {
+  const steps = new Map();
+  history.forEach(({ from, event, to }, index) => {
+    const key = `${from}|${event}|${to}`;
+    steps.set(key, [...(steps.get(key) || []), index + 1]);
+  });
+  return steps;
+};
+
+const getTransitionLabel = (row, steps) => {
+  let label = row.event;
+  if (row.after) {
+    label += ` after ${formatDelay(row.after.delay)}`;
+  }
+  if (steps?.length) {
+    label += ` #${steps.join(', #')}`;
+  }
+  return label;
+};
+
+const getVisitedStates = history =>
+  new Set(history.flatMap(({ from, to }) => [from, to]));
+
+const toMermaid = (rows, history) => {
+  const steps = getHistorySteps(history);
+  const lines = ['stateDiagram-v2', `  [*] --> ${CALL_STATES.IDLE}`];
+
+  rows.forEach(row => {
+    const taken = steps.get(`${row.from}|${row.event}|${row.to}`);
+    lines.push(
+      `  ${row.from} --> ${row.to}: ${getTransitionLabel(row, taken)}`,
+    );
+  });
+
+  if (history.length > 0) {
+    lines.push(
+      '  classDef visited fill:#d4edda,stroke:#28a745,stroke-width:2px',
+    );
+    getVisitedStates(history).forEach(state => {
+      lines.push(`  class ${state} visited`);
+    });
+  }
+
+  return lines.join('\n');
+};
+
+const toDot = (rows, history) => {
+  const steps = getHistorySteps(history);
+  const visited = getVisitedStates(history);
+  const lines = ['digraph CallStateMachine {', '  rankdir=LR;'];
+
+  Object.values(CALL_STATES).forEach(state => {
+    const style = visited.has(state)
+      ? ' style=filled fillcolor="#d4edda" color="#28a745"'
+      : '';
+    lines.push(`  ${state} [shape=box${style}];`);
+  });
+
+  rows.forEach(row => {
+    const taken = steps.get(`${row.from}|${row.event}|${row.to}`);
+    const style = taken ? ' color="#28a745" penwidth=2' : '';
+    lines.push(
+      `  ${row.from} -> ${row.to} [label="${getTransitionLabel(
+        row,
+        taken,
+      )}"${style}];`,
+    );
+  });
+
+  lines.push('}');
+  return lines.join('\n');
+};
+
+const toMarkdown = (rows, history) => {
+  const steps = getHistorySteps(history);
+  const headers = ['State', 'Event', 'Priority', 'Next State', 'Timeout'];
+  if (history.length > 0) {
+    headers.push('Taken At Step');
+  }
+
+  const lines = [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+  ];
+
+  rows.forEach(row => {
+    const cells = [
+      row.from,
+      row.event,
+      row.priority,
+      row.to,
+      row.after ? `${formatDelay(row.after.delay)} (${row.after.reason})` : '',
+    ];
+    if (history.length > 0) {
+      const taken = steps.get(`${row.from}|${row.event}|${row.to}`);
+      cells.push(taken ? taken.join(', ') : '');
+    }
+    lines.push(`| ${cells.join(' | ')} |`);
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Render the call lifecycle as a Mermaid diagram, DOT graph or Markdown table
+ *
+ * Pass a recorded `stateHistory` to highlight the path a real call took.
+ *
+ * @param {Object} options
+ * @param {string} options.format - One of DIAGRAM_FORMATS
+ * @param {Array} options.history - Entries from getStateHistory()
+ */
+export const exportStateDiagram = ({
+  format = DIAGRAM_FORMATS.MERMAID,
+  history = [],
+} = {}) => {
+  const rows = getTransitionRows();
+
+  switch (format) {
+    case DIAGRAM_FORMATS.MERMAID:
+      return toMermaid(rows, history);
+    case DIAGRAM_FORMATS.DOT:
+      return toDot(rows, history);
+    case DIAGRAM_FORMATS.MARKDOWN:
+      return toMarkdown(rows, history);
+    default:
+      throw new Error(`Unknown diagram format: ${format}`);
+  }
+};
+
 class CallStateMachine {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.timeouts - Per-state `after` delay overrides (ms)
+   */
+  constructor(options = {}) {
     this.currentState = CALL_STATES.IDLE;
     this.previousState = null;
     this.listeners = new Set();
+    this.eventListeners = new Set();
     this.eventQueue = [];
     this.isProcessing = false;
-    this.autoResetTimer = null;
+    this.stateTimer = null;
+    this.timeoutOverrides = options.timeouts || {};
     this.stateHistory = [];
     this.maxHistorySize = 50;
     this.eventDedupeWindow = 500; // ms
+    this.staleEventAge = 5000; // ms
     this.recentEvents = new Map();
 
     // Call metadata
@@ -180,6 +430,7 @@ class CallStateMachine {
     this.participantId = null;
     this.participantName = null;
     this.callType = null;
+    this.pricing = null; // The therapist's rates (see utils/Pricing)
     this.startTime = null;
     this.endTime = null;
 
@@ -205,6 +456,7 @@ class CallStateMachine {
       participantId: this.participantId,
       participantName: this.participantName,
       callType: this.callType,
+      pricing: this.pricing,
       startTime: this.startTime,
       endTime: this.endTime,
       currentState: this.currentState,
@@ -222,6 +474,7 @@ class CallStateMachine {
     if (data.participantName !== undefined)
       this.participantName = data.participantName;
     if (data.callType !== undefined) this.callType = data.callType;
+    if (data.pricing !== undefined) this.pricing = data.pricing;
     if (data.startTime !== undefined) this.startTime = data.startTime;
     if (data.endTime !== undefined) this.endTime = data.endTime;
   }
@@ -231,7 +484,9 @@ class CallStateMachine {
    */
   canTransition(event) {
     const transitions = STATE_TRANSITIONS[this.currentState];
-    return transitions && transitions.hasOwnProperty(event);
+    return (
+      !!transitions && event !== 'after' && transitions.hasOwnProperty(event)
+    );
   }
 
   /**
@@ -253,7 +508,7 @@ class CallStateMachine {
    */
   transition(event, metadata = {}) {
     const transitions = STATE_TRANSITIONS[this.currentState];
-    if (!transitions || !transitions[event]) {
+    if (!this.canTransition(event)) {
       console.warn(
         `CallStateMachine: Invalid event ${event} for state ${this.currentState}`,
       );
@@ -305,11 +560,9 @@ class CallStateMachine {
    * Handle state entry logic
    */
   handleStateEntry(state, metadata) {
-    // Clear any existing auto-reset timer
-    if (this.autoResetTimer) {
-      clearTimeout(this.autoResetTimer);
-      this.autoResetTimer = null;
-    }
+    // Timers belong to the state that started them
+    this.clearStateTimer();
+    this.startStateTimer(state);
 
     switch (state) {
       case CALL_STATES.INITIATING:
@@ -327,10 +580,6 @@ class CallStateMachine {
       case CALL_STATES.FAILED:
       case CALL_STATES.REJECTED:
         this.endTime = Date.now();
-        // Auto-reset to IDLE after delay
-        this.autoResetTimer = setTimeout(() => {
-          this.handleEvent(CALL_EVENTS.RESET, { reason: 'auto_reset' });
-        }, 1000);
         break;
 
       case CALL_STATES.IDLE:
@@ -376,6 +625,7 @@ class CallStateMachine {
       `CallStateMachine: Handling event ${event} in state ${this.currentState}`,
       metadata,
     );
+    this.notifyEventListeners(event, metadata);
 
     // Check for duplicate events
     if (event !== CALL_EVENTS.RESET && this.isDuplicateEvent(event, metadata)) {
@@ -425,8 +675,11 @@ class CallStateMachine {
     while (this.eventQueue.length > 0) {
       const { event, metadata, resolve, timestamp } = this.eventQueue.shift();
 
-      // Skip stale events (older than 5 seconds) except RESET
-      if (event !== CALL_EVENTS.RESET && Date.now() - timestamp > 5000) {
+      // Skip stale events except RESET
+      if (
+        event !== CALL_EVENTS.RESET &&
+        Date.now() - timestamp > this.staleEventAge
+      ) {
         console.log(`CallStateMachine: Skipping stale event ${event}`);
         resolve({ success: false, error: 'Event expired' });
         continue;
@@ -448,6 +701,15 @@ class CallStateMachine {
    * Process individual event
    */
   async processEvent(event, metadata = {}) {
+    // A state timeout queued just before the state changed no longer applies
+    if (
+      metadata.timedOutState &&
+      metadata.timedOutState !== this.currentState
+    ) {
+      console.log(`CallStateMachine: Ignoring expired ${event} timeout`);
+      return { success: false, error: 'Timeout no longer applies' };
+    }
+
     // Handle RESET event specially - always allowed
     if (event === CALL_EVENTS.RESET) {
       this.forceReset();
@@ -478,6 +740,50 @@ class CallStateMachine {
     };
   }
 
+  /**
+   * Get the `after` timeout declared for a state, with any delay override
+   */
+  getStateTimeout(state) {
+    const after = STATE_TRANSITIONS[state]?.after;
+    if (!after) {
+      return null;
+    }
+
+    const delay = this.timeoutOverrides[state] ?? after.delay;
+    return { ...after, delay };
+  }
+
+  /**
+   * Start the declared timeout for a state
+   */
+  startStateTimer(state) {
+    const timeout = this.getStateTimeout(state);
+    if (!timeout) {
+      return;
+    }
+
+    this.stateTimer = setTimeout(() => {
+      this.stateTimer = null;
+      console.log(
+        `CallStateMachine: ${state} timed out after ${timeout.delay}ms (${timeout.reason})`,
+      );
+      this.handleEvent(timeout.event, {
+        reason: timeout.reason,
+        timedOutState: state,
+      });
+    }, timeout.delay);
+  }
+
+  /**
+   * Cancel the current state's timeout
+   */
+  clearStateTimer() {
+    if (this.stateTimer) {
+      clearTimeout(this.stateTimer);
+      this.stateTimer = null;
+    }
+  }
+
   /**
    * Handle special event preprocessing
    */
@@ -492,7 +798,8 @@ class CallStateMachine {
         this.setCallData({
           participantId: metadata.participantId,
           participantName: metadata.participantName,
-          callType: metadata.callType || 'voice',
+          callType: metadata.callType || CALL_TYPES.VOICE,
+          pricing: metadata.pricing || null,
         });
         break;
 
@@ -506,7 +813,8 @@ class CallStateMachine {
           callId: metadata.callId,
           participantId: metadata.participantId,
           participantName: metadata.participantName,
-          callType: metadata.callType || 'voice',
+          callType: metadata.callType || CALL_TYPES.VOICE,
+          pricing: metadata.pricing || null,
         });
         break;
 
@@ -542,10 +850,7 @@ class CallStateMachine {
     console.log('CallStateMachine: Force reset to IDLE');
 
     // Clear timers
-    if (this.autoResetTimer) {
-      clearTimeout(this.autoResetTimer);
-      this.autoResetTimer = null;
-    }
+    this.clearStateTimer();
 
     // Clear event queue
     this.eventQueue.forEach(item => {
@@ -585,6 +890,7 @@ class CallStateMachine {
     this.participantId = null;
     this.participantName = null;
     this.callType = null;
+    this.pricing = null;
     this.startTime = null;
     this.endTime = null;
   }
@@ -597,6 +903,24 @@ class CallStateMachine {
     return () => this.listeners.delete(listener);
   }
 
+  /**
+   * Add a listener for every event handed to the machine, before dedupe
+   */
+  addEventListener(listener) {
+    this.eventListeners.add(listener);
+    return () => this.eventListeners.delete(listener);
+  }
+
+  notifyEventListeners(event, metadata) {
+    this.eventListeners.forEach(listener => {
+      try {
+        listener(event, metadata);
+      } catch (error) {
+        console.error('CallStateMachine: Error in event listener:', error);
+      }
+    });
+  }
+
   /**
    * Notify all listeners of state change
    */
@@ -618,6 +942,13 @@ class CallStateMachine {
     return [...this.stateHistory];
   }
 
+  /**
+   * Render the state diagram with this call's history highlighted
+   */
+  exportDiagram(format = DIAGRAM_FORMATS.MERMAID) {
+    return exportStateDiagram({ format, history: this.stateHistory });
+  }
+
   /**
    * Get detailed state info for debugging
    */
@@ -633,7 +964,7 @@ class CallStateMachine {
         priority: e.priority,
       })),
       listenerCount: this.listeners.size,
-      hasAutoResetTimer: !!this.autoResetTimer,
+      hasStateTimer: !!this.stateTimer,
       recentEventsCount: this.recentEvents.size,
       stateHistory: this.getStateHistory().slice(-10), // Last 10 transitions
     };
@@ -0,0 +1,352 @@
+/**
+ * ChatService - In-call text chat over an RTCDataChannel
+ *
+ * Messages travel peer to peer on the call's data channel as JSON packets.
+ * Each message has an ID, and the receiver answers with a delivery receipt.
+ * Typing indicators are sent only when they change, and a remote indicator
+ * that never gets its "stopped typing" packet expires on its own.
+ */
+
+// Label of the data channel the caller opens for chat
+export const CHAT_CHANNEL_LABEL = 'chat';
+
+// Events emitted by ChatService
+export const CHAT_EVENTS = {
+  MESSAGES_CHANGED: 'messages_changed',
+  MESSAGE_RECEIVED: 'message_received',
+  TYPING_CHANGED: 'typing_changed',
+  AVAILABILITY_CHANGED: 'availability_changed',
+};
+
+// Delivery status of our own messages
+export const MESSAGE_STATUS = {
+  PENDING: 'pending', // Waiting for the channel to open
+  SENT: 'sent', // Handed to the data channel
+  DELIVERED: 'delivered', // Receipt received from the other participant
+};
+
+// Packet types on the data channel
+const PACKET_TYPES = {
+  MESSAGE: 'message',
+  RECEIPT: 'receipt',
+  TYPING: 'typing',
+};
+
+class ChatService {
+  /**
+   * @param {Object} options
+   * @param {number} options.typingTimeout - Expire the remote typing
+   *   indicator after this long without an update (ms)
+   */
+  constructor(options = {}) {
+    this.channel = null;
+    this.messages = [];
+    this.messageCounter = 0;
+    this.isTyping = false;
+    this.isRemoteTyping = false;
+    this.remoteTypingTimeout = null;
+    this.typingTimeout = options.typingTimeout || 5000;
+    this.maxMessageLength = 2000;
+    this.listeners = new Map();
+  }
+
+  /**
+   * Use a data channel for chat, replacing any previous one
+   */
+  attachChannel(channel) {
+    if (this.channel === channel) {
+      return;
+    }
+    this.detachChannel();
+
+    console.log('ChatService: Attaching data channel:', channel.label);
+    this.channel = channel;
+    channel.onopen = () => this.handleChannelOpen();
+    channel.onclose = () => this.handleChannelClose();
+    channel.onmessage = event => this.handleChannelMessage(event);
+    channel.onerror = error => {
+      console.error('ChatService: Data channel error:', error);
+    };
+
+    if (channel.readyState === 'open') {
+      this.handleChannelOpen();
+    }
+  }
+
+  detachChannel() {
+    if (!this.channel) {
+      return;
+    }
+
+    this.channel.onopen = null;
+    this.channel.onclose = null;
+    this.channel.onmessage = null;
+    this.channel.onerror = null;
+    this.channel = null;
+    this.emit(CHAT_EVENTS.AVAILABILITY_CHANGED, false);
+  }
+
+  isAvailable() {
+    return this.channel?.readyState === 'open';
+  }
+
+  /**
+   * Send a chat message; it is queued until the channel is open
+   */
+  sendMessage(text) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) {
+      return { success: false, error: 'Message is empty' };
+    }
+    if (trimmed.length > this.maxMessageLength) {
+      return {
+        success: false,
+        error: `Message is longer than ${this.maxMessageLength} characters`,
+      };
+    }
+
+    const message = {
+      id: this.generateMessageId(),
+      text: trimmed,
+      isLocal: true,
+      sentAt: Date.now(),
+      status: MESSAGE_STATUS.PENDING,
+    };
+    if (this.transmitMessage(message)) {
+      message.status = MESSAGE_STATUS.SENT;
+    }
+    this.messages = [...this.messages, message];
+
+    this.setTyping(false);
+    this.emit(CHAT_EVENTS.MESSAGES_CHANGED, this.getMessages());
+
+    return { success: true, message };
+  }
+
+  /**
+   * Tell the other participant whether we are typing
+   */
+  setTyping(isTyping) {
+    if (this.isTyping === isTyping) {
+      return;
+    }
+    this.isTyping = isTyping;
+
+    if (this.isAvailable()) {
+      this.sendPacket({ type: PACKET_TYPES.TYPING, isTyping });
+    }
+  }
+
+  getMessages() {
+    return [...this.messages];
+  }
+
+  /**
+   * Channel events
+   */
+
+  handleChannelOpen() {
+    console.log('ChatService: Data channel open');
+    this.emit(CHAT_EVENTS.AVAILABILITY_CHANGED, true);
+    this.flushPendingMessages();
+  }
+
+  handleChannelClose() {
+    console.log('ChatService: Data channel closed');
+    this.setRemoteTyping(false);
+    this.emit(CHAT_EVENTS.AVAILABILITY_CHANGED, false);
+  }
+
+  handleChannelMessage(event) {
+    let packet;
+    try {
+      packet = JSON.parse(event.data);
+    } catch (error) {
+      console.warn('ChatService: Ignoring malformed packet:', event.data);
+      return;
+    }
+
+    switch (packet.type) {
+      case PACKET_TYPES.MESSAGE:
+        this.handleIncomingMessage(packet);
+        break;
+      case PACKET_TYPES.RECEIPT:
+        this.handleReceipt(packet);
+        break;
+      case PACKET_TYPES.TYPING:
+        this.setRemoteTyping(!!packet.isTyping);
+        break;
+      default:
+        console.warn('ChatService: Unknown packet type:', packet.type);
+    }
+  }
+
+  handleIncomingMessage(packet) {
+    // Always acknowledge, even a duplicate, so the sender stops waiting
+    this.sendPacket({ type: PACKET_TYPES.RECEIPT, id: packet.id });
+
+    const isDuplicate = this.messages.some(
+      message => !message.isLocal && message.id === packet.id,
+    );
+    if (isDuplicate) {
+      return;
+    }
+
+    const message = {
+      id: packet.id,
+      text: String(packet.text || ''),
+      isLocal: false,
+      sentAt: packet.sentAt || Date.now(),
+      receivedAt: Date.now(),
+    };
+    this.messages = [...this.messages, message];
+    this.setRemoteTyping(false);
+
+    this.emit(CHAT_EVENTS.MESSAGE_RECEIVED, message);
+    this.emit(CHAT_EVENTS.MESSAGES_CHANGED, this.getMessages());
+  }
+
+  handleReceipt(packet) {
+    this.updateMessageStatus(packet.id, MESSAGE_STATUS.DELIVERED);
+  }
+
+  /**
+   * Helpers
+   */
+
+  generateMessageId() {
+    this.messageCounter += 1;
+    const suffix = Math.random().toString(36).slice(2, 8);
+    return `chat_${Date.now()}_${this.messageCounter}_${suffix}`;
+  }
+
+  // The channel is reliable, so a sent message only waits for its receipt
+  transmitMessage(message) {
+    return this.sendPacket({
+      type: PACKET_TYPES.MESSAGE,
+      id: message.id,
+      text: message.text,
+      sentAt: message.sentAt,
+    });
+  }
+
+  flushPendingMessages() {
+    const hasPending = this.messages.some(
+      message => message.isLocal && message.status === MESSAGE_STATUS.PENDING,
+    );
+    if (!hasPending) {
+      return;
+    }
+
+    console.log('ChatService: Sending queued messages');
+    this.messages = this.messages.map(message =>
+      message.isLocal &&
+      message.status === MESSAGE_STATUS.PENDING &&
+      this.transmitMessage(message)
+        ? { ...message, status: MESSAGE_STATUS.SENT }
+        : message,
+    );
+    this.emit(CHAT_EVENTS.MESSAGES_CHANGED, this.getMessages());
+  }
+
+  updateMessageStatus(id, status) {
+    let changed = false;
+    this.messages = this.messages.map(message => {
+      if (!message.isLocal || message.id !== id || message.status === status) {
+        return message;
+      }
+      changed = true;
+      return { ...message, status };
+    });
+
+    if (changed) {
+      this.emit(CHAT_EVENTS.MESSAGES_CHANGED, this.getMessages());
+    }
+  }
+
+  sendPacket(packet) {
+    if (!this.isAvailable()) {
+      return false;
+    }
+
+    try {
+      this.channel.send(JSON.stringify(packet));
+      return true;
+    } catch (error) {
+      console.error('ChatService: Failed to send packet:', error);
+      return false;
+    }
+  }
+
+  setRemoteTyping(isTyping) {
+    if (this.remoteTypingTimeout) {
+      clearTimeout(this.remoteTypingTimeout);
+      this.remoteTypingTimeout = null;
+    }
+    if (isTyping) {
+      this.remoteTypingTimeout = setTimeout(() => {
+        this.remoteTypingTimeout = null;
+        this.setRemoteTyping(false);
+      }, this.typingTimeout);
+    }
+
+    if (this.isRemoteTyping !== isTyping) {
+      this.isRemoteTyping = isTyping;
+      this.emit(CHAT_EVENTS.TYPING_CHANGED, isTyping);
+    }
+  }
+
+  /**
+   * Clear the conversation when the call is over
+   */
+  reset() {
+    this.detachChannel();
+    this.setRemoteTyping(false);
+    this.isTyping = false;
+    this.messages = [];
+    this.emit(CHAT_EVENTS.MESSAGES_CHANGED, []);
+  }
+
+  /**
+   * Event listener management
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+
+    return () => {
+      const eventListeners = this.listeners.get(event);
+      if (eventListeners) {
+        eventListeners.delete(listener);
+      }
+    };
+  }
+
+  off(event, listener) {
+    const eventListeners = this.listeners.get(event);
+    if (eventListeners) {
+      eventListeners.delete(listener);
+    }
+  }
+
+  emit(event, data) {
+    const eventListeners = this.listeners.get(event);
+    if (eventListeners) {
+      eventListeners.forEach(listener => {
+        try {
+          listener(data);
+        } catch (error) {
+          console.error('ChatService: Error in event listener:', error);
+        }
+      });
+    }
+  }
+
+  removeAllListeners() {
+    this.listeners.clear();
+  }
+}
+
+export default ChatService;
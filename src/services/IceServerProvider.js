@@ -0,0 +1,213 @@
+/**
+ * IceServerProvider - STUN/TURN servers for the peer connection
+ *
+ * The backend hands out ICE servers with time-limited TURN credentials as
+ * `{ iceServers, ttl }` (ttl in seconds). The list is cached and refreshed
+ * shortly before it expires, so an ICE restart late in a long call still has
+ * valid credentials. When the backend can't be reached the public STUN
+ * servers are used instead, which is enough on open networks.
+ */
+
+import axios from 'axios';
+import { API_ENDPOINTS, FALLBACK_ICE_SERVERS } from '../config/api';
+import AuthService from './AuthService';
+
+// Where the current ICE server list came from
+export const ICE_SERVER_SOURCES = {
+  SERVER: 'server',
+  FALLBACK: 'fallback',
+};
+
+// Events emitted by IceServerProvider
+export const ICE_SERVER_EVENTS = {
+  UPDATED: 'updated',
+};
+
+class IceServerProvider {
+  /**
+   * @param {Object} options
+   * @param {Function} options.fetchIceServers - Resolves with
+   *   `{ iceServers, ttl }` (default: GET API_ENDPOINTS.GET_ICE_SERVERS)
+   * @param {Object} options.authService - Source of the auth token
+   * @param {Array} options.fallbackIceServers - Used when the fetch fails
+   * @param {number} options.refreshMargin - Refresh this long before the
+   *   credentials expire (ms)
+   * @param {number} options.retryDelay - Retry a failed refresh after (ms)
+   */
+  constructor(options = {}) {
+    this.authService = options.authService || AuthService;
+    this.fetchIceServers =
+      options.fetchIceServers || (() => this.requestIceServers());
+    this.fallbackIceServers =
+      options.fallbackIceServers || FALLBACK_ICE_SERVERS;
+    this.refreshMargin = options.refreshMargin || 60000;
+    this.retryDelay = options.retryDelay || 30000;
+    this.requestTimeout = 5000;
+
+    // { iceServers, source, expiresAt } from the last load
+    this.current = null;
+    this.pendingLoad = null;
+    this.refreshTimeout = null;
+    this.isRefreshing = false; // Keep the list fresh until stop()
+    this.listeners = new Map();
+  }
+
+  /**
+   * ICE servers for a new peer connection. Never rejects: the fallback
+   * list is returned when the server list is unavailable.
+   */
+  async getIceServers() {
+    this.isRefreshing = true;
+    if (this.hasValidServerList(this.refreshMargin)) {
+      return this.current;
+    }
+    return this.refresh();
+  }
+
+  /**
+   * Fetch a new list, sharing one request between concurrent callers
+   */
+  refresh() {
+    if (!this.pendingLoad) {
+      this.pendingLoad = this.load().finally(() => {
+        this.pendingLoad = null;
+      });
+    }
+    return this.pendingLoad;
+  }
+
+  async load() {
+    this.clearRefreshTimeout();
+
+    try {
+      const { iceServers, ttl } = await this.fetchIceServers();
+      if (!Array.isArray(iceServers) || iceServers.length === 0) {
+        throw new Error('Server returned no ICE servers');
+      }
+
+      const lifetime = ttl > 0 ? ttl * 1000 : null;
+      this.current = {
+        iceServers,
+        source: ICE_SERVER_SOURCES.SERVER,
+        expiresAt: lifetime ? Date.now() + lifetime : null,
+      };
+      console.log(
+        `IceServerProvider: Loaded ${iceServers.length} ICE servers` +
+          (lifetime ? `, valid for ${ttl}s` : ''),
+      );
+
+      if (lifetime) {
+        this.scheduleRefresh(Math.max(lifetime - this.refreshMargin, 0));
+      }
+    } catch (error) {
+      console.warn('IceServerProvider: Failed to load ICE servers:', error);
+
+      // Credentials that have not expired yet are better than STUN only
+      if (this.hasValidServerList(0)) {
+        this.scheduleRefresh(this.retryDelay);
+      } else {
+        this.current = {
+          iceServers: this.fallbackIceServers,
+          source: ICE_SERVER_SOURCES.FALLBACK,
+          expiresAt: null,
+        };
+      }
+    }
+
+    this.emit(ICE_SERVER_EVENTS.UPDATED, this.current);
+    return this.current;
+  }
+
+  async requestIceServers() {
+    const token = await this.authService.getAuthToken();
+    const response = await axios.get(API_ENDPOINTS.GET_ICE_SERVERS, {
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: this.requestTimeout,
+    });
+    return response.data;
+  }
+
+  /**
+   * Whether the cached list came from the server and stays valid for at
+   * least `margin` ms. The fallback list is never considered valid, so the
+   * next call tries the server again.
+   */
+  hasValidServerList(margin) {
+    if (this.current?.source !== ICE_SERVER_SOURCES.SERVER) {
+      return false;
+    }
+    return (
+      this.current.expiresAt === null ||
+      Date.now() < this.current.expiresAt - margin
+    );
+  }
+
+  scheduleRefresh(delay) {
+    this.clearRefreshTimeout();
+    if (!this.isRefreshing) {
+      return;
+    }
+    this.refreshTimeout = setTimeout(() => {
+      this.refreshTimeout = null;
+      this.refresh();
+    }, delay);
+  }
+
+  clearRefreshTimeout() {
+    if (this.refreshTimeout) {
+      clearTimeout(this.refreshTimeout);
+      this.refreshTimeout = null;
+    }
+  }
+
+  /**
+   * Stop refreshing; the cached list is kept for the next call
+   */
+  stop() {
+    this.isRefreshing = false;
+    this.clearRefreshTimeout();
+  }
+
+  /**
+   * Event listener management
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+
+    return () => {
+      const eventListeners = this.listeners.get(event);
+      if (eventListeners) {
+        eventListeners.delete(listener);
+      }
+    };
+  }
+
+  off(event, listener) {
+    const eventListeners = this.listeners.get(event);
+    if (eventListeners) {
+      eventListeners.delete(listener);
+    }
+  }
+
+  emit(event, data) {
+    const eventListeners = this.listeners.get(event);
+    if (eventListeners) {
+      eventListeners.forEach(listener => {
+        try {
+          listener(data);
+        } catch (error) {
+          console.error('IceServerProvider: Error in event listener:', error);
+        }
+      });
+    }
+  }
+
+  removeAllListeners() {
+    this.listeners.clear();
+  }
+}
+
+export default IceServerProvider;
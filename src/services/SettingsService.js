@@ -0,0 +1,36 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import AuthService from './AuthService';
+
+// Settings are stored per signed-in account, so they survive a logout
+const RELAY_ONLY_CALLS_KEY = 'settings.relayOnlyCalls';
+
+class SettingsService {
+  async getSettingKey(name) {
+    const userId = await AuthService.getUserId();
+    return `${name}.${userId}`;
+  }
+
+  // Privacy mode: calls are relayed through TURN so the therapist never
+  // sees the user's IP address
+  async getRelayOnlyCalls() {
+    try {
+      const key = await this.getSettingKey(RELAY_ONLY_CALLS_KEY);
+      return (await AsyncStorage.getItem(key)) === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async setRelayOnlyCalls(enabled) {
+    try {
+      const key = await this.getSettingKey(RELAY_ONLY_CALLS_KEY);
+      await AsyncStorage.setItem(key, enabled ? 'true' : 'false');
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to save privacy setting:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default new SettingsService();
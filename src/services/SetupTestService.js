@@ -0,0 +1,484 @@
+/**
+ * SetupTestService - Pre-call check of permissions, microphone and network
+ *
+ * Runs the same WebRTC stack a call uses, without a server or the other
+ * participant: the microphone is sent over a loopback connection between
+ * two local peer connections. Listening to the received audio gives the
+ * level, and the gathered and selected ICE candidates show whether STUN and
+ * TURN are reachable from this network.
+ */
+
+import WebRTCService, { getCandidateType } from './WebRTCService';
+import IceServerProvider from './IceServerProvider';
+import NativeWebRTCAdapter from './webrtc/NativeWebRTCAdapter';
+import { normalizeStatsReport, CANDIDATE_TYPES } from '../utils/CallStats';
+
+// Checks in the order they run
+export const SETUP_TEST_STEPS = {
+  PERMISSION: 'permission',
+  MICROPHONE: 'microphone',
+  CONNECTIVITY: 'connectivity',
+};
+
+// Status of a single check and of the whole report
+export const SETUP_TEST_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  PASS: 'pass',
+  WARN: 'warn',
+  FAIL: 'fail',
+};
+
+// Events emitted by SetupTestService
+export const SETUP_TEST_EVENTS = {
+  STEPS_CHANGED: 'steps_changed',
+  AUDIO_LEVEL: 'audio_level',
+};
+
+const STEP_LABELS = {
+  [SETUP_TEST_STEPS.PERMISSION]: 'Microphone permission',
+  [SETUP_TEST_STEPS.MICROPHONE]: 'Microphone level',
+  [SETUP_TEST_STEPS.CONNECTIVITY]: 'Network connection',
+};
+
+// Below this peak level (0..1) we assume the microphone hears nothing
+const SILENCE_LEVEL = 0.01;
+
+class SetupTestService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.adapter - WebRTC implementation (default: native)
+   * @param {WebRTCService} options.webrtcService - Used for permission checks
+   * @param {IceServerProvider} options.iceServerProvider
+   * @param {number} options.captureDuration - How long to listen (ms)
+   * @param {number} options.connectTimeout - Loopback connection limit (ms)
+   * @param {number} options.pollInterval - Audio level sampling period (ms)
+   */
+  constructor(options = {}) {
+    this.adapter = options.adapter || new NativeWebRTCAdapter();
+    this.webrtcService =
+      options.webrtcService || new WebRTCService({ adapter: this.adapter });
+    // A provider of our own only lives as long as the test
+    this.ownsIceServerProvider = !options.iceServerProvider;
+    this.iceServerProvider =
+      options.iceServerProvider || new IceServerProvider();
+    this.captureDuration = options.captureDuration || 3000;
+    this.connectTimeout = options.connectTimeout || 10000;
+    this.pollInterval = options.pollInterval || 250;
+
+    this.steps = [];
+    this.isRunning = false;
+    this.isCancelled = false;
+    this.stream = null;
+    this.senderConnection = null;
+    this.receiverConnection = null;
+    this.listeners = new Map();
+  }
+
+  /**
+   * Run all checks. Resolves with { success, status, steps }, where status
+   * is the worst step result.
+   */
+  async run() {
+    if (this.isRunning) {
+      return { success: false, error: 'Setup test already running' };
+    }
+
+    this.isRunning = true;
+    this.isCancelled = false;
+    this.steps = Object.values(SETUP_TEST_STEPS).map(id => ({
+      id,
+      label: STEP_LABELS[id],
+      status: SETUP_TEST_STATUS.PENDING,
+      message: null,
+      details: {},
+    }));
+    this.emitSteps();
+
+    try {
+      const permitted = await this.runStep(SETUP_TEST_STEPS.PERMISSION, () =>
+        this.checkPermission(),
+      );
+      if (!permitted) {
+        this.skipRemainingSteps('Needs microphone permission');
+      } else {
+        const captured = await this.runStep(SETUP_TEST_STEPS.MICROPHONE, () =>
+          this.captureMicrophone(),
+        );
+        if (!captured) {
+          this.skipRemainingSteps('Needs a working microphone');
+        } else {
+          await this.runStep(SETUP_TEST_STEPS.CONNECTIVITY, () =>
+            this.testConnectivity(),
+          );
+          const microphone = this.getStep(SETUP_TEST_STEPS.MICROPHONE);
+          if (microphone.status === SETUP_TEST_STATUS.RUNNING) {
+            this.finishMicrophoneStep(null);
+          }
+        }
+      }
+    } finally {
+      this.releaseResources();
+      if (this.ownsIceServerProvider) {
+        this.iceServerProvider.stop();
+      }
+      this.isRunning = false;
+    }
+
+    if (this.isCancelled) {
+      return { success: false, error: 'Setup test cancelled' };
+    }
+
+    return {
+      success: true,
+      status: this.getOverallStatus(),
+      steps: this.getSteps(),
+    };
+  }
+
+  /**
+   * Stop a running test, e.g. when the screen is closed
+   */
+  cancel() {
+    if (!this.isRunning) {
+      return;
+    }
+    console.log('SetupTestService: Cancelled');
+    this.isCancelled = true;
+    this.releaseResources();
+  }
+
+  getStep(id) {
+    return this.steps.find(step => step.id === id);
+  }
+
+  getSteps() {
+    return this.steps.map(step => ({ ...step, details: { ...step.details } }));
+  }
+
+  /**
+   * Worst result across the checks
+   */
+  getOverallStatus() {
+    const statuses = this.steps.map(step => step.status);
+    if (statuses.includes(SETUP_TEST_STATUS.FAIL)) {
+      return SETUP_TEST_STATUS.FAIL;
+    }
+    if (statuses.includes(SETUP_TEST_STATUS.WARN)) {
+      return SETUP_TEST_STATUS.WARN;
+    }
+    return SETUP_TEST_STATUS.PASS;
+  }
+
+  /**
+   * Checks. Each resolves with { status, message, details }.
+   */
+
+  async checkPermission() {
+    try {
+      await this.webrtcService.checkPermissions();
+      return {
+        status: SETUP_TEST_STATUS.PASS,
+        message: 'Microphone access granted',
+      };
+    } catch (error) {
+      return {
+        status: SETUP_TEST_STATUS.FAIL,
+        message: 'Allow microphone access in your phone settings to make calls',
+      };
+    }
+  }
+
+  async captureMicrophone() {
+    try {
+      this.stream = await this.adapter.getUserMedia({
+        audio: this.webrtcService.mediaConstraints.audio,
+        video: false,
+      });
+    } catch (error) {
+      console.error('SetupTestService: Microphone capture failed:', error);
+      return {
+        status: SETUP_TEST_STATUS.FAIL,
+        message:
+          'Could not start the microphone. Close other apps using it and try again',
+      };
+    }
+
+    // The level is measured on the loopback connection, see testConnectivity
+    return {
+      status: SETUP_TEST_STATUS.RUNNING,
+      message: 'Say something...',
+    };
+  }
+
+  async testConnectivity() {
+    const { iceServers, source } = await this.iceServerProvider.getIceServers();
+    const config = { ...this.webrtcService.config, iceServers };
+    const candidateTypes = new Set();
+
+    this.senderConnection = this.adapter.createPeerConnection(config);
+    this.receiverConnection = this.adapter.createPeerConnection(config);
+    this.linkCandidates(
+      this.senderConnection,
+      this.receiverConnection,
+      candidateTypes,
+    );
+    this.linkCandidates(this.receiverConnection, this.senderConnection);
+
+    const startedAt = Date.now();
+    const connected = this.waitForConnection(this.senderConnection);
+    this.stream.getAudioTracks().forEach(track => {
+      this.senderConnection.addTrack(track, this.stream);
+    });
+    await this.negotiate();
+
+    if (!(await connected)) {
+      this.finishMicrophoneStep(null);
+      return {
+        status: SETUP_TEST_STATUS.FAIL,
+        message:
+          'Could not connect. A firewall or VPN on this network may be blocking calls',
+        details: { candidateTypes: [...candidateTypes] },
+      };
+    }
+    const connectTime = Date.now() - startedAt;
+
+    const peakLevel = await this.measureAudioLevel();
+    this.finishMicrophoneStep(peakLevel);
+
+    const sample = normalizeStatsReport(await this.senderConnection.getStats());
+    const details = {
+      candidateType: sample.localCandidateType,
+      candidateTypes: [...candidateTypes],
+      iceServerSource: source,
+      connectTime,
+      rtt: sample.rtt,
+    };
+
+    if (!candidateTypes.has(CANDIDATE_TYPES.RELAY)) {
+      return {
+        status: SETUP_TEST_STATUS.WARN,
+        message:
+          'Relay servers are unreachable. Calls may fail on strict networks such as office or mobile data',
+        details,
+      };
+    }
+    return {
+      status: SETUP_TEST_STATUS.PASS,
+      message:
+        sample.localCandidateType === CANDIDATE_TYPES.RELAY
+          ? 'Connected through a relay server'
+          : 'Connected directly',
+      details,
+    };
+  }
+
+  /**
+   * Helpers
+   */
+
+  async runStep(id, check) {
+    this.updateStep(id, { status: SETUP_TEST_STATUS.RUNNING });
+
+    let result;
+    try {
+      result = await check();
+    } catch (error) {
+      console.error(`SetupTestService: ${id} check failed:`, error);
+      result = { status: SETUP_TEST_STATUS.FAIL, message: error.message };
+    }
+
+    if (this.isCancelled) {
+      return false;
+    }
+    this.updateStep(id, result);
+    return result.status !== SETUP_TEST_STATUS.FAIL;
+  }
+
+  skipRemainingSteps(message) {
+    this.steps
+      .filter(step => step.status === SETUP_TEST_STATUS.PENDING)
+      .forEach(step =>
+        this.updateStep(step.id, { status: SETUP_TEST_STATUS.FAIL, message }),
+      );
+  }
+
+  // The microphone level is only known once audio has crossed the loopback
+  finishMicrophoneStep(peakLevel) {
+    let result;
+    if (peakLevel === null) {
+      result = {
+        status: SETUP_TEST_STATUS.WARN,
+        message: 'Microphone works, but its level could not be measured',
+      };
+    } else if (peakLevel < SILENCE_LEVEL) {
+      result = {
+        status: SETUP_TEST_STATUS.WARN,
+        message:
+          "We couldn't hear you. Check that the microphone isn't muted or covered",
+      };
+    } else {
+      result = {
+        status: SETUP_TEST_STATUS.PASS,
+        message: 'Microphone is picking up sound',
+      };
+    }
+    this.updateStep(SETUP_TEST_STEPS.MICROPHONE, {
+      ...result,
+      details: { peakLevel },
+    });
+  }
+
+  linkCandidates(from, to, candidateTypes) {
+    from.onicecandidate = event => {
+      if (!event.candidate) {
+        return;
+      }
+      if (candidateTypes) {
+        const type = getCandidateType(event.candidate);
+        if (type) {
+          candidateTypes.add(type);
+        }
+      }
+      to.addIceCandidate(
+        this.adapter.createIceCandidate(event.candidate),
+      ).catch(error => {
+        console.warn('SetupTestService: Candidate not added:', error);
+      });
+    };
+  }
+
+  async negotiate() {
+    const offer = await this.senderConnection.createOffer({
+      offerToReceiveAudio: true,
+      offerToReceiveVideo: false,
+    });
+    await this.senderConnection.setLocalDescription(offer);
+    await this.receiverConnection.setRemoteDescription(
+      this.adapter.createSessionDescription(offer),
+    );
+
+    const answer = await this.receiverConnection.createAnswer();
+    await this.receiverConnection.setLocalDescription(answer);
+    await this.senderConnection.setRemoteDescription(
+      this.adapter.createSessionDescription(answer),
+    );
+  }
+
+  // Resolves true once connected, false on failure or timeout
+  waitForConnection(peerConnection) {
+    return new Promise(resolve => {
+      let timeout = null;
+      const finish = connected => {
+        clearTimeout(timeout);
+        peerConnection.onconnectionstatechange = null;
+        resolve(connected);
+      };
+      timeout = setTimeout(() => finish(false), this.connectTimeout);
+
+      peerConnection.onconnectionstatechange = () => {
+        const state = peerConnection.connectionState;
+        if (state === 'connected') {
+          finish(true);
+        } else if (state === 'failed' || state === 'closed') {
+          finish(false);
+        }
+      };
+    });
+  }
+
+  // Peak level of the received audio over the capture window
+  async measureAudioLevel() {
+    let peakLevel = null;
+    const endAt = Date.now() + this.captureDuration;
+
+    while (Date.now() < endAt && !this.isCancelled) {
+      const sample = normalizeStatsReport(
+        await this.receiverConnection.getStats(),
+      );
+      if (typeof sample.audioLevel === 'number') {
+        peakLevel = Math.max(peakLevel || 0, sample.audioLevel);
+        this.emit(SETUP_TEST_EVENTS.AUDIO_LEVEL, sample.audioLevel);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+
+    return peakLevel;
+  }
+
+  releaseResources() {
+    [this.senderConnection, this.receiverConnection].forEach(connection => {
+      if (!connection) {
+        return;
+      }
+      connection.onicecandidate = null;
+      connection.onconnectionstatechange = null;
+      try {
+        connection.close();
+      } catch (error) {
+        console.error('SetupTestService: Error closing connection:', error);
+      }
+    });
+    this.senderConnection = null;
+    this.receiverConnection = null;
+
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+  }
+
+  updateStep(id, changes) {
+    this.steps = this.steps.map(step =>
+      step.id === id ? { ...step, ...changes } : step,
+    );
+    this.emitSteps();
+  }
+
+  emitSteps() {
+    this.emit(SETUP_TEST_EVENTS.STEPS_CHANGED, this.getSteps());
+  }
+
+  /**
+   * Event listener management
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+
+    return () => {
+      const eventListeners = this.listeners.get(event);
+      if (eventListeners) {
+        eventListeners.delete(listener);
+      }
+    };
+  }
+
+  off(event, listener) {
+    const eventListeners = this.listeners.get(event);
+    if (eventListeners) {
+      eventListeners.delete(listener);
+    }
+  }
+
+  emit(event, data) {
+    const eventListeners = this.listeners.get(event);
+    if (eventListeners) {
+      eventListeners.forEach(listener => {
+        try {
+          listener(data);
+        } catch (error) {
+          console.error('SetupTestService: Error in event listener:', error);
+        }
+      });
+    }
+  }
+
+  removeAllListeners() {
+    this.listeners.clear();
+  }
+}
+
+export default SetupTestService;
@@ -5,9 +5,8 @@
  * completely separated from WebRTC and state management.
  */
 
-import io from 'socket.io-client';
-import { SOCKET_URL } from '../config/api';
 import AuthService from './AuthService';
+import SocketIOTransport from './transports/SocketIOTransport';
 
 // Socket connection states
 export const SOCKET_STATES = {
@@ -27,6 +26,11 @@ export const SOCKET_EVENTS = {
   RECONNECT: 'reconnect',
   RECONNECT_ERROR: 'reconnect_error',
   
+  // Session resumption events
+  RESUME_CALL: 'resume-call',
+  CALL_RESUMED: 'call-resumed',
+  RESUME_FAILED: 'resume-failed',
+  
   // Call signaling events
   INITIATE_CALL: 'initiate-call',
   CALL_INITIATED: 'call-initiated',
@@ -38,6 +42,13 @@ export const SOCKET_EVENTS = {
   END_CALL: 'end-call',
   CALL_ENDED: 'call-ended',
   CALL_CANCELLED: 'call-cancelled',
+  HOLD_CALL: 'hold-call',
+  CALL_HOLD_CHANGED: 'call-hold-changed',
+  MUTE_STATE: 'mute-state', // Relayed to the other participant as-is
+  VIDEO_STATE: 'video-state', // Camera on/off and video downgrade, relayed
+  VIDEO_UPGRADE_REQUEST: 'video-upgrade-request', // Relayed
+  VIDEO_UPGRADE_RESPONSE: 'video-upgrade-response', // Relayed
+  BALANCE_WARNING: 'balance-warning', // User's coins are running low, relayed
   
   // WebRTC signaling events
   OFFER: 'offer',
@@ -47,16 +58,56 @@ export const SOCKET_EVENTS = {
   // Status events
   USER_STATUS: 'user-status',
   THERAPIST_STATUS: 'therapist-status',
+  BALANCE_UPDATED: 'balance-updated', // { balance, freeMinutes, transaction } after a call or top-up
+};
+
+// Reasons reported when a queued outbound message is discarded
+export const DROP_REASONS = {
+  EXPIRED: 'expired',
+  SUPERSEDED: 'superseded',
+  QUEUE_FULL: 'queue_full',
+  DISCONNECTED: 'disconnected',
 };
 
 class SocketService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.transport - Creates the socket (default: Socket.IO)
+   * @param {Object} options.authService - Provides token, user ID and type
+   */
+  constructor(options = {}) {
+    this.transport = options.transport || new SocketIOTransport();
+    this.authService = options.authService || AuthService;
     this.socket = null;
     this.connectionState = SOCKET_STATES.DISCONNECTED;
     this.listeners = new Map();
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     
+    // Highest server-assigned sequence number seen for the active call,
+    // used to resume the session after a reconnect
+    this.lastSignalingSeq = 0;
+    
+    // Acknowledged delivery for call-control messages
+    this.messageCounter = 0;
+    this.ackOptions = {
+      timeout: 5000,
+      retries: 2,
+      retryDelay: 500,
+    };
+    
+    // Messages emitted while (re)connecting, flushed in order on connect
+    this.outboundQueue = [];
+    this.queueOptions = {
+      maxSize: 100,
+      maxAge: {
+        [SOCKET_EVENTS.ICE_CANDIDATE]: 10000,
+        [SOCKET_EVENTS.OFFER]: 15000,
+        [SOCKET_EVENTS.ANSWER]: 15000,
+        default: 30000,
+      },
+    };
+    
     // Connection options
     this.connectionOptions = {
       autoConnect: false,
@@ -95,9 +146,9 @@ class SocketService {
       }
       
       // Get authentication data
-      const token = await AuthService.getAuthToken();
-      const userId = await AuthService.getUserId();
-      const userType = await AuthService.getUserType();
+      const token = await this.authService.getAuthToken();
+      const userId = await this.authService.getUserId();
+      const userType = await this.authService.getUserType();
 
       if (!token || !userId || !userType) {
         throw new Error('Authentication data not available');
@@ -113,7 +164,7 @@ class SocketService {
       this.emitToListeners('state_changed', this.connectionState);
 
       // Create socket connection
-      this.socket = io(SOCKET_URL, {
+      this.socket = this.transport.createSocket({
         ...this.connectionOptions,
         auth: { token, userId, userType },
       });
@@ -195,23 +246,40 @@ class SocketService {
       this.reconnectAttempts = 0;
       this.emitToListeners('state_changed', this.connectionState);
       this.emitToListeners('connected');
+      this.flushOutboundQueue();
     });
 
     this.socket.on('disconnect', (reason) => {
       console.log('SocketService: Disconnected from server:', reason);
-      this.connectionState = SOCKET_STATES.DISCONNECTED;
+      // An active socket reconnects on its own (transport drop, ping timeout)
+      const willReconnect = !!this.socket?.active;
+      this.connectionState = willReconnect
+        ? SOCKET_STATES.RECONNECTING
+        : SOCKET_STATES.DISCONNECTED;
       this.emitToListeners('state_changed', this.connectionState);
-      this.emitToListeners('disconnected', { reason });
+      this.emitToListeners('disconnected', { reason, willReconnect });
+      if (!willReconnect) {
+        this.clearOutboundQueue(DROP_REASONS.DISCONNECTED);
+      }
     });
 
     this.socket.on('connect_error', (error) => {
       console.error('SocketService: Connection error:', error);
-      this.connectionState = SOCKET_STATES.FAILED;
+      // Errors during automatic reconnection are not final
+      this.connectionState = this.socket?.active
+        ? SOCKET_STATES.RECONNECTING
+        : SOCKET_STATES.FAILED;
       this.emitToListeners('state_changed', this.connectionState);
       this.emitToListeners('error', { type: 'connection_error', error: error.message });
+      if (this.connectionState === SOCKET_STATES.FAILED) {
+        this.clearOutboundQueue(DROP_REASONS.DISCONNECTED);
+      }
     });
 
-    this.socket.on('reconnect', (attemptNumber) => {
+    // Reconnection events are emitted by the Manager in Socket.IO v4
+    const manager = this.socket.io;
+
+    manager.on('reconnect', (attemptNumber) => {
       console.log('SocketService: Reconnected after', attemptNumber, 'attempts');
       this.connectionState = SOCKET_STATES.CONNECTED;
       this.reconnectAttempts = 0;
@@ -219,7 +287,7 @@ class SocketService {
       this.emitToListeners('reconnected', { attemptNumber });
     });
 
-    this.socket.on('reconnect_attempt', (attemptNumber) => {
+    manager.on('reconnect_attempt', (attemptNumber) => {
       console.log('SocketService: Reconnect attempt', attemptNumber);
       this.connectionState = SOCKET_STATES.RECONNECTING;
       this.reconnectAttempts = attemptNumber;
@@ -227,63 +295,105 @@ class SocketService {
       this.emitToListeners('reconnecting', { attemptNumber });
     });
 
-    this.socket.on('reconnect_error', (error) => {
+    manager.on('reconnect_error', (error) => {
       console.error('SocketService: Reconnect error:', error);
       this.emitToListeners('error', { type: 'reconnect_error', error: error.message });
     });
 
-    this.socket.on('reconnect_failed', () => {
+    manager.on('reconnect_failed', () => {
       console.error('SocketService: Reconnect failed');
       this.connectionState = SOCKET_STATES.FAILED;
       this.emitToListeners('state_changed', this.connectionState);
       this.emitToListeners('error', { type: 'reconnect_failed', error: 'Failed to reconnect' });
+      this.clearOutboundQueue(DROP_REASONS.DISCONNECTED);
     });
 
     // Call signaling events - forward to listeners
     this.socket.on(SOCKET_EVENTS.CALL_INITIATED, (data) => {
       console.log('SocketService: Call initiated:', data);
-      this.emitToListeners(SOCKET_EVENTS.CALL_INITIATED, data);
+      this.forwardSignalingEvent(SOCKET_EVENTS.CALL_INITIATED, data);
     });
 
     this.socket.on(SOCKET_EVENTS.CALL_REQUEST, (data) => {
       console.log('SocketService: Call request received:', data);
-      this.emitToListeners(SOCKET_EVENTS.CALL_REQUEST, data);
+      this.forwardSignalingEvent(SOCKET_EVENTS.CALL_REQUEST, data);
     });
 
     this.socket.on(SOCKET_EVENTS.CALL_ACCEPTED, (data) => {
       console.log('SocketService: Call accepted:', data);
-      this.emitToListeners(SOCKET_EVENTS.CALL_ACCEPTED, data);
+      this.forwardSignalingEvent(SOCKET_EVENTS.CALL_ACCEPTED, data);
     });
 
     this.socket.on(SOCKET_EVENTS.CALL_REJECTED, (data) => {
       console.log('SocketService: Call rejected:', data);
-      this.emitToListeners(SOCKET_EVENTS.CALL_REJECTED, data);
+      this.forwardSignalingEvent(SOCKET_EVENTS.CALL_REJECTED, data);
     });
 
     this.socket.on(SOCKET_EVENTS.CALL_ENDED, (data) => {
       console.log('SocketService: Call ended:', data);
-      this.emitToListeners(SOCKET_EVENTS.CALL_ENDED, data);
+      this.forwardSignalingEvent(SOCKET_EVENTS.CALL_ENDED, data);
     });
 
     this.socket.on(SOCKET_EVENTS.CALL_CANCELLED, (data) => {
       console.log('SocketService: Call cancelled:', data);
-      this.emitToListeners(SOCKET_EVENTS.CALL_CANCELLED, data);
+      this.forwardSignalingEvent(SOCKET_EVENTS.CALL_CANCELLED, data);
+    });
+
+    this.socket.on(SOCKET_EVENTS.CALL_HOLD_CHANGED, (data) => {
+      console.log('SocketService: Call hold changed:', data);
+      this.forwardSignalingEvent(SOCKET_EVENTS.CALL_HOLD_CHANGED, data);
+    });
+
+    this.socket.on(SOCKET_EVENTS.MUTE_STATE, (data) => {
+      console.log('SocketService: Remote mute state:', data);
+      this.forwardSignalingEvent(SOCKET_EVENTS.MUTE_STATE, data);
+    });
+
+    this.socket.on(SOCKET_EVENTS.VIDEO_STATE, (data) => {
+      console.log('SocketService: Remote video state:', data);
+      this.forwardSignalingEvent(SOCKET_EVENTS.VIDEO_STATE, data);
+    });
+
+    this.socket.on(SOCKET_EVENTS.VIDEO_UPGRADE_REQUEST, (data) => {
+      console.log('SocketService: Video upgrade requested:', data);
+      this.forwardSignalingEvent(SOCKET_EVENTS.VIDEO_UPGRADE_REQUEST, data);
+    });
+
+    this.socket.on(SOCKET_EVENTS.VIDEO_UPGRADE_RESPONSE, (data) => {
+      console.log('SocketService: Video upgrade response:', data);
+      this.forwardSignalingEvent(SOCKET_EVENTS.VIDEO_UPGRADE_RESPONSE, data);
+    });
+
+    this.socket.on(SOCKET_EVENTS.BALANCE_WARNING, (data) => {
+      console.log('SocketService: Balance warning:', data);
+      this.forwardSignalingEvent(SOCKET_EVENTS.BALANCE_WARNING, data);
     });
 
     // WebRTC signaling events
     this.socket.on(SOCKET_EVENTS.OFFER, (data) => {
       console.log('SocketService: Offer received');
-      this.emitToListeners(SOCKET_EVENTS.OFFER, data);
+      this.forwardSignalingEvent(SOCKET_EVENTS.OFFER, data);
     });
 
     this.socket.on(SOCKET_EVENTS.ANSWER, (data) => {
       console.log('SocketService: Answer received');
-      this.emitToListeners(SOCKET_EVENTS.ANSWER, data);
+      this.forwardSignalingEvent(SOCKET_EVENTS.ANSWER, data);
     });
 
     this.socket.on(SOCKET_EVENTS.ICE_CANDIDATE, (data) => {
       console.log('SocketService: ICE candidate received');
-      this.emitToListeners(SOCKET_EVENTS.ICE_CANDIDATE, data);
+      this.forwardSignalingEvent(SOCKET_EVENTS.ICE_CANDIDATE, data);
+    });
+
+    // Session resumption events
+    this.socket.on(SOCKET_EVENTS.CALL_RESUMED, (data) => {
+      console.log('SocketService: Call resumed:', data);
+      this.handleCallResumed(data);
+    });
+
+    this.socket.on(SOCKET_EVENTS.RESUME_FAILED, (data) => {
+      console.log('SocketService: Call resume failed:', data);
+      this.emitToListeners(SOCKET_EVENTS.RESUME_FAILED, data);
     });
 
     // Status events
@@ -294,6 +404,53 @@ class SocketService {
     this.socket.on(SOCKET_EVENTS.THERAPIST_STATUS, (data) => {
       this.emitToListeners(SOCKET_EVENTS.THERAPIST_STATUS, data);
     });
+
+    this.socket.on(SOCKET_EVENTS.BALANCE_UPDATED, (data) => {
+      this.emitToListeners(SOCKET_EVENTS.BALANCE_UPDATED, data);
+    });
+  }
+
+  /**
+   * Forward a call signaling message, tracking its sequence number
+   *
+   * Messages at or below the last seen sequence were already delivered
+   * (e.g. replayed after a resume) and are dropped.
+   */
+  forwardSignalingEvent(event, data = {}) {
+    if (typeof data.seq === 'number') {
+      if (data.seq <= this.lastSignalingSeq) {
+        console.log('SocketService: Ignoring already delivered message:', event, data.seq);
+        return;
+      }
+      this.lastSignalingSeq = data.seq;
+    }
+
+    this.emitToListeners(event, data);
+  }
+
+  /**
+   * Replay signaling missed while disconnected, then report the resume
+   */
+  handleCallResumed(data = {}) {
+    const missed = Array.isArray(data.missed) ? data.missed : [];
+    if (missed.length > 0) {
+      console.log(`SocketService: Replaying ${missed.length} missed signaling messages`);
+    }
+
+    [...missed]
+      .sort((a, b) => (a.data?.seq || 0) - (b.data?.seq || 0))
+      .forEach(message => {
+        this.forwardSignalingEvent(message.event, message.data);
+      });
+
+    this.emitToListeners(SOCKET_EVENTS.CALL_RESUMED, data);
+  }
+
+  /**
+   * Reset sequence tracking once a call is over
+   */
+  resetSignalingSequence() {
+    this.lastSignalingSeq = 0;
   }
 
   /**
@@ -307,8 +464,12 @@ class SocketService {
     console.log('SocketService: Disconnecting...');
     
     try {
+      // Nothing queued can be delivered after an explicit disconnect
+      this.clearOutboundQueue(DROP_REASONS.DISCONNECTED);
+      
       // Remove all listeners
       this.socket.removeAllListeners();
+      this.socket.io.removeAllListeners();
       
       // Disconnect
       this.socket.disconnect();
@@ -350,13 +511,152 @@ class SocketService {
       isConnected: this.isConnected(),
       reconnectAttempts: this.reconnectAttempts,
       socketId: this.socket?.id,
+      lastSignalingSeq: this.lastSignalingSeq,
+      queuedMessages: this.outboundQueue.length,
+    };
+  }
+
+  /**
+   * Whether outbound messages should be buffered instead of failing
+   */
+  shouldQueue() {
+    if (this.isConnected()) {
+      return false;
+    }
+    return (
+      this.connectionState === SOCKET_STATES.CONNECTING ||
+      this.connectionState === SOCKET_STATES.RECONNECTING ||
+      !!this.socket?.active
+    );
+  }
+
+  /**
+   * Buffer an outbound message until the socket is connected
+   *
+   * Acknowledged messages get a promise that settles once the message is
+   * flushed and acked, or dropped.
+   */
+  enqueueMessage(event, data, ackOptions = null) {
+    if (this.outboundQueue.length >= this.queueOptions.maxSize) {
+      this.dropMessage(this.outboundQueue.shift(), DROP_REASONS.QUEUE_FULL);
+    }
+
+    console.log('SocketService: Queueing event until connected:', event);
+
+    const entry = {
+      event,
+      data,
+      ackOptions,
+      queuedAt: Date.now(),
+      resolve: null,
     };
+
+    const promise = ackOptions
+      ? new Promise(resolve => {
+          entry.resolve = resolve;
+        })
+      : null;
+
+    this.outboundQueue.push(entry);
+    return promise || { success: true, queued: true };
+  }
+
+  /**
+   * Check whether a queued message is too old or replaced by a newer one
+   */
+  getStaleReason(entry, index, now) {
+    const { maxAge } = this.queueOptions;
+    const limit = maxAge[entry.event] || maxAge.default;
+    if (now - entry.queuedAt > limit) {
+      return DROP_REASONS.EXPIRED;
+    }
+
+    // Only the latest offer for a call is still meaningful
+    if (entry.event === SOCKET_EVENTS.OFFER) {
+      const newerOffer = this.outboundQueue
+        .slice(index + 1)
+        .some(
+          other =>
+            other.event === SOCKET_EVENTS.OFFER &&
+            other.data.callId === entry.data.callId,
+        );
+      if (newerOffer) {
+        return DROP_REASONS.SUPERSEDED;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Send queued messages in order, dropping stale ones
+   */
+  flushOutboundQueue() {
+    if (this.outboundQueue.length === 0) {
+      return;
+    }
+
+    const now = Date.now();
+    const pending = this.outboundQueue.map((entry, index) => ({
+      entry,
+      staleReason: this.getStaleReason(entry, index, now),
+    }));
+    this.outboundQueue = [];
+
+    console.log('SocketService: Flushing', pending.length, 'queued events');
+
+    pending.forEach(({ entry, staleReason }) => {
+      if (staleReason) {
+        this.dropMessage(entry, staleReason);
+        return;
+      }
+
+      // sendWithAck emits synchronously, so wire order matches queue order
+      if (entry.ackOptions) {
+        this.sendWithAck(entry.event, entry.data, entry.ackOptions).then(
+          entry.resolve,
+        );
+      } else {
+        this.emit(entry.event, entry.data);
+      }
+    });
+  }
+
+  /**
+   * Drop every queued message with the given reason
+   */
+  clearOutboundQueue(reason) {
+    const dropped = this.outboundQueue;
+    this.outboundQueue = [];
+    dropped.forEach(entry => this.dropMessage(entry, reason));
+  }
+
+  /**
+   * Discard a queued message and report why
+   */
+  dropMessage(entry, reason) {
+    console.warn(`SocketService: Dropping queued ${entry.event}:`, reason);
+
+    if (entry.resolve) {
+      entry.resolve({ success: false, error: `Message ${reason}`, reason });
+    }
+
+    this.emitToListeners('message_dropped', {
+      event: entry.event,
+      callId: entry.data.callId,
+      reason,
+      age: Date.now() - entry.queuedAt,
+    });
   }
 
   /**
    * Emit event to server
    */
   emit(event, data = {}) {
+    if (this.shouldQueue()) {
+      return this.enqueueMessage(event, data);
+    }
+
     if (!this.isConnected()) {
       console.warn('SocketService: Cannot emit - not connected:', event);
       return { success: false, error: 'Not connected' };
@@ -365,6 +665,7 @@ class SocketService {
     try {
       console.log('SocketService: Emitting event:', event, data);
       this.socket.emit(event, data);
+      this.emitToListeners('message_sent', { event, data });
       return { success: true };
     } catch (error) {
       console.error('SocketService: Emit error:', error);
@@ -372,13 +673,90 @@ class SocketService {
     }
   }
 
+  /**
+   * Generate a unique message ID so the server can dedupe retried messages
+   */
+  generateMessageId() {
+    this.messageCounter += 1;
+    return `${this.socket?.id || 'local'}_${Date.now()}_${this.messageCounter}`;
+  }
+
+  /**
+   * Emit event to server and wait for its acknowledgement
+   *
+   * Retries on ack timeout with the same messageId. Resolves with
+   * { success, ack } - never rejects. A negative ack ({ success: false })
+   * from the server is returned as-is without retrying.
+   */
+  emitWithAck(event, data = {}, options = {}) {
+    const payload = { ...data, messageId: this.generateMessageId() };
+    return this.sendWithAck(event, payload, { ...this.ackOptions, ...options });
+  }
+
+  /**
+   * Send a message with an assigned messageId until it is acknowledged
+   */
+  async sendWithAck(event, payload, options) {
+    const { timeout, retries, retryDelay } = options;
+    let lastError = 'Not connected';
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      // Connection dropped - wait for it to come back, keeping the messageId
+      if (this.shouldQueue()) {
+        return this.enqueueMessage(event, payload, options);
+      }
+
+      if (!this.isConnected()) {
+        console.warn('SocketService: Cannot emit - not connected:', event);
+        return { success: false, error: lastError };
+      }
+
+      if (attempt > 0) {
+        console.log(`SocketService: Retrying ${event} (${attempt}/${retries})`);
+      }
+
+      try {
+        console.log('SocketService: Emitting event with ack:', event, payload);
+        const pendingAck = this.socket.timeout(timeout).emitWithAck(event, payload);
+        this.emitToListeners('message_sent', { event, data: payload });
+        const ack = await pendingAck;
+        this.emitToListeners('message_acknowledged', {
+          event,
+          messageId: payload.messageId,
+          ack,
+        });
+
+        if (ack && ack.success === false) {
+          console.warn('SocketService: Server rejected', event, ack);
+          return { success: false, error: ack.error || 'Rejected by server', ack };
+        }
+
+        return { success: true, ack: ack || {} };
+      } catch (error) {
+        lastError = error.message === 'operation has timed out'
+          ? 'Acknowledgement timed out'
+          : error.message;
+        console.warn(`SocketService: No ack for ${event}:`, lastError);
+      }
+
+      if (attempt < retries) {
+        await new Promise(resolve => setTimeout(resolve, retryDelay * (attempt + 1)));
+      }
+    }
+
+    console.error(`SocketService: ${event} not acknowledged after ${retries + 1} attempts`);
+    return { success: false, error: lastError };
+  }
+
   /**
    * Call signaling methods
+   *
+   * Call-control messages are acknowledged and return promises.
    */
   
-  // Initiate a call
+  // Initiate a call (the ack carries the server's callId)
   initiateCall(therapistId, callType = 'voice') {
-    return this.emit(SOCKET_EVENTS.INITIATE_CALL, {
+    return this.emitWithAck(SOCKET_EVENTS.INITIATE_CALL, {
       therapistId,
       callType,
       timestamp: Date.now(),
@@ -387,7 +765,7 @@ class SocketService {
 
   // Accept an incoming call
   acceptCall(callId) {
-    return this.emit(SOCKET_EVENTS.ACCEPT_CALL, {
+    return this.emitWithAck(SOCKET_EVENTS.ACCEPT_CALL, {
       callId,
       timestamp: Date.now(),
     });
@@ -395,17 +773,91 @@ class SocketService {
 
   // Reject an incoming call
   rejectCall(callId) {
-    return this.emit(SOCKET_EVENTS.REJECT_CALL, {
+    return this.emitWithAck(SOCKET_EVENTS.REJECT_CALL, {
+      callId,
+      timestamp: Date.now(),
+    });
+  }
+
+  // End an active call, reporting the locally metered usage
+  // ({ durationSeconds, coinsCharged }); the ack carries the server's billing.
+  // A reason (e.g. insufficient_balance) is passed on to the other participant
+  //
+  // Usage is now in seconds. `duration` is still sent in whole minutes,
+  // rounded up, for servers that bill on it; drop it once the server has
+  // moved to durationSeconds.
+  endCall(callId, usage = {}, reason = null) {
+    const durationSeconds = usage.durationSeconds || 0;
+    return this.emitWithAck(SOCKET_EVENTS.END_CALL, {
+      callId,
+      duration: Math.ceil(durationSeconds / 60),
+      durationSeconds,
+      coinsCharged: usage.coinsCharged || 0,
+      freeSecondsUsed: usage.freeSecondsUsed || 0,
+      ...(reason && { reason }),
+      timestamp: Date.now(),
+    });
+  }
+
+  // Put an active call on hold or take it off hold
+  setCallHold(callId, onHold) {
+    return this.emitWithAck(SOCKET_EVENTS.HOLD_CALL, {
+      callId,
+      onHold,
+      timestamp: Date.now(),
+    });
+  }
+
+  // Tell the other participant whether our microphone is muted
+  sendMuteState(callId, muted) {
+    return this.emit(SOCKET_EVENTS.MUTE_STATE, {
+      callId,
+      muted,
+      timestamp: Date.now(),
+    });
+  }
+
+  // Tell the other participant our call type and whether our camera is on
+  sendVideoState(callId, callType, cameraOn) {
+    return this.emit(SOCKET_EVENTS.VIDEO_STATE, {
+      callId,
+      callType,
+      cameraOn,
+      timestamp: Date.now(),
+    });
+  }
+
+  // Ask the other participant to turn a voice call into a video call
+  requestVideoUpgrade(callId) {
+    return this.emitWithAck(SOCKET_EVENTS.VIDEO_UPGRADE_REQUEST, {
+      callId,
+      timestamp: Date.now(),
+    });
+  }
+
+  // Accept or decline the other participant's video request
+  respondToVideoUpgrade(callId, accepted) {
+    return this.emitWithAck(SOCKET_EVENTS.VIDEO_UPGRADE_RESPONSE, {
+      callId,
+      accepted,
+      timestamp: Date.now(),
+    });
+  }
+
+  // Tell the other participant how long the user's balance will last
+  sendBalanceWarning(callId, secondsRemaining) {
+    return this.emit(SOCKET_EVENTS.BALANCE_WARNING, {
       callId,
+      secondsRemaining,
       timestamp: Date.now(),
     });
   }
 
-  // End an active call
-  endCall(callId, duration = 0) {
-    return this.emit(SOCKET_EVENTS.END_CALL, {
+  // Ask the server to resume an active call after a reconnect
+  resumeCall(callId, lastSeq = this.lastSignalingSeq) {
+    return this.emit(SOCKET_EVENTS.RESUME_CALL, {
       callId,
-      duration,
+      lastSeq,
       timestamp: Date.now(),
     });
   }
@@ -414,18 +866,21 @@ class SocketService {
    * WebRTC signaling methods
    */
   
-  // Send WebRTC offer
-  sendOffer(callId, offer) {
-    return this.emit(SOCKET_EVENTS.OFFER, {
+  // Send WebRTC offer (options.iceRestart marks a mid-call ICE restart and
+  // options.renegotiation any other change to an established call)
+  sendOffer(callId, offer, options = {}) {
+    return this.emitWithAck(SOCKET_EVENTS.OFFER, {
       callId,
       offer,
+      iceRestart: !!options.iceRestart,
+      renegotiation: !!options.renegotiation,
       timestamp: Date.now(),
     });
   }
 
   // Send WebRTC answer
   sendAnswer(callId, answer) {
-    return this.emit(SOCKET_EVENTS.ANSWER, {
+    return this.emitWithAck(SOCKET_EVENTS.ANSWER, {
       callId,
       answer,
       timestamp: Date.now(),
@@ -512,9 +967,9 @@ class SocketService {
     }
 
     try {
-      const token = await AuthService.getAuthToken();
-      const userId = await AuthService.getUserId();
-      const userType = await AuthService.getUserType();
+      const token = await this.authService.getAuthToken();
+      const userId = await this.authService.getUserId();
+      const userType = await this.authService.getUserType();
 
       if (!token || !userId || !userType) {
         throw new Error('Authentication data not available');
@@ -0,0 +1,192 @@
+/**
+ * WalletService - Coin packs, purchases and the transaction ledger
+ *
+ * A purchase is paid through a payment provider, then confirmed with the
+ * server, which credits the coins and records the purchase in the ledger.
+ * Development builds fall back to MockPaymentProvider; release builds can
+ * only sell coins with a real provider passed in. The ledger also holds call debits, refunds and
+ * promo credits, each with the balance after it, so any entry can be shown
+ * as a receipt.
+ *
+ * Promo codes credit coins, free call minutes or both. Free minutes are kept
+ * apart from the coin balance and are spent first (see BillingMeter).
+ */
+
+import axios from 'axios';
+import { API_ENDPOINTS } from '../config/api';
+import AuthService from './AuthService';
+import MockPaymentProvider from './payments/MockPaymentProvider';
+
+// Kinds of ledger entries
+export const TRANSACTION_TYPES = {
+  PURCHASE: 'purchase', // Coin pack bought, amount > 0
+  CALL_DEBIT: 'call_debit', // Call charged, amount < 0
+  REFUND: 'refund', // Coins returned, e.g. for a dropped call
+  PROMO: 'promo', // Coins or free minutes granted by a promo code
+};
+
+// Codes are letters, digits and dashes, e.g. WELCOME-10
+const PROMO_CODE_PATTERN = /^[A-Z0-9-]{4,32}$/;
+
+class WalletService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.paymentProvider - Takes the payment for a pack
+   *   (default: MockPaymentProvider in development, none in release)
+   * @param {Object} options.authService - Source of the auth token and user ID
+   * @param {Object} options.client - HTTP client with get/post (default: axios)
+   */
+  constructor(options = {}) {
+    this.paymentProvider =
+      options.paymentProvider || (__DEV__ ? new MockPaymentProvider() : null);
+    this.authService = options.authService || AuthService;
+    this.client = options.client || axios;
+  }
+
+  /**
+   * Whether coin packs can be bought, i.e. a payment provider is configured
+   */
+  canPurchase() {
+    return !!this.paymentProvider;
+  }
+
+  async getHeaders() {
+    const token = await this.authService.getAuthToken();
+    return { Authorization: `Bearer ${token}` };
+  }
+
+  /**
+   * Coin packs on sale, as `{ id, coins, bonusCoins, price, currency }`
+   */
+  async getCoinPacks() {
+    try {
+      const headers = await this.getHeaders();
+      const response = await this.client.get(API_ENDPOINTS.GET_COIN_PACKS, {
+        headers,
+      });
+      return { success: true, packs: response.data.packs || [] };
+    } catch (error) {
+      console.error('WalletService: Failed to load coin packs:', error);
+      return { success: false, error: 'Failed to load coin packs' };
+    }
+  }
+
+  /**
+   * The ledger, newest first. Entries are
+   * `{ id, type, amount, balanceAfter, createdAt, ... }` with type-specific
+   * details (pack and payment for purchases, call and therapist for debits).
+   */
+  async getTransactions() {
+    try {
+      const headers = await this.getHeaders();
+      const response = await this.client.get(
+        API_ENDPOINTS.GET_WALLET_TRANSACTIONS,
+        { headers },
+      );
+      return {
+        success: true,
+        balance: response.data.balance,
+        freeMinutes: response.data.freeMinutes,
+        transactions: response.data.transactions || [],
+      };
+    } catch (error) {
+      console.error('WalletService: Failed to load transactions:', error);
+      return { success: false, error: 'Failed to load your transactions' };
+    }
+  }
+
+  /**
+   * Pay for a pack and have the server credit its coins
+   *
+   * @returns {Object} `{ success, balance, transaction }`, or
+   *   `{ success: false, error, cancelled }`
+   */
+  async purchase(pack) {
+    if (!this.canPurchase()) {
+      return { success: false, error: 'Coin purchases are not available' };
+    }
+
+    const userId = await this.authService.getUserId();
+    const payment = await this.paymentProvider.checkout({ pack, userId });
+    if (!payment.success) {
+      return {
+        success: false,
+        error: payment.error || 'Payment failed',
+        cancelled: !!payment.cancelled,
+      };
+    }
+
+    try {
+      const headers = await this.getHeaders();
+      const response = await this.client.post(
+        API_ENDPOINTS.CREATE_COIN_PURCHASE,
+        {
+          packId: pack.id,
+          provider: this.paymentProvider.name,
+          paymentId: payment.paymentId,
+        },
+        { headers },
+      );
+      console.log('WalletService: Purchase confirmed:', payment.paymentId);
+      return {
+        success: true,
+        balance: response.data.balance,
+        transaction: response.data.transaction,
+      };
+    } catch (error) {
+      // The server credits confirmed payments by paymentId later on
+      console.error('WalletService: Failed to confirm purchase:', error);
+      return {
+        success: false,
+        error:
+          'Your payment went through but the coins have not been added yet. ' +
+          'They will appear in your wallet shortly.',
+        paymentId: payment.paymentId,
+      };
+    }
+  }
+
+  /**
+   * Redeem a promo or referral code
+   *
+   * @returns {Object} `{ success, credit: { coins, freeMinutes }, balance,
+   *   freeMinutes, transaction }`, or `{ success: false, error }`
+   */
+  async redeemPromoCode(code) {
+    const normalizedCode = (code || '').trim().toUpperCase();
+    if (!PROMO_CODE_PATTERN.test(normalizedCode)) {
+      return { success: false, error: 'Enter a valid promo code' };
+    }
+
+    try {
+      const headers = await this.getHeaders();
+      const response = await this.client.post(
+        API_ENDPOINTS.REDEEM_PROMO_CODE,
+        { code: normalizedCode },
+        { headers },
+      );
+      const { credit = {}, balance, freeMinutes, transaction } = response.data;
+      console.log('WalletService: Redeemed promo code', normalizedCode);
+      return {
+        success: true,
+        credit: {
+          coins: credit.coins || 0,
+          freeMinutes: credit.freeMinutes || 0,
+        },
+        balance,
+        freeMinutes,
+        transaction,
+      };
+    } catch (error) {
+      // The server explains rejected codes: expired, already used, unknown
+      console.error('WalletService: Failed to redeem promo code:', error);
+      return {
+        success: false,
+        error:
+          error.response?.data?.message || 'This code could not be redeemed',
+      };
+    }
+  }
+}
+
+export default WalletService;
@@ -5,13 +5,10 @@
  * socket communication and state management for better modularity.
  */
 
-import {
-  mediaDevices,
-  RTCPeerConnection,
-  RTCSessionDescription,
-  RTCIceCandidate,
-} from 'react-native-webrtc';
 import { PermissionsAndroid, Platform, Alert } from 'react-native';
+import { normalizeStatsReport, CANDIDATE_TYPES } from '../utils/CallStats';
+import NativeWebRTCAdapter from './webrtc/NativeWebRTCAdapter';
+import { FALLBACK_ICE_SERVERS } from '../config/api';
 
 // WebRTC Connection States
 export const WEBRTC_STATES = {
@@ -34,6 +31,19 @@ export const ICE_STATES = {
   CLOSED: 'closed',
 };
 
+// Camera directions for video calls (getUserMedia facingMode values)
+export const CAMERA_FACING = {
+  FRONT: 'user',
+  BACK: 'environment',
+};
+
+// Type of an ICE candidate (object or candidate line), or null if unknown
+export const getCandidateType = (candidate) => {
+  const line = typeof candidate === 'string' ? candidate : candidate?.candidate;
+  const match = /\btyp (\w+)/.exec(line || '');
+  return match ? match[1] : null;
+};
+
 // Events emitted by WebRTCService
 export const WEBRTC_EVENTS = {
   STATE_CHANGED: 'state_changed',
@@ -41,14 +51,24 @@ export const WEBRTC_EVENTS = {
   ICE_CANDIDATE: 'ice_candidate',
   REMOTE_STREAM: 'remote_stream',
   LOCAL_STREAM: 'local_stream',
+  STATS: 'stats',
+  RESTART_NEEDED: 'restart_needed',
+  NEGOTIATION_NEEDED: 'negotiation_needed',
+  DATA_CHANNEL: 'data_channel',
   ERROR: 'error',
 };
 
 class WebRTCService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.adapter - WebRTC implementation (default: native)
+   */
+  constructor(options = {}) {
+    this.adapter = options.adapter || new NativeWebRTCAdapter();
     this.peerConnection = null;
     this.localStream = null;
     this.remoteStream = null;
+    this.dataChannel = null;
     
     // Connection state
     this.connectionState = WEBRTC_STATES.NEW;
@@ -58,21 +78,44 @@ class WebRTCService {
     this.iceCandidateQueue = [];
     this.isRemoteDescriptionSet = false;
     
+    // Whether this peer connection ever reached 'connected'. Failures after
+    // that point are recovered with an ICE restart instead of ending the call.
+    this.hasConnected = false;
+    
+    // Perfect negotiation: when both sides send an offer at once, the polite
+    // peer rolls back its own offer and answers, the impolite peer ignores
+    // the remote one and waits for its answer.
+    this.isPolite = false;
+    this.makingOffer = false;
+    this.ignoreOffer = false;
+    
+    // Privacy mode: only relay (TURN) candidates are gathered, sent or
+    // accepted, so neither side learns the other's IP address
+    this.relayOnly = false;
+    
+    // Whether audio is paused in both directions for a call on hold
+    this.isOnHold = false;
+    
+    // Video call state
+    this.isVideoEnabled = false;
+    this.isCameraOn = true;
+    this.cameraFacing = CAMERA_FACING.FRONT;
+    
     // Event listeners
     this.listeners = new Map();
     
     // Timeouts and intervals
-    this.connectionTimeout = null;
     this.connectionLossTimeout = null;
     this.statsInterval = null;
+    this.statsIntervalMs = 2000; // Fast enough for the live quality indicator
+    this.lastStatsSample = null;
+    this.connectionLossGracePeriod = 3000;
     
-    // Configuration
+    // Configuration. iceServers is replaced by the server-provided list
+    // (TURN included) passed to initialize().
     this.config = {
-      iceServers: [
-        { urls: 'stun:stun.l.google.com:19302' },
-        { urls: 'stun:stun1.l.google.com:19302' },
-        { urls: 'stun:stun2.l.google.com:19302' },
-      ],
+      iceServers: FALLBACK_ICE_SERVERS,
+      iceTransportPolicy: 'all',
       iceCandidatePoolSize: 10,
       bundlePolicy: 'balanced',
       rtcpMuxPolicy: 'require',
@@ -86,7 +129,12 @@ class WebRTCService {
         autoGainControl: true,
         sampleRate: 44100,
       },
-      video: false, // Voice only for now
+      video: false, // Replaced by videoConstraints for video calls
+    };
+    this.videoConstraints = {
+      width: 640,
+      height: 480,
+      frameRate: 30,
     };
     
     // Bind methods
@@ -97,12 +145,24 @@ class WebRTCService {
     this.handleOffer = this.handleOffer.bind(this);
     this.handleAnswer = this.handleAnswer.bind(this);
     this.addIceCandidate = this.addIceCandidate.bind(this);
+    this.restartIce = this.restartIce.bind(this);
+  }
+
+  /**
+   * Choose the side that gives way on an offer collision
+   */
+  setPolite(polite) {
+    this.isPolite = !!polite;
+    console.log('WebRTCService: Negotiation role:', this.isPolite ? 'polite' : 'impolite');
   }
 
   /**
    * Initialize WebRTC service
+   *
+   * @param {Object} options
+   * @param {Array} options.iceServers - STUN/TURN servers for the connection
    */
-  async initialize() {
+  async initialize(options = {}) {
     try {
       console.log('WebRTCService: Initializing...');
       
@@ -110,7 +170,7 @@ class WebRTCService {
       await this.cleanup();
       
       // Create new peer connection
-      this.createPeerConnection();
+      this.createPeerConnection(options.iceServers);
       
       console.log('WebRTCService: Initialized successfully');
       return { success: true };
@@ -127,13 +187,17 @@ class WebRTCService {
   /**
    * Create and configure peer connection
    */
-  createPeerConnection() {
+  createPeerConnection(iceServers) {
     if (this.peerConnection) {
       this.disposePeerConnection();
     }
 
+    if (iceServers) {
+      this.config = { ...this.config, iceServers };
+    }
+
     console.log('WebRTCService: Creating peer connection');
-    this.peerConnection = new RTCPeerConnection(this.config);
+    this.peerConnection = this.adapter.createPeerConnection(this.config);
     this.setupPeerConnectionListeners();
     
     // Reset state
@@ -141,6 +205,50 @@ class WebRTCService {
     this.iceConnectionState = ICE_STATES.NEW;
     this.isRemoteDescriptionSet = false;
     this.iceCandidateQueue = [];
+    this.hasConnected = false;
+    this.makingOffer = false;
+    this.ignoreOffer = false;
+  }
+
+  /**
+   * Use refreshed ICE servers (e.g. rotated TURN credentials). An existing
+   * connection picks them up for its next ICE restart.
+   */
+  updateIceServers(iceServers) {
+    this.config = { ...this.config, iceServers };
+    this.applyConfiguration();
+  }
+
+  /**
+   * Turn relay-only privacy mode on or off. Kept across initialize() so it
+   * applies to the peer connection created for the call.
+   */
+  setRelayOnly(enabled) {
+    this.relayOnly = !!enabled;
+    this.config = {
+      ...this.config,
+      iceTransportPolicy: this.relayOnly ? 'relay' : 'all',
+    };
+    console.log('WebRTCService: Relay-only mode', this.relayOnly ? 'on' : 'off');
+    this.applyConfiguration();
+  }
+
+  /**
+   * Whether a candidate may be used under the current privacy mode
+   */
+  isCandidateAllowed(candidate) {
+    return !this.relayOnly || getCandidateType(candidate) === CANDIDATE_TYPES.RELAY;
+  }
+
+  applyConfiguration() {
+    if (!this.peerConnection?.setConfiguration) return;
+
+    try {
+      this.peerConnection.setConfiguration(this.config);
+      console.log('WebRTCService: Configuration updated');
+    } catch (error) {
+      console.error('WebRTCService: Failed to update configuration:', error);
+    }
   }
 
   /**
@@ -152,6 +260,10 @@ class WebRTCService {
     // ICE candidate event
     this.peerConnection.onicecandidate = (event) => {
       if (event.candidate) {
+        if (!this.isCandidateAllowed(event.candidate)) {
+          console.log('WebRTCService: Dropping non-relay local candidate (relay-only mode)');
+          return;
+        }
         console.log('WebRTCService: ICE candidate generated');
         this.emit(WEBRTC_EVENTS.ICE_CANDIDATE, event.candidate);
       } else {
@@ -164,6 +276,10 @@ class WebRTCService {
       console.log('WebRTCService: Remote track received');
       if (event.streams && event.streams[0]) {
         this.remoteStream = event.streams[0];
+        if (this.isOnHold) {
+          this.setAudioEnabled(this.remoteStream, false);
+          this.setVideoEnabled(this.remoteStream, false);
+        }
         this.emit(WEBRTC_EVENTS.REMOTE_STREAM, this.remoteStream);
       }
     };
@@ -198,7 +314,7 @@ class WebRTCService {
       
       // Handle ICE states
       if (state === 'connected' || state === 'completed') {
-        this.clearConnectionTimeout();
+        this.clearConnectionLossTimeout();
         console.log('WebRTCService: ICE connection established');
       } else if (state === 'failed') {
         this.handleConnectionFailure();
@@ -207,22 +323,27 @@ class WebRTCService {
       }
     };
 
-    // Negotiation needed
+    // Negotiation needed. The initial offer/answer is driven by the call
+    // flow, so only changes to an established connection are reported.
     this.peerConnection.onnegotiationneeded = () => {
+      if (!this.peerConnection || !this.hasConnected) return;
+
       console.log('WebRTCService: Negotiation needed');
-      // Let the caller handle this explicitly
+      this.emit(WEBRTC_EVENTS.NEGOTIATION_NEEDED);
     };
 
-    // Data channel (not used but good to handle)
+    // Data channel opened by the caller
     this.peerConnection.ondatachannel = (event) => {
-      console.log('WebRTCService: Data channel received');
+      console.log('WebRTCService: Data channel received:', event.channel.label);
+      this.dataChannel = event.channel;
+      this.emit(WEBRTC_EVENTS.DATA_CHANNEL, this.dataChannel);
     };
   }
 
   /**
-   * Check and request microphone permissions
+   * Check and request microphone (and, for video calls, camera) permissions
    */
-  async checkPermissions() {
+  async checkPermissions(options = {}) {
     if (Platform.OS === 'android') {
       try {
         const granted = await PermissionsAndroid.request(
@@ -239,6 +360,23 @@ class WebRTCService {
         if (granted !== PermissionsAndroid.RESULTS.GRANTED) {
           throw new Error('Microphone permission denied');
         }
+
+        if (options.video) {
+          const cameraGranted = await PermissionsAndroid.request(
+            PermissionsAndroid.PERMISSIONS.CAMERA,
+            {
+              title: 'Camera Permission',
+              message: 'This app needs access to your camera to make video calls.',
+              buttonNeutral: 'Ask Me Later',
+              buttonNegative: 'Cancel',
+              buttonPositive: 'OK',
+            },
+          );
+
+          if (cameraGranted !== PermissionsAndroid.RESULTS.GRANTED) {
+            throw new Error('Camera permission denied');
+          }
+        }
       } catch (error) {
         console.error('WebRTCService: Permission check failed:', error);
         throw error;
@@ -249,13 +387,16 @@ class WebRTCService {
 
   /**
    * Acquire local media stream
+   *
+   * Pass `{ video: true }` for video calls to add the camera.
    */
-  async getLocalStream() {
+  async getLocalStream(options = {}) {
+    const video = !!options.video;
     try {
-      console.log('WebRTCService: Requesting local media...');
+      console.log('WebRTCService: Requesting local media...', video ? '(video)' : '');
       
       // Check permissions
-      await this.checkPermissions();
+      await this.checkPermissions({ video });
       
       // Stop existing stream
       if (this.localStream) {
@@ -263,7 +404,14 @@ class WebRTCService {
       }
       
       // Get new stream
-      this.localStream = await mediaDevices.getUserMedia(this.mediaConstraints);
+      this.localStream = await this.adapter.getUserMedia({
+        ...this.mediaConstraints,
+        video: video
+          ? { ...this.videoConstraints, facingMode: this.cameraFacing }
+          : false,
+      });
+      this.isVideoEnabled = video;
+      this.isCameraOn = true;
       console.log('WebRTCService: Local media acquired');
       
       // Add tracks to peer connection
@@ -280,13 +428,21 @@ class WebRTCService {
     } catch (error) {
       console.error('WebRTCService: Failed to get local stream:', error);
       
-      let errorMessage = 'Failed to access microphone';
+      let errorMessage = video
+        ? 'Failed to access camera or microphone'
+        : 'Failed to access microphone';
       if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
-        errorMessage = 'Microphone access denied. Please enable microphone permission.';
+        errorMessage = video
+          ? 'Camera or microphone access denied. Please enable camera and microphone permissions.'
+          : 'Microphone access denied. Please enable microphone permission.';
       } else if (error.name === 'NotFoundError') {
-        errorMessage = 'No microphone found on this device.';
+        errorMessage = video
+          ? 'No camera or microphone found on this device.'
+          : 'No microphone found on this device.';
       } else if (error.name === 'NotReadableError') {
-        errorMessage = 'Microphone is already in use by another application.';
+        errorMessage = video
+          ? 'Camera or microphone is already in use by another application.'
+          : 'Microphone is already in use by another application.';
       }
       
       this.emit(WEBRTC_EVENTS.ERROR, { 
@@ -308,18 +464,23 @@ class WebRTCService {
       }
 
       console.log('WebRTCService: Creating offer...');
+      this.makingOffer = true;
       
       const offer = await this.peerConnection.createOffer({
         offerToReceiveAudio: true,
-        offerToReceiveVideo: false,
+        offerToReceiveVideo: this.isVideoEnabled,
       });
 
+      // A remote offer accepted meanwhile replaces ours
+      if (this.peerConnection.signalingState === 'have-remote-offer') {
+        console.log('WebRTCService: Dropping offer - remote offer in progress');
+        return { success: false, error: 'Negotiation in progress' };
+      }
+
       await this.peerConnection.setLocalDescription(offer);
       console.log('WebRTCService: Local description set (offer)');
       
-      // Start connection timeout
-      this.startConnectionTimeout();
-      
+      // The call state machine times out CONNECTING if this never connects
       return { success: true, offer };
     } catch (error) {
       console.error('WebRTCService: Create offer failed:', error);
@@ -328,6 +489,8 @@ class WebRTCService {
         error: error.message 
       });
       return { success: false, error: error.message };
+    } finally {
+      this.makingOffer = false;
     }
   }
 
@@ -344,7 +507,7 @@ class WebRTCService {
       
       const answer = await this.peerConnection.createAnswer({
         offerToReceiveAudio: true,
-        offerToReceiveVideo: false,
+        offerToReceiveVideo: this.isVideoEnabled,
       });
 
       await this.peerConnection.setLocalDescription(answer);
@@ -361,8 +524,61 @@ class WebRTCService {
     }
   }
 
+  /**
+   * Create an ICE restart offer to recover a dropped media path
+   */
+  async restartIce() {
+    try {
+      if (!this.peerConnection) {
+        throw new Error('Peer connection not initialized');
+      }
+
+      // A restart offer that was never answered is replaced by a new one
+      if (!this.makingOffer && this.peerConnection.signalingState === 'have-local-offer') {
+        console.log('WebRTCService: Rolling back unanswered offer for ICE restart');
+        await this.peerConnection.setLocalDescription(
+          this.adapter.createSessionDescription({ type: 'rollback' })
+        );
+      }
+
+      if (this.makingOffer || this.peerConnection.signalingState !== 'stable') {
+        console.log('WebRTCService: Skipping ICE restart - negotiation in progress');
+        return { success: false, error: 'Negotiation in progress' };
+      }
+
+      console.log('WebRTCService: Creating ICE restart offer...');
+      this.makingOffer = true;
+      
+      const offer = await this.peerConnection.createOffer({
+        iceRestart: true,
+        offerToReceiveAudio: true,
+        offerToReceiveVideo: this.isVideoEnabled,
+      });
+
+      if (this.peerConnection.signalingState === 'have-remote-offer') {
+        console.log('WebRTCService: Dropping ICE restart offer - remote offer in progress');
+        return { success: false, error: 'Negotiation in progress' };
+      }
+
+      await this.peerConnection.setLocalDescription(offer);
+      console.log('WebRTCService: Local description set (ICE restart offer)');
+      
+      return { success: true, offer };
+    } catch (error) {
+      // Not emitted as ERROR: the caller retries until its recovery window ends
+      console.error('WebRTCService: ICE restart failed:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.makingOffer = false;
+    }
+  }
+
   /**
    * Handle incoming offer
+   *
+   * Offers are accepted at any point of the call (initial offer, ICE restart,
+   * added video). On a collision with our own offer the impolite peer ignores
+   * the remote offer and the polite peer rolls back and answers it.
    */
   async handleOffer(offer) {
     try {
@@ -370,29 +586,32 @@ class WebRTCService {
         throw new Error('Peer connection not initialized');
       }
 
-      // Check if we're already in stable state with a connection established
-      if (this.peerConnection.signalingState === 'stable' && 
-          this.peerConnection.connectionState === 'connected') {
-        console.log('WebRTCService: Ignoring duplicate offer - connection already established');
+      const signalingState = this.peerConnection.signalingState;
+
+      // The same offer delivered twice needs no second answer
+      if (signalingState === 'stable' &&
+          this.peerConnection.remoteDescription?.sdp === offer.sdp) {
+        console.log('WebRTCService: Ignoring duplicate offer');
         return { success: true, answer: null };
       }
 
-      // Handle offer/offer collision (glare condition)
-      if (this.peerConnection.signalingState === 'have-local-offer') {
-        console.log('WebRTCService: Offer/offer collision detected - ignoring remote offer');
+      const offerCollision = this.makingOffer || signalingState !== 'stable';
+      this.ignoreOffer = !this.isPolite && offerCollision;
+      if (this.ignoreOffer) {
+        console.log('WebRTCService: Offer collision - ignoring remote offer (impolite peer)');
         return { success: true, answer: null };
       }
 
-      // For offers, we can handle them in 'stable' (initial) or 'have-remote-offer' states
-      if (this.peerConnection.signalingState !== 'stable' && 
-          this.peerConnection.signalingState !== 'have-remote-offer') {
-        console.log('WebRTCService: Cannot handle offer in state:', this.peerConnection.signalingState);
-        return { success: true, answer: null };
+      if (signalingState === 'have-local-offer') {
+        console.log('WebRTCService: Offer collision - rolling back local offer (polite peer)');
+        await this.peerConnection.setLocalDescription(
+          this.adapter.createSessionDescription({ type: 'rollback' })
+        );
       }
 
       console.log('WebRTCService: Handling offer...');
       
-      await this.peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
+      await this.peerConnection.setRemoteDescription(this.adapter.createSessionDescription(offer));
       console.log('WebRTCService: Remote description set (offer)');
       
       this.isRemoteDescriptionSet = true;
@@ -433,7 +652,7 @@ class WebRTCService {
 
       console.log('WebRTCService: Handling answer...');
       
-      await this.peerConnection.setRemoteDescription(new RTCSessionDescription(answer));
+      await this.peerConnection.setRemoteDescription(this.adapter.createSessionDescription(answer));
       console.log('WebRTCService: Remote description set (answer)');
       
       this.isRemoteDescriptionSet = true;
@@ -459,8 +678,13 @@ class WebRTCService {
         return { success: false, error: 'Peer connection not initialized' };
       }
 
+      if (!this.isCandidateAllowed(candidate)) {
+        console.log('WebRTCService: Dropping non-relay remote candidate (relay-only mode)');
+        return { success: true };
+      }
+
       if (this.isRemoteDescriptionSet) {
-        await this.peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+        await this.peerConnection.addIceCandidate(this.adapter.createIceCandidate(candidate));
         console.log('WebRTCService: ICE candidate added');
       } else {
         console.log('WebRTCService: Queuing ICE candidate');
@@ -469,6 +693,12 @@ class WebRTCService {
       
       return { success: true };
     } catch (error) {
+      // Candidates for an offer we ignored are expected to fail
+      if (this.ignoreOffer) {
+        console.log('WebRTCService: Dropping ICE candidate for ignored offer');
+        return { success: true };
+      }
+
       console.error('WebRTCService: Add ICE candidate failed:', error);
       return { success: false, error: error.message };
     }
@@ -489,7 +719,7 @@ class WebRTCService {
     
     for (const candidate of candidates) {
       try {
-        await this.peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+        await this.peerConnection.addIceCandidate(this.adapter.createIceCandidate(candidate));
         console.log('WebRTCService: Queued ICE candidate added');
       } catch (error) {
         console.error('WebRTCService: Failed to add queued ICE candidate:', error);
@@ -497,31 +727,6 @@ class WebRTCService {
     }
   }
 
-  /**
-   * Start connection timeout
-   */
-  startConnectionTimeout(timeout = 30000) {
-    this.clearConnectionTimeout();
-    
-    this.connectionTimeout = setTimeout(() => {
-      console.error('WebRTCService: Connection timeout');
-      this.emit(WEBRTC_EVENTS.ERROR, { 
-        type: 'connection_timeout', 
-        error: 'Connection timeout' 
-      });
-    }, timeout);
-  }
-
-  /**
-   * Clear connection timeout
-   */
-  clearConnectionTimeout() {
-    if (this.connectionTimeout) {
-      clearTimeout(this.connectionTimeout);
-      this.connectionTimeout = null;
-    }
-  }
-
   /**
    * Clear connection loss timeout
    */
@@ -537,7 +742,8 @@ class WebRTCService {
    */
   handleConnectionSuccess() {
     console.log('WebRTCService: Connection established successfully');
-    this.clearConnectionTimeout();
+    this.clearConnectionLossTimeout();
+    this.hasConnected = true;
     
     // Start stats monitoring
     this.startStatsMonitoring();
@@ -547,8 +753,16 @@ class WebRTCService {
    * Handle connection failure
    */
   handleConnectionFailure() {
+    this.clearConnectionLossTimeout();
+
+    // An established call can still be recovered with an ICE restart
+    if (this.hasConnected) {
+      console.warn('WebRTCService: Connection failed - ICE restart needed');
+      this.emit(WEBRTC_EVENTS.RESTART_NEEDED, { reason: 'connection_failed' });
+      return;
+    }
+
     console.error('WebRTCService: Connection failed');
-    this.clearConnectionTimeout();
     this.stopStatsMonitoring();
     
     this.emit(WEBRTC_EVENTS.ERROR, { 
@@ -568,17 +782,15 @@ class WebRTCService {
       clearTimeout(this.connectionLossTimeout);
     }
     
-    // Give some time for reconnection
+    // Give ICE a moment to recover on its own before asking for a restart
     this.connectionLossTimeout = setTimeout(() => {
-      // Only emit error if we still have a peer connection (not cleaned up)
+      this.connectionLossTimeout = null;
+      // Only restart if we still have a peer connection (not cleaned up)
       if (this.peerConnection && this.iceConnectionState === 'disconnected') {
-        console.error('WebRTCService: Connection lost permanently');
-        this.emit(WEBRTC_EVENTS.ERROR, { 
-          type: 'connection_lost', 
-          error: 'Connection lost' 
-        });
+        console.warn('WebRTCService: Connection still lost - ICE restart needed');
+        this.emit(WEBRTC_EVENTS.RESTART_NEEDED, { reason: 'connection_lost' });
       }
-    }, 5000);
+    }, this.connectionLossGracePeriod);
   }
 
   /**
@@ -587,15 +799,27 @@ class WebRTCService {
   startStatsMonitoring() {
     if (this.statsInterval || !this.peerConnection) return;
     
-    this.statsInterval = setInterval(async () => {
-      try {
-        const stats = await this.peerConnection.getStats();
-        // Process stats if needed - for now just log connection health
-        console.log('WebRTCService: Connection stats collected');
-      } catch (error) {
-        console.error('WebRTCService: Stats collection failed:', error);
-      }
-    }, 10000); // Every 10 seconds
+    this.statsInterval = setInterval(() => {
+      this.collectStats();
+    }, this.statsIntervalMs);
+  }
+
+  /**
+   * Collect a stats report and emit it as a normalized sample
+   */
+  async collectStats() {
+    if (!this.peerConnection) return null;
+
+    try {
+      const report = await this.peerConnection.getStats();
+      const sample = normalizeStatsReport(report, this.lastStatsSample);
+      this.lastStatsSample = sample;
+      this.emit(WEBRTC_EVENTS.STATS, sample);
+      return sample;
+    } catch (error) {
+      console.error('WebRTCService: Stats collection failed:', error);
+      return null;
+    }
   }
 
   /**
@@ -606,6 +830,181 @@ class WebRTCService {
       clearInterval(this.statsInterval);
       this.statsInterval = null;
     }
+    this.lastStatsSample = null;
+  }
+
+  /**
+   * Open a reliable, ordered data channel. Only the caller opens it, before
+   * the offer, so it is negotiated with the call; the callee receives it
+   * through ondatachannel.
+   */
+  createDataChannel(label) {
+    try {
+      if (!this.peerConnection) {
+        throw new Error('Peer connection not initialized');
+      }
+
+      console.log('WebRTCService: Creating data channel:', label);
+      this.dataChannel = this.peerConnection.createDataChannel(label, {
+        ordered: true,
+      });
+      this.emit(WEBRTC_EVENTS.DATA_CHANNEL, this.dataChannel);
+      return { success: true, channel: this.dataChannel };
+    } catch (error) {
+      console.error('WebRTCService: Create data channel error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Put the call on hold by muting our microphone and the remote audio.
+   * Tracks are only disabled, so resuming needs no renegotiation.
+   */
+  setOnHold(onHold) {
+    this.isOnHold = onHold;
+    this.setAudioEnabled(this.localStream, !onHold);
+    this.setAudioEnabled(this.remoteStream, !onHold);
+    this.setVideoEnabled(this.localStream, !onHold && this.isCameraOn);
+    this.setVideoEnabled(this.remoteStream, !onHold);
+    console.log('WebRTCService: Hold', onHold ? 'started' : 'ended');
+    return { success: true };
+  }
+
+  setAudioEnabled(stream, enabled) {
+    if (stream) {
+      stream.getAudioTracks().forEach(track => {
+        track.enabled = enabled;
+      });
+    }
+  }
+
+  setVideoEnabled(stream, enabled) {
+    if (stream) {
+      stream.getVideoTracks().forEach(track => {
+        track.enabled = enabled;
+      });
+    }
+  }
+
+  /**
+   * Turn our camera off or on without renegotiating
+   */
+  setCameraEnabled(enabled) {
+    if (!this.isVideoEnabled) {
+      return { success: false, error: 'Not a video call' };
+    }
+
+    this.isCameraOn = enabled;
+    this.setVideoEnabled(this.localStream, enabled && !this.isOnHold);
+    console.log('WebRTCService: Camera', enabled ? 'on' : 'off');
+    return { success: true };
+  }
+
+  /**
+   * Switch between the front and back camera
+   */
+  async switchCamera() {
+    const track = this.localStream?.getVideoTracks()[0];
+    if (!track) {
+      return { success: false, error: 'No camera in use' };
+    }
+
+    const facingMode = this.cameraFacing === CAMERA_FACING.FRONT
+      ? CAMERA_FACING.BACK
+      : CAMERA_FACING.FRONT;
+    try {
+      if (typeof track.applyConstraints === 'function') {
+        await track.applyConstraints({ facingMode });
+      } else {
+        // Older react-native-webrtc releases only offer the private toggle
+        track._switchCamera();
+      }
+      this.cameraFacing = facingMode;
+      console.log('WebRTCService: Switched camera to', facingMode);
+      return { success: true, facingMode };
+    } catch (error) {
+      console.error('WebRTCService: Switch camera failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Add the camera to an established voice call
+   *
+   * Adding the track fires negotiationneeded; the video reaches the other
+   * participant with the next offer/answer exchange.
+   */
+  async addVideo() {
+    try {
+      if (!this.peerConnection || !this.localStream) {
+        throw new Error('No active call');
+      }
+      if (this.isVideoEnabled) {
+        return { success: true };
+      }
+
+      console.log('WebRTCService: Adding camera to the call...');
+      await this.checkPermissions({ video: true });
+
+      const cameraStream = await this.adapter.getUserMedia({
+        audio: false,
+        video: { ...this.videoConstraints, facingMode: this.cameraFacing },
+      });
+      const [track] = cameraStream.getVideoTracks();
+      if (!track) {
+        throw new Error('No camera found on this device.');
+      }
+
+      track.enabled = !this.isOnHold;
+      this.localStream.addTrack(track);
+      this.peerConnection.addTrack(track, this.localStream);
+      this.isVideoEnabled = true;
+      this.isCameraOn = true;
+
+      this.emit(WEBRTC_EVENTS.LOCAL_STREAM, this.localStream);
+      return { success: true };
+    } catch (error) {
+      // Not emitted as ERROR: the voice call carries on without video
+      console.error('WebRTCService: Add video failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Stop sending video for the rest of the call
+   *
+   * The video senders keep their transceivers but send nothing, so the
+   * downgrade needs no renegotiation.
+   */
+  async stopVideo() {
+    if (!this.isVideoEnabled) {
+      return { success: true };
+    }
+
+    try {
+      if (this.peerConnection) {
+        const videoSenders = this.peerConnection.getSenders()
+          .filter(sender => sender.track && sender.track.kind === 'video');
+        for (const sender of videoSenders) {
+          await sender.replaceTrack(null);
+        }
+      }
+
+      if (this.localStream) {
+        this.localStream.getVideoTracks().forEach(track => {
+          track.stop();
+          this.localStream.removeTrack(track);
+        });
+      }
+
+      this.isVideoEnabled = false;
+      console.log('WebRTCService: Video stopped');
+      this.emit(WEBRTC_EVENTS.LOCAL_STREAM, this.localStream);
+      return { success: true };
+    } catch (error) {
+      console.error('WebRTCService: Stop video failed:', error);
+      return { success: false, error: error.message };
+    }
   }
 
   /**
@@ -637,6 +1036,15 @@ class WebRTCService {
    * Dispose peer connection
    */
   disposePeerConnection() {
+    if (this.dataChannel) {
+      try {
+        this.dataChannel.close();
+      } catch (error) {
+        console.error('WebRTCService: Error closing data channel:', error);
+      }
+      this.dataChannel = null;
+    }
+
     if (this.peerConnection) {
       try {
         // Remove event listeners
@@ -668,7 +1076,6 @@ class WebRTCService {
     console.log('WebRTCService: Cleaning up...');
     
     // Clear timeouts and intervals
-    this.clearConnectionTimeout();
     this.clearConnectionLossTimeout();
     this.stopStatsMonitoring();
     
@@ -684,6 +1091,13 @@ class WebRTCService {
     this.iceConnectionState = ICE_STATES.NEW;
     this.isRemoteDescriptionSet = false;
     this.iceCandidateQueue = [];
+    this.hasConnected = false;
+    this.makingOffer = false;
+    this.ignoreOffer = false;
+    this.isOnHold = false;
+    this.isVideoEnabled = false;
+    this.isCameraOn = true;
+    this.cameraFacing = CAMERA_FACING.FRONT;
     
     console.log('WebRTCService: Cleanup complete');
   }
@@ -697,9 +1111,19 @@ class WebRTCService {
       iceConnectionState: this.iceConnectionState,
       hasLocalStream: !!this.localStream,
       hasRemoteStream: !!this.remoteStream,
+      dataChannelState: this.dataChannel?.readyState || null,
       hasPeerConnection: !!this.peerConnection,
+      signalingState: this.peerConnection?.signalingState || null,
       queuedCandidates: this.iceCandidateQueue.length,
       isRemoteDescriptionSet: this.isRemoteDescriptionSet,
+      hasConnected: this.hasConnected,
+      isPolite: this.isPolite,
+      relayOnly: this.relayOnly,
+      isOnHold: this.isOnHold,
+      isVideoEnabled: this.isVideoEnabled,
+      isCameraOn: this.isCameraOn,
+      cameraFacing: this.cameraFacing,
+      lastStats: this.lastStatsSample,
     };
   }
 
@@ -0,0 +1,60 @@
+/**
+ * MockPaymentProvider - Local payment provider for development
+ *
+ * WalletService only takes payments through a provider, so the checkout
+ * flow works without a real payment gateway. A provider has a `name` and
+ * `checkout({ pack, userId })`, which resolves with
+ * `{ success, paymentId }` or `{ success: false, error, cancelled }` and
+ * never rejects. The payment is then confirmed by the server, which credits
+ * the coins.
+ *
+ * The mock approves every payment after a short delay. Declines and
+ * cancellations can be queued with failNextCheckout(). WalletService only
+ * falls back to it in development builds.
+ */
+
+class MockPaymentProvider {
+  /**
+   * @param {Object} options
+   * @param {number} options.delay - Simulated processing time (ms)
+   */
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.delay = options.delay ?? 800;
+    this.paymentCounter = 0;
+    this.pendingFailures = [];
+  }
+
+  /**
+   * Make the next checkout fail
+   *
+   * @param {Object} failure
+   * @param {string} failure.error - Message shown to the user
+   * @param {boolean} failure.cancelled - The user closed the payment sheet
+   */
+  failNextCheckout(failure = {}) {
+    this.pendingFailures.push({
+      error: failure.error || 'Payment declined',
+      cancelled: !!failure.cancelled,
+    });
+  }
+
+  async checkout({ pack, userId }) {
+    if (this.delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.delay));
+    }
+
+    const failure = this.pendingFailures.shift();
+    if (failure) {
+      console.log('MockPaymentProvider: Checkout failed:', failure.error);
+      return { success: false, ...failure };
+    }
+
+    this.paymentCounter += 1;
+    const paymentId = `mock_${userId}_${pack.id}_${this.paymentCounter}`;
+    console.log('MockPaymentProvider: Approved payment', paymentId);
+    return { success: true, paymentId };
+  }
+}
+
+export default MockPaymentProvider;
@@ -0,0 +1,213 @@
+/**
+ * CallTraceRecorder - Captures a call as a replayable JSON trace
+ *
+ * Records user actions, socket messages in both directions, WebRTC events
+ * and every event handed to the CallStateMachine, each with its offset in
+ * ms from the start of the recording. Pass the trace to CallTraceReplayer
+ * to reproduce the call in a test.
+ */
+
+import { CALL_MANAGER_EVENTS } from '../CallManager';
+import { SOCKET_EVENTS } from '../SocketService';
+import { WEBRTC_EVENTS } from '../WebRTCService';
+
+export const TRACE_VERSION = 1;
+
+// Where a trace entry came from
+export const TRACE_SOURCES = {
+  ACTION: 'action', // CallManager public API call
+  SOCKET_IN: 'socket_in', // Message delivered to CallManager
+  SOCKET_OUT: 'socket_out', // Message written to the socket
+  SOCKET_ACK: 'socket_ack', // Server acknowledgement of an outbound message
+  WEBRTC: 'webrtc', // WebRTCService event
+  STATE_EVENT: 'state_event', // Event handed to the state machine
+  STATE_CHANGE: 'state_change', // Resulting state transition
+};
+
+// Inbound socket events CallManager listens to
+export const TRACED_SOCKET_EVENTS = [
+  SOCKET_EVENTS.CALL_INITIATED,
+  SOCKET_EVENTS.CALL_REQUEST,
+  SOCKET_EVENTS.CALL_ACCEPTED,
+  SOCKET_EVENTS.CALL_REJECTED,
+  SOCKET_EVENTS.CALL_ENDED,
+  SOCKET_EVENTS.CALL_CANCELLED,
+  SOCKET_EVENTS.CALL_HOLD_CHANGED,
+  SOCKET_EVENTS.OFFER,
+  SOCKET_EVENTS.ANSWER,
+  SOCKET_EVENTS.ICE_CANDIDATE,
+  SOCKET_EVENTS.MUTE_STATE,
+  SOCKET_EVENTS.VIDEO_STATE,
+  SOCKET_EVENTS.VIDEO_UPGRADE_REQUEST,
+  SOCKET_EVENTS.VIDEO_UPGRADE_RESPONSE,
+  SOCKET_EVENTS.BALANCE_WARNING,
+  SOCKET_EVENTS.BALANCE_UPDATED,
+  SOCKET_EVENTS.CALL_RESUMED,
+  SOCKET_EVENTS.RESUME_FAILED,
+  'disconnected',
+  'reconnected',
+];
+
+/**
+ * Convert event data to plain JSON (streams become their ID, data channels
+ * their label)
+ */
+const toTraceData = value => {
+  if (value === undefined) {
+    return null;
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message };
+  }
+  if (value && typeof value.getTracks === 'function') {
+    return { id: value.id };
+  }
+  if (value && typeof value.send === 'function' && 'label' in value) {
+    return { label: value.label };
+  }
+
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch (error) {
+    return String(value);
+  }
+};
+
+class CallTraceRecorder {
+  /**
+   * @param {CallManager} callManager - Initialized manager to record
+   */
+  constructor(callManager) {
+    this.callManager = callManager;
+    this.entries = [];
+    this.unsubscribers = [];
+    this.isRecording = false;
+    this.startedAt = null;
+    this.stoppedAt = null;
+    this.participant = null;
+    this.finalState = null;
+  }
+
+  /**
+   * Start recording
+   */
+  async start() {
+    if (this.isRecording) {
+      return { success: true };
+    }
+
+    const { authService, socketService, webrtcService, stateMachine } =
+      this.callManager;
+
+    this.participant = {
+      userId: await authService.getUserId(),
+      userType: await authService.getUserType(),
+    };
+    this.entries = [];
+    this.startedAt = Date.now();
+    this.stoppedAt = null;
+    this.isRecording = true;
+
+    this.unsubscribers.push(
+      this.callManager.on(CALL_MANAGER_EVENTS.ACTION, ({ action, args }) => {
+        this.record(TRACE_SOURCES.ACTION, action, { args });
+      }),
+    );
+
+    TRACED_SOCKET_EVENTS.forEach(event => {
+      this.unsubscribers.push(
+        socketService.on(event, data => {
+          this.record(TRACE_SOURCES.SOCKET_IN, event, data);
+        }),
+      );
+    });
+    this.unsubscribers.push(
+      socketService.on('message_sent', ({ event, data }) => {
+        this.record(TRACE_SOURCES.SOCKET_OUT, event, data);
+      }),
+      socketService.on('message_acknowledged', ({ event, ack }) => {
+        this.record(TRACE_SOURCES.SOCKET_ACK, event, ack);
+      }),
+    );
+
+    Object.values(WEBRTC_EVENTS).forEach(event => {
+      this.unsubscribers.push(
+        webrtcService.on(event, data => {
+          this.record(TRACE_SOURCES.WEBRTC, event, data);
+        }),
+      );
+    });
+
+    this.unsubscribers.push(
+      stateMachine.addEventListener((event, metadata) => {
+        this.record(TRACE_SOURCES.STATE_EVENT, event, metadata);
+      }),
+      stateMachine.addListener((newState, previousState) => {
+        this.record(TRACE_SOURCES.STATE_CHANGE, newState, { previousState });
+      }),
+    );
+
+    console.log('CallTraceRecorder: Recording started');
+    return { success: true };
+  }
+
+  /**
+   * Append an entry to the trace
+   */
+  record(source, event, data) {
+    if (!this.isRecording) {
+      return;
+    }
+
+    this.entries.push({
+      t: Date.now() - this.startedAt,
+      source,
+      event,
+      data: toTraceData(data),
+    });
+  }
+
+  /**
+   * Stop recording and return the trace
+   */
+  stop() {
+    if (this.isRecording) {
+      this.unsubscribers.forEach(unsubscribe => unsubscribe());
+      this.unsubscribers = [];
+      this.isRecording = false;
+      this.stoppedAt = Date.now();
+      this.finalState = this.callManager.getCallState();
+      console.log(
+        `CallTraceRecorder: Recorded ${this.entries.length} entries, final state ${this.finalState}`,
+      );
+    }
+
+    return this.getTrace();
+  }
+
+  /**
+   * Get the trace recorded so far
+   */
+  getTrace() {
+    const endedAt = this.stoppedAt || Date.now();
+    return {
+      version: TRACE_VERSION,
+      startedAt: this.startedAt,
+      duration: this.startedAt ? endedAt - this.startedAt : 0,
+      participant: this.participant,
+      finalState: this.isRecording
+        ? this.callManager.getCallState()
+        : this.finalState,
+      entries: [...this.entries],
+    };
+  }
+
+  /**
+   * Serialize the trace, e.g. to attach to a bug report
+   */
+  toJSON() {
+    return this.getTrace();
+  }
+}
+
+export default CallTraceRecorder;
@@ -0,0 +1,195 @@
+/**
+ * CallTraceReplayer - Feeds a recorded trace back into a fresh call stack
+ *
+ * Entries are replayed at their recorded offsets (scaled by `speed`) so the
+ * state machine's dedupe window and state timeouts behave as they did in
+ * the field. Both replays resolve with
+ * { success, finalState, expectedState, states, expectedStates, error }.
+ */
+
+import CallManager from '../CallManager';
+import CallStateMachine from '../CallStateMachine';
+import SocketService from '../SocketService';
+import IceServerProvider from '../IceServerProvider';
+import WebRTCService, { WEBRTC_EVENTS } from '../WebRTCService';
+import FakeWebRTCAdapter from '../webrtc/FakeWebRTCAdapter';
+import LoopbackTransport from '../transports/LoopbackTransport';
+import TraceReplayServer from './TraceReplayServer';
+import { FALLBACK_ICE_SERVERS } from '../../config/api';
+import { TRACE_SOURCES, TRACE_VERSION } from './CallTraceRecorder';
+
+// WebRTC events re-emitted on replay; the rest are produced again by the
+// fake peer connection (candidates, streams)
+const REPLAYED_WEBRTC_EVENTS = [
+  WEBRTC_EVENTS.STATE_CHANGED,
+  WEBRTC_EVENTS.ICE_STATE_CHANGED,
+  WEBRTC_EVENTS.RESTART_NEEDED,
+  WEBRTC_EVENTS.STATS,
+  WEBRTC_EVENTS.ERROR,
+];
+
+// Time for handlers of the last entry to finish before comparing states
+const SETTLE_TIME = 50;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const getExpectedStates = trace =>
+  trace.entries
+    .filter(entry => entry.source === TRACE_SOURCES.STATE_CHANGE)
+    .map(entry => entry.event);
+
+/**
+ * Play entries at their recorded offsets, then wait out the trace duration
+ */
+const playEntries = async (trace, entries, speed, play) => {
+  let elapsed = 0;
+
+  for (const entry of entries) {
+    const delay = (entry.t - elapsed) / speed;
+    if (delay > 0) {
+      await wait(delay);
+    }
+    elapsed = entry.t;
+    play(entry);
+  }
+
+  const remaining = (trace.duration - elapsed) / speed;
+  await wait(Math.max(remaining, 0) + SETTLE_TIME);
+};
+
+const buildResult = (trace, finalState, states) => {
+  const success = finalState === trace.finalState;
+  return {
+    success,
+    finalState,
+    expectedState: trace.finalState,
+    states,
+    expectedStates: getExpectedStates(trace),
+    error: success
+      ? undefined
+      : `Final state ${finalState} does not match recorded ${trace.finalState}`,
+  };
+};
+
+const validateTrace = trace => {
+  if (!trace || trace.version !== TRACE_VERSION || !trace.entries) {
+    throw new Error(`Unsupported call trace version: ${trace?.version}`);
+  }
+};
+
+/**
+ * Replay the recorded state machine events into a state machine
+ *
+ * @param {Object} trace - Trace from CallTraceRecorder
+ * @param {Object} options
+ * @param {CallStateMachine} options.stateMachine - Defaults to a fresh one
+ * @param {number} options.speed - Playback speed multiplier (default 1)
+ */
+export const replayStateMachineTrace = async (trace, options = {}) => {
+  validateTrace(trace);
+  const stateMachine = options.stateMachine || new CallStateMachine();
+  const speed = options.speed || 1;
+
+  const states = [];
+  const removeListener = stateMachine.addListener(newState => {
+    states.push(newState);
+  });
+
+  const events = trace.entries.filter(
+    entry => entry.source === TRACE_SOURCES.STATE_EVENT,
+  );
+
+  try {
+    await playEntries(trace, events, speed, entry => {
+      stateMachine.handleEvent(entry.event, entry.data || {});
+    });
+    return buildResult(trace, stateMachine.getState(), states);
+  } finally {
+    removeListener();
+    if (!options.stateMachine) {
+      stateMachine.forceReset();
+    }
+  }
+};
+
+/**
+ * Create a CallManager whose socket is acknowledged from the trace and
+ * whose WebRTC layer is a fake that only connects when the trace says so.
+ * ICE servers are not fetched during a replay.
+ */
+export const createReplayCallManager = trace => {
+  const { userId, userType } = trace.participant || {};
+  const authService = {
+    getAuthToken: async () => 'trace_replay',
+    getUserId: async () => userId,
+    getUserType: async () => userType,
+  };
+  const transport = new LoopbackTransport(new TraceReplayServer(trace));
+
+  return new CallManager({
+    socketService: new SocketService({ transport, authService }),
+    webrtcService: new WebRTCService({
+      adapter: new FakeWebRTCAdapter({ autoConnect: false }),
+    }),
+    authService,
+    iceServerProvider: new IceServerProvider({
+      fetchIceServers: async () => ({ iceServers: FALLBACK_ICE_SERVERS }),
+    }),
+  });
+};
+
+/**
+ * Replay user actions, inbound socket messages and WebRTC events into a
+ * CallManager and compare its final state with the recorded one
+ *
+ * @param {Object} trace - Trace from CallTraceRecorder
+ * @param {Object} options
+ * @param {CallManager} options.callManager - Defaults to createReplayCallManager
+ * @param {number} options.speed - Playback speed multiplier (default 1)
+ */
+export const replayCallManagerTrace = async (trace, options = {}) => {
+  validateTrace(trace);
+  const callManager = options.callManager || createReplayCallManager(trace);
+  const speed = options.speed || 1;
+
+  const initResult = await callManager.initialize();
+  if (!initResult.success) {
+    return { success: false, error: initResult.error };
+  }
+
+  const states = [];
+  const removeListener = callManager.stateMachine.addListener(newState => {
+    states.push(newState);
+  });
+
+  const inputs = trace.entries.filter(
+    entry =>
+      entry.source === TRACE_SOURCES.ACTION ||
+      entry.source === TRACE_SOURCES.SOCKET_IN ||
+      (entry.source === TRACE_SOURCES.WEBRTC &&
+        REPLAYED_WEBRTC_EVENTS.includes(entry.event)),
+  );
+
+  try {
+    await playEntries(trace, inputs, speed, entry => {
+      switch (entry.source) {
+        case TRACE_SOURCES.ACTION:
+          callManager[entry.event](...(entry.data?.args || [])).catch(error => {
+            console.error(`CallTraceReplayer: ${entry.event} failed:`, error);
+          });
+          break;
+        case TRACE_SOURCES.SOCKET_IN:
+          callManager.socketService.emitToListeners(entry.event, entry.data);
+          break;
+        default:
+          callManager.webrtcService.emit(entry.event, entry.data);
+      }
+    });
+    return buildResult(trace, callManager.getCallState(), states);
+  } finally {
+    removeListener();
+    if (!options.callManager) {
+      await callManager.cleanup();
+    }
+  }
+};
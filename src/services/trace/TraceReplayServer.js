@@ -0,0 +1,49 @@
+/**
+ * TraceReplayServer - LoopbackServer stand-in that answers from a trace
+ *
+ * Accepts any connection and acknowledges each outbound message with the
+ * ack recorded for the same event, in order. Inbound messages are not sent
+ * by the server; CallTraceReplayer delivers them at their recorded times.
+ */
+
+import { TRACE_SOURCES } from './CallTraceRecorder';
+
+class TraceReplayServer {
+  /**
+   * @param {Object} trace - Trace from CallTraceRecorder
+   */
+  constructor(trace) {
+    this.acks = new Map(); // event -> recorded acks, oldest first
+    this.socketCounter = 0;
+    this.receivedMessages = [];
+
+    trace.entries
+      .filter(entry => entry.source === TRACE_SOURCES.SOCKET_ACK)
+      .forEach(entry => {
+        if (!this.acks.has(entry.event)) {
+          this.acks.set(entry.event, []);
+        }
+        this.acks.get(entry.event).push(entry.data);
+      });
+  }
+
+  handleConnection() {
+    this.socketCounter += 1;
+    return { success: true, id: `replay_${this.socketCounter}` };
+  }
+
+  handleDisconnect() {}
+
+  handleMessage(socket, event, data = {}, ack) {
+    this.receivedMessages.push({ event, data });
+    if (!ack) {
+      return;
+    }
+
+    // Messages beyond what was recorded are accepted
+    const recorded = this.acks.get(event);
+    ack(recorded && recorded.length > 0 ? recorded.shift() : { success: true });
+  }
+}
+
+export default TraceReplayServer;
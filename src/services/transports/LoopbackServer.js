@@ -0,0 +1,453 @@
+/**
+ * LoopbackServer - In-process fake of the signaling backend
+ *
+ * Implements the call protocol the app expects from the server
+ * (initiate-call/call-request/accept-call/reject-call/end-call, hold-call,
+ * offer/answer/ice-candidate/mute-state relay and resume-call) for clients connected through
+ * LoopbackTransport. Messages to participants carry a per-call sequence
+ * number and are kept so a reconnecting client can resume. Users with a
+ * balance are charged at hang-up for the time the call was not on hold,
+ * free minutes first, and sent balance-updated.
+ */
+
+import { SOCKET_EVENTS } from '../SocketService';
+import { TRANSACTION_TYPES } from '../WalletService';
+import {
+  getCallCost,
+  getFreeSecondsUsed,
+  getPricing,
+} from '../../utils/Pricing';
+
+export const LOOPBACK_CALL_STATUS = {
+  RINGING: 'ringing',
+  ACTIVE: 'active',
+  ENDED: 'ended',
+};
+
+class LoopbackServer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.pricing - Rates by therapist ID; therapists
+   *   without an entry charge the default rate
+   * @param {Object} options.balances - Coin balances by user ID; users with
+   *   an entry are charged for their calls and sent the new balance
+   * @param {Object} options.freeMinutes - Promo minutes by user ID
+   * @param {Function} options.now - Clock for billing, for tests
+   */
+  constructor(options = {}) {
+    this.pricing = options.pricing || {};
+    this.balances = options.balances || {};
+    this.freeMinutes = options.freeMinutes || {};
+    this.now = options.now || Date.now;
+    this.sessions = new Map(); // socket -> { userId, userType }
+    this.clients = new Map(); // userId -> socket
+    this.calls = new Map();
+    this.processedMessages = new Map(); // messageId -> ack response
+    this.socketCounter = 0;
+    this.callCounter = 0;
+
+    this.handlers = {
+      [SOCKET_EVENTS.INITIATE_CALL]: this.handleInitiateCall,
+      [SOCKET_EVENTS.ACCEPT_CALL]: this.handleAcceptCall,
+      [SOCKET_EVENTS.REJECT_CALL]: this.handleRejectCall,
+      [SOCKET_EVENTS.END_CALL]: this.handleEndCall,
+      [SOCKET_EVENTS.HOLD_CALL]: this.handleHoldCall,
+      [SOCKET_EVENTS.OFFER]: this.handleRelay,
+      [SOCKET_EVENTS.ANSWER]: this.handleRelay,
+      [SOCKET_EVENTS.ICE_CANDIDATE]: this.handleRelay,
+      [SOCKET_EVENTS.MUTE_STATE]: this.handleRelay,
+      [SOCKET_EVENTS.VIDEO_STATE]: this.handleRelay,
+      [SOCKET_EVENTS.VIDEO_UPGRADE_REQUEST]: this.handleRelay,
+      [SOCKET_EVENTS.VIDEO_UPGRADE_RESPONSE]: this.handleRelay,
+      [SOCKET_EVENTS.BALANCE_WARNING]: this.handleRelay,
+      [SOCKET_EVENTS.RESUME_CALL]: this.handleResumeCall,
+    };
+  }
+
+  /**
+   * Connection lifecycle
+   */
+
+  handleConnection(socket, auth) {
+    if (!auth || !auth.token || !auth.userId || !auth.userType) {
+      return { success: false, error: 'Authentication required' };
+    }
+
+    this.socketCounter += 1;
+    this.sessions.set(socket, {
+      userId: auth.userId,
+      userType: auth.userType,
+    });
+    this.clients.set(auth.userId, socket);
+
+    return { success: true, id: `loopback_${this.socketCounter}` };
+  }
+
+  handleDisconnect(socket) {
+    const session = this.sessions.get(socket);
+    if (!session) {
+      return;
+    }
+
+    this.sessions.delete(socket);
+    if (this.clients.get(session.userId) === socket) {
+      this.clients.delete(session.userId);
+    }
+  }
+
+  handleMessage(socket, event, data = {}, ack) {
+    const session = this.sessions.get(socket);
+    if (!session) {
+      return;
+    }
+
+    // Retried messages are acknowledged again but not processed twice
+    if (data.messageId && this.processedMessages.has(data.messageId)) {
+      if (ack) {
+        ack(this.processedMessages.get(data.messageId));
+      }
+      return;
+    }
+
+    const respond = response => {
+      if (data.messageId) {
+        this.processedMessages.set(data.messageId, response);
+      }
+      if (ack) {
+        ack(response);
+      }
+    };
+
+    const handler = this.handlers[event];
+    if (!handler) {
+      respond({ success: false, error: `Unsupported event: ${event}` });
+      return;
+    }
+
+    handler.call(this, session, event, data, respond);
+  }
+
+  /**
+   * Call protocol
+   */
+
+  handleInitiateCall(session, event, data, respond) {
+    const { therapistId, callType = 'voice' } = data;
+
+    if (!this.clients.has(therapistId)) {
+      respond({ success: false, error: 'Therapist is offline' });
+      return;
+    }
+    if (this.findActiveCall(therapistId)) {
+      respond({ success: false, error: 'Therapist is busy' });
+      return;
+    }
+
+    this.callCounter += 1;
+    const call = {
+      callId: `call_${this.callCounter}`,
+      userId: session.userId,
+      therapistId,
+      callType,
+      pricing: getPricing(this.pricing[therapistId]),
+      freeSeconds: (this.freeMinutes[session.userId] || 0) * 60,
+      status: LOOPBACK_CALL_STATUS.RINGING,
+      startedAt: null,
+      endedBy: null,
+      heldBy: null,
+      heldAt: null, // When the current hold began
+      heldTime: 0, // Milliseconds on hold before the current hold
+      seq: 0,
+      history: [],
+    };
+    this.calls.set(call.callId, call);
+
+    respond({ success: true, callId: call.callId, pricing: call.pricing });
+
+    this.sendToParticipant(call, call.userId, SOCKET_EVENTS.CALL_INITIATED, {
+      callId: call.callId,
+    });
+    this.sendToParticipant(call, therapistId, SOCKET_EVENTS.CALL_REQUEST, {
+      callId: call.callId,
+      userId: session.userId,
+      userName: session.userId,
+      callType,
+      pricing: call.pricing,
+    });
+  }
+
+  handleAcceptCall(session, event, data, respond) {
+    const call = this.calls.get(data.callId);
+    if (!call || call.therapistId !== session.userId) {
+      respond({ success: false, error: 'Call not found' });
+      return;
+    }
+    if (call.status !== LOOPBACK_CALL_STATUS.RINGING) {
+      respond({ success: false, error: 'Call is no longer ringing' });
+      return;
+    }
+
+    call.status = LOOPBACK_CALL_STATUS.ACTIVE;
+    call.startedAt = this.now();
+    respond({ success: true, callId: call.callId });
+
+    this.sendToParticipant(call, call.userId, SOCKET_EVENTS.CALL_ACCEPTED, {
+      callId: call.callId,
+      therapistId: call.therapistId,
+    });
+  }
+
+  handleRejectCall(session, event, data, respond) {
+    const call = this.calls.get(data.callId);
+    if (!call || call.therapistId !== session.userId) {
+      respond({ success: false, error: 'Call not found' });
+      return;
+    }
+
+    call.status = LOOPBACK_CALL_STATUS.ENDED;
+    call.endedBy = session.userId;
+    respond({ success: true });
+
+    this.sendToParticipant(call, call.userId, SOCKET_EVENTS.CALL_REJECTED, {
+      callId: call.callId,
+      message: 'Therapist declined the call',
+    });
+  }
+
+  handleEndCall(session, event, data, respond) {
+    const call = this.calls.get(data.callId);
+    if (!call || !this.isParticipant(call, session.userId)) {
+      respond({ success: false, error: 'Call not found' });
+      return;
+    }
+    if (call.status === LOOPBACK_CALL_STATUS.ENDED) {
+      respond({ success: true, alreadyEnded: true });
+      return;
+    }
+
+    const wasRinging = call.status === LOOPBACK_CALL_STATUS.RINGING;
+    call.status = LOOPBACK_CALL_STATUS.ENDED;
+    call.endedBy = session.userId;
+    const billing = this.getCallBilling(
+      call,
+      session.userId === call.userId ? data.durationSeconds : null,
+    );
+    respond({ success: true, billing });
+    this.chargeUser(call, billing);
+
+    const otherId = this.getOtherParticipant(call, session.userId);
+    if (wasRinging) {
+      this.sendToParticipant(call, otherId, SOCKET_EVENTS.CALL_CANCELLED, {
+        callId: call.callId,
+        reason: 'cancelled',
+        cancelledBy: session.userId,
+      });
+    } else {
+      this.sendToParticipant(call, otherId, SOCKET_EVENTS.CALL_ENDED, {
+        callId: call.callId,
+        reason: data.reason || 'ended_by_participant',
+        endedBy: session.userId,
+        billing,
+      });
+    }
+  }
+
+  handleHoldCall(session, event, data, respond) {
+    const call = this.calls.get(data.callId);
+    if (
+      !call ||
+      call.status !== LOOPBACK_CALL_STATUS.ACTIVE ||
+      !this.isParticipant(call, session.userId)
+    ) {
+      respond({ success: false, error: 'Call not found' });
+      return;
+    }
+    if (!data.onHold && call.heldBy && call.heldBy !== session.userId) {
+      respond({
+        success: false,
+        error: 'Call was put on hold by the other participant',
+      });
+      return;
+    }
+
+    if (data.onHold && !call.heldAt) {
+      call.heldAt = this.now();
+    } else if (!data.onHold && call.heldAt) {
+      call.heldTime += this.now() - call.heldAt;
+      call.heldAt = null;
+    }
+    call.heldBy = data.onHold ? session.userId : null;
+    respond({ success: true });
+
+    this.sendToParticipant(
+      call,
+      this.getOtherParticipant(call, session.userId),
+      SOCKET_EVENTS.CALL_HOLD_CHANGED,
+      { callId: call.callId, onHold: !!data.onHold, heldBy: call.heldBy },
+    );
+  }
+
+  handleRelay(session, event, data, respond) {
+    const call = this.calls.get(data.callId);
+    if (
+      !call ||
+      call.status === LOOPBACK_CALL_STATUS.ENDED ||
+      !this.isParticipant(call, session.userId)
+    ) {
+      respond({ success: false, error: 'Call not found' });
+      return;
+    }
+
+    const { messageId, ...payload } = data;
+    this.sendToParticipant(
+      call,
+      this.getOtherParticipant(call, session.userId),
+      event,
+      payload,
+    );
+    respond({ success: true });
+  }
+
+  handleResumeCall(session, event, data) {
+    const socket = this.clients.get(session.userId);
+    const call = this.calls.get(data.callId);
+
+    if (!call || !this.isParticipant(call, session.userId)) {
+      socket.receive(SOCKET_EVENTS.RESUME_FAILED, {
+        callId: data.callId,
+        reason: 'call_not_found',
+      });
+      return;
+    }
+
+    const lastSeq = data.lastSeq || 0;
+    const missed = call.history.filter(
+      message =>
+        message.userId === session.userId && message.data.seq > lastSeq,
+    );
+
+    socket.receive(SOCKET_EVENTS.CALL_RESUMED, {
+      callId: call.callId,
+      status: call.status,
+      missed: missed.map(({ event: missedEvent, data: missedData }) => ({
+        event: missedEvent,
+        data: missedData,
+      })),
+    });
+  }
+
+  /**
+   * Helpers
+   */
+
+  isParticipant(call, userId) {
+    return call.userId === userId || call.therapistId === userId;
+  }
+
+  getOtherParticipant(call, userId) {
+    return call.userId === userId ? call.therapistId : call.userId;
+  }
+
+  /**
+   * Bill the time since the therapist accepted, less time on hold
+   *
+   * Like the user's meter, only connected time is billed. Media drops are
+   * only seen by the clients, so a user hanging up caps the figure at the
+   * connected time their meter reports.
+   */
+  getCallBilling(call, meteredSeconds = null) {
+    let durationSeconds = 0;
+    if (call.startedAt) {
+      const now = this.now();
+      const heldTime = call.heldTime + (call.heldAt ? now - call.heldAt : 0);
+      durationSeconds = Math.floor((now - call.startedAt - heldTime) / 1000);
+    }
+    if (typeof meteredSeconds === 'number') {
+      durationSeconds = Math.min(durationSeconds, meteredSeconds);
+    }
+
+    // Never charge more than the user has, so the balance stays at zero or
+    // above however the call ended
+    let coinsCharged = getCallCost(
+      durationSeconds,
+      call.pricing,
+      call.freeSeconds,
+    );
+    const balance = this.balances[call.userId];
+    if (typeof balance === 'number') {
+      coinsCharged = Math.min(coinsCharged, Math.max(balance, 0));
+    }
+
+    return {
+      durationSeconds,
+      coinsCharged,
+      freeSecondsUsed: getFreeSecondsUsed(
+        durationSeconds,
+        call.pricing,
+        call.freeSeconds,
+      ),
+    };
+  }
+
+  /**
+   * Debit the call from the user's balance and push the new balance
+   */
+  chargeUser(call, billing) {
+    if (typeof this.balances[call.userId] !== 'number') {
+      return;
+    }
+
+    const balance = this.balances[call.userId] - billing.coinsCharged;
+    const freeMinutes =
+      (this.freeMinutes[call.userId] || 0) - billing.freeSecondsUsed / 60;
+    this.balances[call.userId] = balance;
+    this.freeMinutes[call.userId] = freeMinutes;
+
+    const socket = this.clients.get(call.userId);
+    if (socket) {
+      socket.receive(SOCKET_EVENTS.BALANCE_UPDATED, {
+        balance,
+        freeMinutes,
+        transaction: {
+          id: `txn_${call.callId}`,
+          type: TRANSACTION_TYPES.CALL_DEBIT,
+          amount: -billing.coinsCharged,
+          balanceAfter: balance,
+          callId: call.callId,
+          therapistId: call.therapistId,
+          durationSeconds: billing.durationSeconds,
+          freeMinutesUsed: billing.freeSecondsUsed / 60,
+          createdAt: Date.now(),
+        },
+      });
+    }
+  }
+
+  findActiveCall(userId) {
+    return Array.from(this.calls.values()).find(
+      call =>
+        call.status !== LOOPBACK_CALL_STATUS.ENDED &&
+        this.isParticipant(call, userId),
+    );
+  }
+
+  /**
+   * Send a sequenced message to a participant, recording it for resume
+   */
+  sendToParticipant(call, userId, event, payload) {
+    call.seq += 1;
+    const data = { ...payload, seq: call.seq };
+    call.history.push({ userId, event, data });
+
+    const socket = this.clients.get(userId);
+    if (socket) {
+      socket.receive(event, data);
+    }
+  }
+
+  getCall(callId) {
+    return this.calls.get(callId) || null;
+  }
+}
+
+export default LoopbackServer;
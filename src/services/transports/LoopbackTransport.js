@@ -0,0 +1,196 @@
+/**
+ * LoopbackTransport - In-memory signaling transport
+ *
+ * Connects SocketService to a LoopbackServer in the same process instead of
+ * a Socket.IO backend, so full call flows can run in Jest without a network.
+ * Messages are delivered asynchronously (next microtask) to keep the timing
+ * close to a real socket.
+ */
+
+const defer = fn => {
+  Promise.resolve().then(fn);
+};
+
+/**
+ * Minimal event emitter matching the Socket.IO client listener API
+ */
+class LoopbackEmitter {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  on(event, handler) {
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, new Set());
+    }
+    this.handlers.get(event).add(handler);
+    return this;
+  }
+
+  off(event, handler) {
+    if (this.handlers.has(event)) {
+      this.handlers.get(event).delete(handler);
+    }
+    return this;
+  }
+
+  removeAllListeners() {
+    this.handlers.clear();
+    return this;
+  }
+
+  dispatch(event, ...args) {
+    const handlers = this.handlers.get(event);
+    if (handlers) {
+      Array.from(handlers).forEach(handler => handler(...args));
+    }
+  }
+}
+
+/**
+ * Stand-in for the Socket.IO Manager, which emits the reconnect_* events
+ */
+class LoopbackManager extends LoopbackEmitter {
+  constructor() {
+    super();
+    this.engine = { transport: { name: 'loopback' } };
+  }
+}
+
+/**
+ * Client socket connected to a LoopbackServer
+ */
+export class LoopbackSocket extends LoopbackEmitter {
+  constructor(server, options = {}) {
+    super();
+    this.server = server;
+    this.auth = options.auth;
+    this.id = undefined;
+    this.connected = false;
+    this.active = false;
+    this.io = new LoopbackManager();
+  }
+
+  connect() {
+    this.active = true;
+    defer(() => this.open());
+    return this;
+  }
+
+  open() {
+    if (!this.active || this.connected) {
+      return;
+    }
+
+    const result = this.server.handleConnection(this, this.auth);
+    if (!result.success) {
+      this.active = false;
+      this.dispatch('connect_error', new Error(result.error));
+      return;
+    }
+
+    this.id = result.id;
+    this.connected = true;
+    this.dispatch('connect');
+  }
+
+  disconnect() {
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.active = false;
+
+    if (wasConnected) {
+      this.server.handleDisconnect(this);
+      this.dispatch('disconnect', 'io client disconnect');
+    }
+    return this;
+  }
+
+  emit(event, data, ack) {
+    // Like an unbuffered socket, messages sent while offline are lost
+    if (!this.connected) {
+      return this;
+    }
+
+    defer(() => this.server.handleMessage(this, event, data, ack));
+    return this;
+  }
+
+  emitWithAck(event, data) {
+    return new Promise(resolve => {
+      this.emit(event, data, resolve);
+    });
+  }
+
+  timeout(ms) {
+    return {
+      emitWithAck: (event, data) =>
+        new Promise((resolve, reject) => {
+          const timeoutId = setTimeout(() => {
+            reject(new Error('operation has timed out'));
+          }, ms);
+
+          this.emit(event, data, response => {
+            clearTimeout(timeoutId);
+            resolve(response);
+          });
+        }),
+    };
+  }
+
+  /**
+   * Deliver a server message to this client
+   */
+  receive(event, data) {
+    defer(() => {
+      if (this.connected) {
+        this.dispatch(event, data);
+      }
+    });
+  }
+
+  /**
+   * Simulate a network drop; the socket stays active and will reconnect
+   */
+  simulateDrop() {
+    if (!this.connected) {
+      return;
+    }
+
+    this.connected = false;
+    this.server.handleDisconnect(this);
+    this.dispatch('disconnect', 'transport close');
+  }
+
+  /**
+   * Simulate the automatic reconnection that follows a drop
+   */
+  simulateReconnect() {
+    if (!this.active || this.connected) {
+      return;
+    }
+
+    this.io.dispatch('reconnect_attempt', 1);
+    this.io.dispatch('reconnect', 1);
+    this.open();
+  }
+}
+
+class LoopbackTransport {
+  constructor(server) {
+    this.server = server;
+    this.socket = null;
+  }
+
+  /**
+   * Create an unconnected socket bound to the loopback server
+   *
+   * @param {Object} options - Connection options, including auth
+   */
+  createSocket(options) {
+    this.socket = new LoopbackSocket(this.server, options);
+    return this.socket;
+  }
+}
+
+export default LoopbackTransport;
@@ -0,0 +1,29 @@
+/**
+ * SocketIOTransport - Default signaling transport backed by socket.io-client
+ *
+ * A transport creates the socket SocketService talks to. Any transport must
+ * return an object with the Socket.IO client surface SocketService uses:
+ * on/off/emit/timeout().emitWithAck/connect/disconnect/removeAllListeners,
+ * the connected/active/id fields and an `io` manager emitting the
+ * reconnect_* events.
+ */
+
+import io from 'socket.io-client';
+import { SOCKET_URL } from '../../config/api';
+
+class SocketIOTransport {
+  constructor(url = SOCKET_URL) {
+    this.url = url;
+  }
+
+  /**
+   * Create an unconnected socket
+   *
+   * @param {Object} options - Socket.IO connection options, including auth
+   */
+  createSocket(options) {
+    return io(this.url, options);
+  }
+}
+
+export default SocketIOTransport;
@@ -0,0 +1,838 @@
+/**
+ * FakeWebRTCAdapter - Deterministic in-memory WebRTC adapter
+ *
+ * Drop-in replacement for NativeWebRTCAdapter so WebRTCService (and the
+ * whole call stack above it) can run under Jest. Fake peer connections
+ * follow the offer/answer signaling state rules, produce scripted SDP and
+ * ICE candidates, connect once negotiation completes and return synthetic
+ * getStats() reports. Failures can be injected per operation, and tests can
+ * drive ICE/connection state transitions directly. Adapters sharing a
+ * FakeNetwork pair their data channels once both ends connect.
+ *
+ * All asynchronous behavior runs on microtasks, so it does not depend on
+ * timers and works with Jest fake timers.
+ */
+
+const defer = fn => {
+  Promise.resolve().then(fn);
+};
+
+// Operations that can be made to fail with injectFailure()
+export const FAKE_OPERATIONS = {
+  GET_USER_MEDIA: 'getUserMedia',
+  CREATE_OFFER: 'createOffer',
+  CREATE_ANSWER: 'createAnswer',
+  SET_LOCAL_DESCRIPTION: 'setLocalDescription',
+  SET_REMOTE_DESCRIPTION: 'setRemoteDescription',
+  ADD_ICE_CANDIDATE: 'addIceCandidate',
+  GET_STATS: 'getStats',
+  CONNECT: 'connect', // ICE connectivity checks after negotiation
+};
+
+// Metrics used to build synthetic stats reports
+export const DEFAULT_FAKE_STATS = {
+  rtt: 0.05, // seconds, as reported by the stats API
+  jitter: 0.005, // seconds
+  packetLossRate: 0,
+  audioLevel: 0.1,
+  localCandidateType: 'host',
+  remoteCandidateType: 'host',
+};
+
+const PACKETS_PER_POLL = 100;
+const BYTES_PER_PACKET = 160;
+
+const createStateError = message => {
+  const error = new Error(message);
+  error.name = 'InvalidStateError';
+  return error;
+};
+
+const toError = (error, operation) => {
+  if (error instanceof Error) {
+    return error;
+  }
+  return new Error(error || `Injected ${operation} failure`);
+};
+
+const getIceUfrag = sdp => {
+  const match = /a=ice-ufrag:(\S+)/.exec(sdp || '');
+  return match ? match[1] : null;
+};
+
+// Media kinds sent by the peer that produced an SDP
+const getMediaKinds = sdp => {
+  const kinds = [];
+  const pattern = /^m=(audio|video) /gm;
+  let match = pattern.exec(sdp || '');
+  while (match) {
+    kinds.push(match[1]);
+    match = pattern.exec(sdp);
+  }
+  return kinds.length > 0 ? kinds : ['audio'];
+};
+
+/**
+ * Default SDP script - a minimal Opus audio session, plus VP8 video when
+ * the peer sends a camera track
+ */
+const defaultSdp = ({ type, peerId, version, iceUfrag, kinds = ['audio'] }) =>
+  [
+    'v=0',
+    `o=- ${peerId} ${version} IN IP4 127.0.0.1`,
+    's=-',
+    't=0 0',
+    'm=audio 9 UDP/TLS/RTP/SAVPF 111',
+    `a=ice-ufrag:${iceUfrag}`,
+    type === 'offer' ? 'a=setup:actpass' : 'a=setup:active',
+    'a=rtpmap:111 opus/48000/2',
+    ...(kinds.includes('video')
+      ? ['m=video 9 UDP/TLS/RTP/SAVPF 96', 'a=rtpmap:96 VP8/90000']
+      : []),
+    '',
+  ].join('\r\n');
+
+/**
+ * Default candidate script - one host and one server-reflexive candidate
+ */
+const defaultCandidates = ({ peerId, generation }) => [
+  {
+    candidate: `candidate:1 1 udp 2122260223 192.168.1.${peerId} 50000 typ host generation ${generation}`,
+    sdpMid: '0',
+    sdpMLineIndex: 0,
+  },
+  {
+    candidate: `candidate:2 1 udp 1686052607 203.0.113.${peerId} 50001 typ srflx raddr 192.168.1.${peerId} rport 50000 generation ${generation}`,
+    sdpMid: '0',
+    sdpMLineIndex: 0,
+  },
+];
+
+export class FakeMediaStreamTrack {
+  constructor(kind, id) {
+    this.kind = kind;
+    this.id = id;
+    this.enabled = true;
+    this.readyState = 'live';
+    this.constraints = {};
+  }
+
+  async applyConstraints(constraints) {
+    Object.assign(this.constraints, constraints);
+  }
+
+  stop() {
+    this.readyState = 'ended';
+  }
+}
+
+export class FakeRTCRtpSender {
+  constructor(track) {
+    this.track = track;
+  }
+
+  async replaceTrack(track) {
+    this.track = track;
+  }
+}
+
+export class FakeMediaStream {
+  constructor(id, kinds = ['audio']) {
+    this.id = id;
+    this.tracks = kinds.map(
+      (kind, index) => new FakeMediaStreamTrack(kind, `${id}_${kind}_${index}`),
+    );
+  }
+
+  getTracks() {
+    return [...this.tracks];
+  }
+
+  getAudioTracks() {
+    return this.tracks.filter(track => track.kind === 'audio');
+  }
+
+  getVideoTracks() {
+    return this.tracks.filter(track => track.kind === 'video');
+  }
+
+  addTrack(track) {
+    if (!this.tracks.includes(track)) {
+      this.tracks.push(track);
+    }
+  }
+
+  removeTrack(track) {
+    this.tracks = this.tracks.filter(entry => entry !== track);
+  }
+
+  toURL() {
+    return `fake-stream://${this.id}`;
+  }
+
+  release() {
+    this.tracks.forEach(track => track.stop());
+  }
+}
+
+export class FakeRTCDataChannel {
+  constructor(label, options = {}) {
+    this.label = label;
+    this.ordered = options.ordered !== false;
+    this.readyState = 'connecting';
+    this.remote = null; // Paired channel on the other peer
+    this.sentMessages = [];
+
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+  }
+
+  send(data) {
+    if (this.readyState !== 'open') {
+      throw createStateError(`Data channel is ${this.readyState}`);
+    }
+    this.sentMessages.push(data);
+
+    const remote = this.remote;
+    defer(() => {
+      if (remote && remote.readyState === 'open' && remote.onmessage) {
+        remote.onmessage({ data });
+      }
+    });
+  }
+
+  open() {
+    if (this.readyState !== 'connecting') {
+      return;
+    }
+    this.readyState = 'open';
+    if (this.onopen) {
+      this.onopen();
+    }
+  }
+
+  close() {
+    if (this.readyState === 'closed') {
+      return;
+    }
+    this.readyState = 'closed';
+    if (this.onclose) {
+      this.onclose();
+    }
+    if (this.remote) {
+      this.remote.close();
+    }
+  }
+}
+
+/**
+ * Shared medium for fake peer connections from different adapters
+ *
+ * Peers are matched by SDP: our remote description is their local one.
+ */
+export class FakeNetwork {
+  constructor() {
+    this.peerConnections = new Set();
+  }
+
+  register(peerConnection) {
+    this.peerConnections.add(peerConnection);
+  }
+
+  findPeer(peerConnection) {
+    const remoteSdp = peerConnection.currentRemoteDescription?.sdp;
+    if (!remoteSdp) {
+      return null;
+    }
+
+    return (
+      Array.from(this.peerConnections).find(
+        other =>
+          other !== peerConnection &&
+          !other.closed &&
+          other.currentLocalDescription?.sdp === remoteSdp,
+      ) || null
+    );
+  }
+
+  /**
+   * Link a newly connected peer connection with its connected peer
+   */
+  connect(peerConnection) {
+    const peer = this.findPeer(peerConnection);
+    if (!peer || peer.connectionState !== 'connected') {
+      return;
+    }
+
+    peerConnection.remotePeer = peer;
+    peer.remotePeer = peerConnection;
+    peerConnection.pairDataChannels();
+    peer.pairDataChannels();
+  }
+}
+
+export class FakeRTCPeerConnection {
+  constructor(adapter, config, id) {
+    this.adapter = adapter;
+    this.config = config;
+    this.id = id;
+
+    this.signalingState = 'stable';
+    this.connectionState = 'new';
+    this.iceConnectionState = 'new';
+    this.iceGatheringState = 'new';
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.currentLocalDescription = null;
+    this.currentRemoteDescription = null;
+
+    this.localTracks = [];
+    this.senders = [];
+    this.addedCandidates = [];
+    this.iceGeneration = 0;
+    this.gatheredGeneration = null;
+    this.sdpVersion = 0;
+    this.iceRestartPending = false;
+    this.remoteStream = null;
+    this.statsPolls = 0;
+    this.closed = false;
+    this.dataChannels = [];
+    this.remotePeer = null;
+
+    // Event handlers, assigned by WebRTCService
+    this.onicecandidate = null;
+    this.ontrack = null;
+    this.onconnectionstatechange = null;
+    this.oniceconnectionstatechange = null;
+    this.onnegotiationneeded = null;
+    this.ondatachannel = null;
+  }
+
+  assertOpen() {
+    if (this.closed) {
+      throw createStateError('Peer connection is closed');
+    }
+  }
+
+  buildDescription(type) {
+    this.sdpVersion += 1;
+    return {
+      type,
+      sdp: this.adapter.options.sdp({
+        type,
+        peerId: this.id,
+        version: this.sdpVersion,
+        iceUfrag: `ufrag${this.id}g${this.iceGeneration}`,
+        kinds: [
+          'audio',
+          ...(this.localTracks.some(({ track }) => track.kind === 'video')
+            ? ['video']
+            : []),
+        ],
+      }),
+    };
+  }
+
+  async createOffer(options = {}) {
+    this.assertOpen();
+    this.adapter.consumeFailure(FAKE_OPERATIONS.CREATE_OFFER);
+
+    if (options.iceRestart) {
+      this.iceGeneration += 1;
+      this.iceRestartPending = true;
+    }
+    return this.buildDescription('offer');
+  }
+
+  async createAnswer() {
+    this.assertOpen();
+    this.adapter.consumeFailure(FAKE_OPERATIONS.CREATE_ANSWER);
+
+    if (this.signalingState !== 'have-remote-offer') {
+      throw createStateError(
+        `Cannot create answer in state ${this.signalingState}`,
+      );
+    }
+    return this.buildDescription('answer');
+  }
+
+  async setLocalDescription(description) {
+    this.assertOpen();
+    this.adapter.consumeFailure(FAKE_OPERATIONS.SET_LOCAL_DESCRIPTION);
+
+    // Implicit description, as used by perfect negotiation
+    let local = description;
+    if (!local) {
+      local =
+        this.signalingState === 'have-remote-offer'
+          ? await this.createAnswer()
+          : await this.createOffer();
+    }
+
+    if (local.type === 'rollback') {
+      this.rollback();
+      return;
+    }
+
+    if (local.type === 'offer') {
+      if (
+        this.signalingState !== 'stable' &&
+        this.signalingState !== 'have-local-offer'
+      ) {
+        throw createStateError(
+          `Cannot set local offer in state ${this.signalingState}`,
+        );
+      }
+      this.localDescription = local;
+      this.signalingState = 'have-local-offer';
+    } else {
+      if (this.signalingState !== 'have-remote-offer') {
+        throw createStateError(
+          `Cannot set local answer in state ${this.signalingState}`,
+        );
+      }
+      this.localDescription = local;
+      this.completeNegotiation();
+    }
+
+    this.gatherCandidates();
+  }
+
+  async setRemoteDescription(description) {
+    this.assertOpen();
+    this.adapter.consumeFailure(FAKE_OPERATIONS.SET_REMOTE_DESCRIPTION);
+
+    if (description.type === 'rollback') {
+      this.rollback();
+      return;
+    }
+
+    if (description.type === 'offer') {
+      // Offer/offer collision: the caller has to roll back first
+      if (
+        this.signalingState !== 'stable' &&
+        this.signalingState !== 'have-remote-offer'
+      ) {
+        throw createStateError(
+          `Cannot set remote offer in state ${this.signalingState}`,
+        );
+      }
+
+      // A new remote ufrag on an established session is an ICE restart
+      const previousUfrag = getIceUfrag(this.currentRemoteDescription?.sdp);
+      const ufrag = getIceUfrag(description.sdp);
+      if (previousUfrag && ufrag && ufrag !== previousUfrag) {
+        this.iceGeneration += 1;
+        this.iceRestartPending = true;
+      }
+
+      this.remoteDescription = description;
+      this.signalingState = 'have-remote-offer';
+    } else {
+      if (this.signalingState !== 'have-local-offer') {
+        throw createStateError(
+          `Cannot set remote answer in state ${this.signalingState}`,
+        );
+      }
+      this.remoteDescription = description;
+      this.completeNegotiation();
+    }
+
+    this.sendRemoteStream();
+  }
+
+  rollback() {
+    this.localDescription = this.currentLocalDescription;
+    this.remoteDescription = this.currentRemoteDescription;
+    this.signalingState = 'stable';
+    this.iceRestartPending = false;
+  }
+
+  completeNegotiation() {
+    this.signalingState = 'stable';
+    this.currentLocalDescription = this.localDescription;
+    this.currentRemoteDescription = this.remoteDescription;
+
+    const needsChecks =
+      this.connectionState !== 'connected' || this.iceRestartPending;
+    this.iceRestartPending = false;
+
+    if (this.adapter.options.autoConnect && needsChecks) {
+      defer(() => this.runConnectivityChecks());
+    }
+  }
+
+  async addIceCandidate(candidate) {
+    this.assertOpen();
+    this.adapter.consumeFailure(FAKE_OPERATIONS.ADD_ICE_CANDIDATE);
+
+    if (!this.remoteDescription) {
+      throw createStateError('Remote description not set');
+    }
+    this.addedCandidates.push(candidate);
+  }
+
+  addTrack(track, stream) {
+    this.assertOpen();
+    this.localTracks.push({ track, stream });
+    const sender = new FakeRTCRtpSender(track);
+    this.senders.push(sender);
+    defer(() => {
+      if (!this.closed && this.onnegotiationneeded) {
+        this.onnegotiationneeded();
+      }
+    });
+    return sender;
+  }
+
+  getSenders() {
+    return [...this.senders];
+  }
+
+  setConfiguration(config) {
+    this.assertOpen();
+    this.config = config;
+  }
+
+  async getStats() {
+    this.assertOpen();
+    this.adapter.consumeFailure(FAKE_OPERATIONS.GET_STATS);
+
+    this.statsPolls += 1;
+    return this.adapter.buildStatsReport(this.statsPolls);
+  }
+
+  createDataChannel(label, options = {}) {
+    this.assertOpen();
+
+    const channel = new FakeRTCDataChannel(label, options);
+    this.dataChannels.push(channel);
+    if (this.remotePeer) {
+      this.pairDataChannels();
+    }
+    return channel;
+  }
+
+  /**
+   * Announce our unpaired data channels to the connected peer and open them
+   */
+  pairDataChannels() {
+    const peer = this.remotePeer;
+    this.dataChannels
+      .filter(channel => !channel.remote)
+      .forEach(channel => {
+        const remote = new FakeRTCDataChannel(channel.label, channel);
+        channel.remote = remote;
+        remote.remote = channel;
+        peer.dataChannels.push(remote);
+
+        defer(() => {
+          if (peer.closed || this.closed) {
+            return;
+          }
+          if (peer.ondatachannel) {
+            peer.ondatachannel({ channel: remote });
+          }
+          remote.open();
+          channel.open();
+        });
+      });
+  }
+
+  close() {
+    this.closed = true;
+    this.dataChannels.forEach(channel => channel.close());
+    this.signalingState = 'closed';
+    this.connectionState = 'closed';
+    this.iceConnectionState = 'closed';
+  }
+
+  /**
+   * Emit the scripted candidates once per ICE generation
+   */
+  gatherCandidates() {
+    if (this.gatheredGeneration === this.iceGeneration) {
+      return;
+    }
+    this.gatheredGeneration = this.iceGeneration;
+
+    const script = this.adapter.options.candidates;
+    const candidates =
+      typeof script === 'function'
+        ? script({ peerId: this.id, generation: this.iceGeneration })
+        : script;
+
+    defer(() => {
+      if (this.closed) {
+        return;
+      }
+      this.iceGatheringState = 'gathering';
+      candidates.forEach(candidate => {
+        if (this.onicecandidate) {
+          this.onicecandidate({ candidate });
+        }
+      });
+      this.iceGatheringState = 'complete';
+      if (this.onicecandidate) {
+        this.onicecandidate({ candidate: null });
+      }
+    });
+  }
+
+  /**
+   * Fire ontrack for the remote stream, then once per track that a
+   * renegotiation adds (e.g. video added to a voice call)
+   */
+  sendRemoteStream() {
+    const kinds = getMediaKinds(this.remoteDescription?.sdp);
+
+    if (!this.remoteStream) {
+      const stream = this.adapter.createStream(kinds, 'remote');
+      this.remoteStream = stream;
+      defer(() => {
+        if (!this.closed && this.ontrack) {
+          this.ontrack({ streams: [stream], track: stream.getTracks()[0] });
+        }
+      });
+      return;
+    }
+
+    const stream = this.remoteStream;
+    kinds
+      .filter(kind => !stream.getTracks().some(track => track.kind === kind))
+      .forEach(kind => {
+        const track = new FakeMediaStreamTrack(kind, `${stream.id}_${kind}`);
+        stream.addTrack(track);
+        defer(() => {
+          if (!this.closed && this.ontrack) {
+            this.ontrack({ streams: [stream], track });
+          }
+        });
+      });
+  }
+
+  runConnectivityChecks() {
+    if (this.closed) {
+      return;
+    }
+
+    this.setIceConnectionState('checking');
+    if (this.connectionState !== 'connected') {
+      this.setConnectionState('connecting');
+    }
+
+    try {
+      this.adapter.consumeFailure(FAKE_OPERATIONS.CONNECT);
+    } catch (error) {
+      this.setIceConnectionState('failed');
+      this.setConnectionState('failed');
+      return;
+    }
+
+    this.setIceConnectionState('connected');
+    this.setConnectionState('connected');
+    if (this.adapter.options.network) {
+      this.adapter.options.network.connect(this);
+    }
+  }
+
+  /**
+   * Test controls - drive state transitions directly
+   */
+
+  setIceConnectionState(state) {
+    if (this.closed || this.iceConnectionState === state) {
+      return;
+    }
+    this.iceConnectionState = state;
+    if (this.oniceconnectionstatechange) {
+      this.oniceconnectionstatechange();
+    }
+  }
+
+  setConnectionState(state) {
+    if (this.closed || this.connectionState === state) {
+      return;
+    }
+    this.connectionState = state;
+    if (this.onconnectionstatechange) {
+      this.onconnectionstatechange();
+    }
+  }
+
+  simulateDisconnect() {
+    this.setIceConnectionState('disconnected');
+    this.setConnectionState('disconnected');
+  }
+
+  simulateFailure() {
+    this.setIceConnectionState('failed');
+    this.setConnectionState('failed');
+  }
+
+  simulateReconnect() {
+    this.setIceConnectionState('connected');
+    this.setConnectionState('connected');
+  }
+}
+
+class FakeWebRTCAdapter {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.autoConnect - Connect once negotiation completes
+   * @param {Function} options.sdp - ({ type, peerId, version, iceUfrag, kinds }) => sdp
+   * @param {Function|Array} options.candidates - Candidates per gathering
+   * @param {Object} options.stats - Overrides for DEFAULT_FAKE_STATS
+   * @param {FakeNetwork} options.network - Pairs data channels across adapters
+   */
+  constructor(options = {}) {
+    this.options = {
+      autoConnect: true,
+      sdp: defaultSdp,
+      candidates: defaultCandidates,
+      ...options,
+    };
+    this.stats = { ...DEFAULT_FAKE_STATS, ...options.stats };
+    this.peerConnections = [];
+    this.failures = [];
+    this.streamCounter = 0;
+  }
+
+  get lastPeerConnection() {
+    return this.peerConnections[this.peerConnections.length - 1] || null;
+  }
+
+  createPeerConnection(config) {
+    const peerConnection = new FakeRTCPeerConnection(
+      this,
+      config,
+      this.peerConnections.length + 1,
+    );
+    this.peerConnections.push(peerConnection);
+    if (this.options.network) {
+      this.options.network.register(peerConnection);
+    }
+    return peerConnection;
+  }
+
+  async getUserMedia(constraints = {}) {
+    this.consumeFailure(FAKE_OPERATIONS.GET_USER_MEDIA);
+
+    const kinds = ['audio'];
+    if (constraints.video) {
+      kinds.push('video');
+    }
+    const stream = this.createStream(kinds, 'local');
+    stream.getVideoTracks().forEach(track => {
+      track.constraints = { ...constraints.video };
+    });
+    return stream;
+  }
+
+  createSessionDescription(description) {
+    return { type: description.type, sdp: description.sdp };
+  }
+
+  createIceCandidate(candidate) {
+    return { ...candidate };
+  }
+
+  createStream(kinds, prefix) {
+    this.streamCounter += 1;
+    return new FakeMediaStream(`${prefix}_${this.streamCounter}`, kinds);
+  }
+
+  /**
+   * Make the next `times` calls of an operation fail
+   *
+   * @param {string} operation - One of FAKE_OPERATIONS
+   * @param {Error|string} error - Error to throw (use error.name for media errors)
+   */
+  injectFailure(operation, error, { times = 1 } = {}) {
+    this.failures.push({
+      operation,
+      error: toError(error, operation),
+      remaining: times,
+    });
+  }
+
+  clearFailures() {
+    this.failures = [];
+  }
+
+  consumeFailure(operation) {
+    const failure = this.failures.find(
+      entry => entry.operation === operation && entry.remaining > 0,
+    );
+    if (failure) {
+      failure.remaining -= 1;
+      throw failure.error;
+    }
+  }
+
+  /**
+   * Change the metrics reported by subsequent getStats() calls
+   */
+  setStats(metrics) {
+    Object.assign(this.stats, metrics);
+  }
+
+  buildStatsReport(poll) {
+    const {
+      rtt,
+      jitter,
+      packetLossRate,
+      audioLevel,
+      localCandidateType,
+      remoteCandidateType,
+    } = this.stats;
+    const packets = poll * PACKETS_PER_POLL;
+    const packetsLost = Math.round(packets * packetLossRate);
+    const packetsReceived = packets - packetsLost;
+
+    return new Map(
+      [
+        { id: 'T01', type: 'transport', selectedCandidatePairId: 'CP01' },
+        {
+          id: 'CP01',
+          type: 'candidate-pair',
+          localCandidateId: 'L01',
+          remoteCandidateId: 'R01',
+          currentRoundTripTime: rtt,
+          state: 'succeeded',
+          nominated: true,
+        },
+        {
+          id: 'L01',
+          type: 'local-candidate',
+          candidateType: localCandidateType,
+        },
+        {
+          id: 'R01',
+          type: 'remote-candidate',
+          candidateType: remoteCandidateType,
+        },
+        {
+          id: 'IA01',
+          type: 'inbound-rtp',
+          kind: 'audio',
+          jitter,
+          packetsLost,
+          packetsReceived,
+          bytesReceived: packetsReceived * BYTES_PER_PACKET,
+          audioLevel,
+        },
+        {
+          id: 'OA01',
+          type: 'outbound-rtp',
+          kind: 'audio',
+          bytesSent: packets * BYTES_PER_PACKET,
+        },
+      ].map(stat => [stat.id, stat]),
+    );
+  }
+}
+
+export default FakeWebRTCAdapter;
@@ -0,0 +1,35 @@
+/**
+ * NativeWebRTCAdapter - Default WebRTC adapter backed by react-native-webrtc
+ *
+ * WebRTCService only touches WebRTC through an adapter, so the native module
+ * can be swapped for FakeWebRTCAdapter in tests. An adapter provides:
+ * createPeerConnection, getUserMedia, createSessionDescription and
+ * createIceCandidate.
+ */
+
+import {
+  mediaDevices,
+  RTCPeerConnection,
+  RTCSessionDescription,
+  RTCIceCandidate,
+} from 'react-native-webrtc';
+
+class NativeWebRTCAdapter {
+  createPeerConnection(config) {
+    return new RTCPeerConnection(config);
+  }
+
+  getUserMedia(constraints) {
+    return mediaDevices.getUserMedia(constraints);
+  }
+
+  createSessionDescription(description) {
+    return new RTCSessionDescription(description);
+  }
+
+  createIceCandidate(candidate) {
+    return new RTCIceCandidate(candidate);
+  }
+}
+
+export default NativeWebRTCAdapter;
@@ -29,6 +29,7 @@ export const COLORS = {
   success: '#4CAF50',
   warning: '#FF9800',
   error: '#F44336',
+  errorLight: '#FFEBEE',
   info: '#2196F3',
   
   // Interactive colors
@@ -0,0 +1,114 @@
+/**
+ * CallQuality - Scores normalized call stats samples
+ *
+ * Estimates a Mean Opinion Score (MOS) from RTT, jitter and packet loss using
+ * a simplified ITU-T G.107 E-model, and maps it to the quality levels shown
+ * on the call screen.
+ */
+
+// Quality levels, best to worst
+export const QUALITY_LEVELS = {
+  EXCELLENT: 'excellent',
+  GOOD: 'good',
+  POOR: 'poor',
+  CRITICAL: 'critical',
+};
+
+// Minimum MOS for each level
+export const MOS_THRESHOLDS = {
+  [QUALITY_LEVELS.EXCELLENT]: 4.0,
+  [QUALITY_LEVELS.GOOD]: 3.6,
+  [QUALITY_LEVELS.POOR]: 3.1,
+};
+
+// Raw metric limits above which the connection is reported as unstable
+export const UNSTABLE_THRESHOLDS = {
+  packetLoss: 0.05, // 5%
+  rtt: 400, // ms
+};
+
+/**
+ * Use the worse of the loss we see and the loss the remote reports for us
+ */
+const getWorstPacketLoss = sample => {
+  const values = [sample.packetLoss, sample.remotePacketLoss].filter(
+    value => typeof value === 'number',
+  );
+  return values.length > 0 ? Math.max(...values) : 0;
+};
+
+/**
+ * Estimate MOS (1.0 - 4.5) for a normalized stats sample
+ *
+ * Missing metrics are treated as ideal so a partial report does not
+ * penalize the score.
+ */
+export const estimateMos = sample => {
+  if (!sample) {
+    return null;
+  }
+
+  const rtt = typeof sample.rtt === 'number' ? sample.rtt : 0;
+  const jitter = typeof sample.jitter === 'number' ? sample.jitter : 0;
+  const loss = getWorstPacketLoss(sample);
+
+  // One-way latency plus jitter buffer and codec delay
+  const effectiveLatency = rtt / 2 + jitter * 2 + 10;
+
+  let rFactor =
+    effectiveLatency < 160
+      ? 93.2 - effectiveLatency / 40
+      : 93.2 - (effectiveLatency - 120) / 10;
+  rFactor -= loss * 100 * 2.5;
+  rFactor = Math.max(0, Math.min(100, rFactor));
+
+  const mos =
+    1 + 0.035 * rFactor + 0.000007 * rFactor * (rFactor - 60) * (100 - rFactor);
+
+  return Math.round(Math.max(1, Math.min(4.5, mos)) * 100) / 100;
+};
+
+/**
+ * Map a MOS value to a quality level
+ */
+export const getQualityLevel = mos => {
+  if (typeof mos !== 'number') {
+    return null;
+  }
+  if (mos >= MOS_THRESHOLDS[QUALITY_LEVELS.EXCELLENT]) {
+    return QUALITY_LEVELS.EXCELLENT;
+  }
+  if (mos >= MOS_THRESHOLDS[QUALITY_LEVELS.GOOD]) {
+    return QUALITY_LEVELS.GOOD;
+  }
+  if (mos >= MOS_THRESHOLDS[QUALITY_LEVELS.POOR]) {
+    return QUALITY_LEVELS.POOR;
+  }
+  return QUALITY_LEVELS.CRITICAL;
+};
+
+/**
+ * Assess a sample: score, level and whether to warn the user
+ */
+export const assessCallQuality = sample => {
+  const mos = estimateMos(sample);
+  if (mos === null) {
+    return null;
+  }
+
+  const reasons = [];
+  if (getWorstPacketLoss(sample) >= UNSTABLE_THRESHOLDS.packetLoss) {
+    reasons.push('packet_loss');
+  }
+  if (typeof sample.rtt === 'number' && sample.rtt >= UNSTABLE_THRESHOLDS.rtt) {
+    reasons.push('high_latency');
+  }
+
+  return {
+    mos,
+    level: getQualityLevel(mos),
+    isUnstable: reasons.length > 0,
+    reasons,
+    timestamp: sample.timestamp,
+  };
+};
@@ -0,0 +1,181 @@
+/**
+ * CallStats - Normalizes RTCPeerConnection.getStats() output
+ *
+ * Turns the raw RTCStatsReport (inbound-rtp, outbound-rtp, candidate-pair,
+ * remote-inbound-rtp, ...) into a flat sample that the rest of the app can
+ * log, display and score without knowing the WebRTC stats spec.
+ */
+
+// ICE candidate types as reported by the stats API
+export const CANDIDATE_TYPES = {
+  HOST: 'host',
+  SRFLX: 'srflx',
+  PRFLX: 'prflx',
+  RELAY: 'relay',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * Convert any report shape (Map, array or plain object) into a list of stats
+ */
+const getReportEntries = report => {
+  if (!report) {
+    return [];
+  }
+  if (typeof report.values === 'function') {
+    return Array.from(report.values());
+  }
+  if (Array.isArray(report)) {
+    return report;
+  }
+  return Object.values(report);
+};
+
+const isAudio = stat => (stat.kind || stat.mediaType) === 'audio';
+
+const secondsToMs = value =>
+  typeof value === 'number' ? Math.round(value * 1000) : null;
+
+/**
+ * Find the candidate pair currently carrying media
+ */
+const findSelectedCandidatePair = (entries, byId) => {
+  const transport = entries.find(stat => stat.type === 'transport');
+  if (transport && transport.selectedCandidatePairId) {
+    const pair = byId.get(transport.selectedCandidatePairId);
+    if (pair) {
+      return pair;
+    }
+  }
+
+  return (
+    entries.find(stat => stat.type === 'candidate-pair' && stat.selected) ||
+    entries.find(
+      stat =>
+        stat.type === 'candidate-pair' &&
+        stat.nominated &&
+        stat.state === 'succeeded',
+    ) ||
+    null
+  );
+};
+
+/**
+ * Compute kbps from byte counters of two consecutive samples
+ */
+const computeBitrate = (bytes, previousBytes, elapsedMs) => {
+  if (
+    typeof bytes !== 'number' ||
+    typeof previousBytes !== 'number' ||
+    elapsedMs <= 0 ||
+    bytes < previousBytes
+  ) {
+    return null;
+  }
+  return Math.round(((bytes - previousBytes) * 8) / elapsedMs);
+};
+
+/**
+ * Compute packet loss ratio (0..1), over the interval when possible
+ */
+const computePacketLoss = (lost, received, previousSample) => {
+  if (typeof lost !== 'number' || typeof received !== 'number') {
+    return null;
+  }
+
+  let deltaLost = lost;
+  let deltaReceived = received;
+  if (
+    previousSample &&
+    typeof previousSample.packetsLost === 'number' &&
+    typeof previousSample.packetsReceived === 'number' &&
+    received >= previousSample.packetsReceived
+  ) {
+    deltaLost = Math.max(0, lost - previousSample.packetsLost);
+    deltaReceived = received - previousSample.packetsReceived;
+  }
+
+  const total = deltaLost + deltaReceived;
+  return total > 0 ? deltaLost / total : 0;
+};
+
+/**
+ * Normalize a stats report into a call quality sample
+ *
+ * @param {RTCStatsReport|Array|Object} report - Result of getStats()
+ * @param {Object|null} previousSample - Sample from the previous poll, used
+ *   for bitrate and interval packet loss
+ * @returns {Object} Normalized sample
+ */
+export const normalizeStatsReport = (report, previousSample = null) => {
+  const entries = getReportEntries(report);
+  const byId = new Map(entries.map(stat => [stat.id, stat]));
+
+  const inbound = entries.find(
+    stat => stat.type === 'inbound-rtp' && isAudio(stat),
+  );
+  const outbound = entries.find(
+    stat => stat.type === 'outbound-rtp' && isAudio(stat),
+  );
+  const remoteInbound = entries.find(
+    stat => stat.type === 'remote-inbound-rtp' && isAudio(stat),
+  );
+  const selectedPair = findSelectedCandidatePair(entries, byId);
+  const localCandidate = selectedPair
+    ? byId.get(selectedPair.localCandidateId)
+    : null;
+  const remoteCandidate = selectedPair
+    ? byId.get(selectedPair.remoteCandidateId)
+    : null;
+
+  const timestamp = Date.now();
+  const elapsedMs = previousSample ? timestamp - previousSample.timestamp : 0;
+
+  const bytesReceived = inbound ? inbound.bytesReceived : null;
+  const bytesSent = outbound ? outbound.bytesSent : null;
+  const packetsLost = inbound ? inbound.packetsLost : null;
+  const packetsReceived = inbound ? inbound.packetsReceived : null;
+
+  // Prefer the ICE-level RTT, fall back to the RTCP-reported one
+  let rtt = selectedPair
+    ? secondsToMs(selectedPair.currentRoundTripTime)
+    : null;
+  if (rtt === null && remoteInbound) {
+    rtt = secondsToMs(remoteInbound.roundTripTime);
+  }
+
+  // Audio level is reported on inbound-rtp or, on older stacks, on the track
+  let audioLevel = inbound ? inbound.audioLevel : undefined;
+  if (typeof audioLevel !== 'number' && inbound && inbound.trackId) {
+    const track = byId.get(inbound.trackId);
+    audioLevel = track ? track.audioLevel : undefined;
+  }
+
+  return {
+    timestamp,
+    rtt,
+    jitter: inbound ? secondsToMs(inbound.jitter) : null,
+    packetsLost,
+    packetsReceived,
+    packetLoss: computePacketLoss(packetsLost, packetsReceived, previousSample),
+    remotePacketLoss:
+      remoteInbound && typeof remoteInbound.fractionLost === 'number'
+        ? remoteInbound.fractionLost
+        : null,
+    bytesReceived,
+    bytesSent,
+    inboundBitrate: previousSample
+      ? computeBitrate(bytesReceived, previousSample.bytesReceived, elapsedMs)
+      : null,
+    outboundBitrate: previousSample
+      ? computeBitrate(bytesSent, previousSample.bytesSent, elapsedMs)
+      : null,
+    audioLevel: typeof audioLevel === 'number' ? audioLevel : null,
+    localCandidateType:
+      (localCandidate && localCandidate.candidateType) ||
+      CANDIDATE_TYPES.UNKNOWN,
+    remoteCandidateType:
+      (remoteCandidate && remoteCandidate.candidateType) ||
+      CANDIDATE_TYPES.UNKNOWN,
+  };
+};
@@ -0,0 +1,184 @@
+/**
+ * Pricing - Per-therapist call rates
+ *
+ * Each therapist sets a rate in coins per minute, optionally with
+ * introductory minutes at the start of every call that are billed at a lower
+ * rate, or not at all. Users can also hold free minutes from promo vouchers,
+ * which are spent before their coins.
+ */
+
+// Rate for therapists who have not set their own
+export const DEFAULT_RATE_PER_MINUTE = 6;
+
+const isRate = value => typeof value === 'number' && value >= 0;
+
+/**
+ * Normalize pricing from a therapist record or call data
+ *
+ * @param {Object} source
+ * @param {number} source.ratePerMinute
+ * @param {number} source.introMinutes - Minutes billed at the intro rate
+ * @param {number} source.introRatePerMinute - Defaults to 0 (free minutes)
+ */
+export const getPricing = (source = {}) => ({
+  ratePerMinute: isRate(source.ratePerMinute)
+    ? source.ratePerMinute
+    : DEFAULT_RATE_PER_MINUTE,
+  introMinutes: source.introMinutes > 0 ? source.introMinutes : 0,
+  introRatePerMinute: isRate(source.introRatePerMinute)
+    ? source.introRatePerMinute
+    : 0,
+});
+
+const roundCoins = coins => Math.round(coins * 100) / 100;
+
+/**
+ * Seconds of free-minute vouchers used in the first `seconds` of a call.
+ * Vouchers are only spent on time that would otherwise cost coins, so they
+ * are not used up during a therapist's free intro minutes.
+ */
+export const getFreeSecondsUsed = (seconds, pricing, freeSeconds = 0) => {
+  const introSeconds = Math.min(seconds, pricing.introMinutes * 60);
+  const paidSeconds = seconds - introSeconds;
+  const chargeableSeconds =
+    (pricing.introRatePerMinute > 0 ? introSeconds : 0) +
+    (pricing.ratePerMinute > 0 ? paidSeconds : 0);
+  return Math.min(chargeableSeconds, freeSeconds);
+};
+
+/**
+ * Cost of the first `seconds` of a call, rounded to hundredths of a coin.
+ * `freeSeconds` of vouchers are used before any coins.
+ */
+export const getCallCost = (seconds, pricing, freeSeconds = 0) => {
+  const introSeconds = Math.min(seconds, pricing.introMinutes * 60);
+  const paidSeconds = seconds - introSeconds;
+
+  let voucherLeft = freeSeconds;
+  const segmentCost = (length, ratePerMinute) => {
+    if (ratePerMinute === 0) {
+      return 0;
+    }
+    const covered = Math.min(length, voucherLeft);
+    voucherLeft -= covered;
+    return (length - covered) * ratePerMinute;
+  };
+
+  return roundCoins(
+    (segmentCost(introSeconds, pricing.introRatePerMinute) +
+      segmentCost(paidSeconds, pricing.ratePerMinute)) /
+      60,
+  );
+};
+
+/**
+ * Rate in effect `seconds` into a call
+ */
+export const getRateAt = (seconds, pricing, freeSeconds = 0) => {
+  const rate =
+    seconds < pricing.introMinutes * 60
+      ? pricing.introRatePerMinute
+      : pricing.ratePerMinute;
+  if (
+    rate > 0 &&
+    getFreeSecondsUsed(seconds, pricing, freeSeconds) < freeSeconds
+  ) {
+    return 0;
+  }
+  return rate;
+};
+
+/**
+ * How many more seconds `balance` pays for, `billedSeconds` into a call
+ */
+export const getAffordableSeconds = (
+  balance,
+  billedSeconds,
+  pricing,
+  freeSeconds = 0,
+) => {
+  let funds = Math.max(balance, 0);
+  let voucherLeft =
+    freeSeconds - getFreeSecondsUsed(billedSeconds, pricing, freeSeconds);
+  const segments = [
+    [
+      Math.max(pricing.introMinutes * 60 - billedSeconds, 0),
+      pricing.introRatePerMinute,
+    ],
+    [Infinity, pricing.ratePerMinute],
+  ];
+
+  let seconds = 0;
+  for (const [length, ratePerMinute] of segments) {
+    if (ratePerMinute === 0) {
+      seconds += length;
+      continue;
+    }
+
+    const covered = Math.min(length, voucherLeft);
+    voucherLeft -= covered;
+    const affordable = (funds * 60) / ratePerMinute;
+    if (affordable < length - covered) {
+      return seconds + covered + Math.floor(affordable);
+    }
+    funds -= ((length - covered) * ratePerMinute) / 60;
+    seconds += length;
+  }
+  return seconds;
+};
+
+/**
+ * Coins needed to start a call: the cost of its first minute
+ */
+export const getMinimumBalance = (pricing, freeSeconds = 0) =>
+  getCallCost(60, pricing, freeSeconds);
+
+// 3.4 -> "3.4", 12 -> "12", 0.0833 -> "0.08"
+export const formatCoins = coins => `${Number(coins.toFixed(2))}`;
+
+// "6 coins/min"
+export const formatRate = ratePerMinute =>
+  `${formatCoins(ratePerMinute)} coins/min`;
+
+// "First 5 min free", "First 5 min at 3 coins/min", or null
+export const formatIntroOffer = pricing => {
+  if (pricing.introMinutes === 0) {
+    return null;
+  }
+  return pricing.introRatePerMinute === 0
+    ? `First ${pricing.introMinutes} min free`
+    : `First ${pricing.introMinutes} min at ${formatRate(
+        pricing.introRatePerMinute,
+      )}`;
+};
+
+// "6 coins/min" or "First 5 min free, then 6 coins/min"
+export const formatPricing = pricing => {
+  const introOffer = formatIntroOffer(pricing);
+  const rate = formatRate(pricing.ratePerMinute);
+  return introOffer ? `${introOffer}, then ${rate}` : rate;
+};
+
+// 1 -> "1 minute", 7.5 -> "7.5 minutes"
+export const formatMinutes = minutes =>
+  `${formatCoins(minutes)} minute${minutes === 1 ? '' : 's'}`;
+
+// What a call costs with free minutes to spend:
+// "first 10 minutes free, then 6 coins/min"
+export const formatFreeMinutesOffer = (pricing, freeMinutes) => {
+  const introSeconds = pricing.introMinutes * 60;
+  const freeLeadSeconds =
+    pricing.introRatePerMinute === 0
+      ? introSeconds + freeMinutes * 60
+      : freeMinutes * 60;
+  const introMinutesLeft = Math.max(introSeconds - freeLeadSeconds, 0) / 60;
+
+  const rate = formatRate(pricing.ratePerMinute);
+  const after =
+    introMinutesLeft > 0
+      ? `${formatCoins(introMinutesLeft)} min at ${formatRate(
+          pricing.introRatePerMinute,
+        )}, then ${rate}`
+      : rate;
+  return `first ${formatMinutes(freeLeadSeconds / 60)} free, then ${after}`;
+};